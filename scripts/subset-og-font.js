@@ -0,0 +1,54 @@
+'use strict';
+
+// レポート共有画像（/report/:id/og.png）用のフォント assets/fonts/NotoSansJP-Bold-subset.ttf を生成する。
+//
+// 使い方:
+//   1) Noto Sans JP Bold の静的 TrueType（glyf アウトライン）ファイルを用意する
+//      （例: npm パッケージ @expo-google-fonts/noto-sans-jp の 700Bold/NotoSansJP_700Bold.ttf）
+//   2) `node scripts/subset-og-font.js <NotoSansJP-Bold.ttf>` で実行
+//
+// 収録文字: ASCII、JIS X 0208（ひらがな・カタカナ・第1/第2水準漢字・全角記号）、「…」
+// Worker の TrueType パーサ（src/truetype.js）は glyf のみ対応のため、出力は CFF ではなく TrueType にする。
+
+const fs = require('fs');
+const path = require('path');
+const subsetFont = require('subset-font');
+
+const ROOT = path.join(__dirname, '..');
+const OUTPUT_PATH = path.join(ROOT, 'assets', 'fonts', 'NotoSansJP-Bold-subset.ttf');
+
+function jisX0208Characters() {
+  const decoder = new TextDecoder('euc-jp');
+  let text = '';
+  for (let row = 0xA1; row <= 0xFE; row++) {
+    for (let cell = 0xA1; cell <= 0xFE; cell++) {
+      const ch = decoder.decode(Uint8Array.of(row, cell));
+      if (ch !== '�') text += ch;
+    }
+  }
+  return text;
+}
+
+function cardCharacters() {
+  let ascii = '';
+  for (let code = 0x20; code <= 0x7E; code++) ascii += String.fromCharCode(code);
+  return [...new Set(ascii + jisX0208Characters() + '…')].join('');
+}
+
+async function main() {
+  const source = process.argv[2];
+  if (!source) {
+    console.error('使い方: node scripts/subset-og-font.js <NotoSansJP-Bold.ttf>');
+    process.exit(1);
+  }
+  const text = cardCharacters();
+  const subset = await subsetFont(fs.readFileSync(source), text, { targetFormat: 'truetype' });
+  fs.mkdirSync(path.dirname(OUTPUT_PATH), { recursive: true });
+  fs.writeFileSync(OUTPUT_PATH, subset);
+  console.log(`${path.relative(ROOT, OUTPUT_PATH)}: ${text.length} 文字, ${subset.length} bytes`);
+}
+
+main().catch(err => {
+  console.error('エラー:', err.message);
+  process.exit(1);
+});
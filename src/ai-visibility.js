@@ -0,0 +1,216 @@
+// AI visibility test: does the company come up when people ask an AI search about it,
+// its region and industry, or its services?
+//
+// buildVisibilityQueries() turns the crawl into concrete questions from VISIBILITY_QUERY_SET,
+// runVisibilityTest() asks them in parallel through the search provider (within a query budget)
+// and checks each answer for a mention of the company name / domain and a citation of the
+// domain in the grounding sources. The per-query results roll up into a 0-100 score.
+
+import { jsonLdDocuments } from './html-parser.js';
+import { findEntityValues } from './jsonld.js';
+import { findRepresentatives } from './entity-consistency.js';
+
+// Query templates, asked in this order until the budget runs out. `{name}` placeholders are
+// filled from the crawl; a query is skipped when one of its `requires` facts was not found,
+// other missing placeholders are dropped. `each` repeats the query per value of a list fact.
+export const VISIBILITY_QUERY_SET = [
+  { id: 'company', label: '会社名', weight: 3, template: '{company}について教えて', requires: ['company'] },
+  { id: 'regional', label: '地域×業種', weight: 3, template: '{region}の{industry} おすすめ', requires: ['region', 'industry'] },
+  { id: 'service', label: 'サービス', weight: 2, template: '{region} {service} 依頼できる会社', requires: ['services'], each: 'services' },
+  { id: 'representative', label: '代表者', weight: 1, template: '{representative} {company}', requires: ['representative', 'company'] }
+];
+
+export const VISIBILITY_DEFAULT_BUDGET = 5;
+const MAX_SERVICE_QUERIES = 2;
+
+// A mention is worth most of a query's weight; being cited as a source adds the rest
+const MENTION_SHARE = 0.6;
+const CITATION_SHARE = 0.4;
+
+const INDUSTRY_KEYWORDS = [
+  '工務店', 'リフォーム', '不動産', '建設', '設計事務所', '塗装', '外壁塗装', '解体', '造園',
+  '歯科', '歯医者', 'クリニック', '整骨院', '接骨院', '整体', '鍼灸', '動物病院', '薬局', '介護',
+  '税理士', '会計事務所', '社会保険労務士', '社労士', '行政書士', '司法書士', '弁護士', '法律事務所',
+  '美容室', '美容院', 'ヘアサロン', 'エステ', 'ネイル', '写真館', '結婚式場',
+  '飲食店', 'レストラン', 'カフェ', '居酒屋', 'パン屋', '和菓子', 'ホテル', '旅館',
+  '学習塾', '英会話', '保育園', '自動車整備', '中古車', '車検', '運送', '引越し', '印刷',
+  'ホームページ制作', 'Web制作', 'システム開発', '広告代理店', 'コンサルティング', '保険代理店', '葬儀'
+];
+
+const GENERIC_HEADINGS = [
+  'お問い合わせ', '問い合わせ', '会社概要', '会社情報', 'よくある質問', 'FAQ', 'お知らせ', 'ニュース',
+  'ブログ', 'コラム', 'アクセス', '採用', 'リクルート', 'プライバシー', 'サイトマップ', 'メニュー',
+  'サービス', '事業内容', '私たちについて', 'ごあいさつ', '代表挨拶', 'トップ', 'ホーム', '実績', '施工事例', 'お客様の声'
+];
+
+const PREFECTURE_CITY_RE = /(北海道|東京都|京都府|大阪府|[\u4E00-\u9FFF]{2,3}県)\s*([\u4E00-\u9FFF]{1,5}?[市区町村])?/;
+const LEGAL_FORMS_RE = /株式会社|有限会社|合同会社|合資会社|一般社団法人|医療法人(?:社団)?|社会福祉法人|（株）|\(株\)|（有）|\(有\)|Co\.,?\s*Ltd\.?|Inc\.?|LLC|Corp\.?/gi;
+
+// Facts the templates can use: { company, domain, region, industry, services, representative }
+export function extractVisibilityFacts(crawl, companyName) {
+  const pages = crawl.pages || [];
+  const allText = [crawl.textContent || '', ...pages.map(p => p.textContent || '')].join('\n');
+  const jsonLd = crawl.pageModel ? jsonLdDocuments(crawl.pageModel) : [];
+
+  return {
+    company: typeof companyName === 'string' && companyName.trim() ? companyName.trim() : null,
+    domain: siteDomain(crawl.finalUrl),
+    region: extractRegion(jsonLd, allText),
+    industry: extractIndustry(crawl),
+    services: extractServices(crawl),
+    representative: extractRepresentative(jsonLd, crawl)
+  };
+}
+
+function siteDomain(url) {
+  try { return new URL(url).hostname.toLowerCase().replace(/^www\./, ''); } catch (e) { return null; }
+}
+
+function firstString(values) {
+  const value = values.find(v => typeof v === 'string' && v.trim());
+  return value ? value.trim() : null;
+}
+
+function extractRegion(jsonLd, text) {
+  const region = firstString(findEntityValues(jsonLd, 'Organization', 'address.addressLocality'))
+    || firstString(findEntityValues(jsonLd, 'Organization', 'address.addressRegion'));
+  if (region) return region;
+  const match = text.match(PREFECTURE_CITY_RE);
+  if (!match) return null;
+  return match[2] || match[1];
+}
+
+function extractIndustry(crawl) {
+  const h1 = (crawl.headingsText || []).filter(h => h.level === 'h1').map(h => h.text).join(' ');
+  const haystack = [crawl.title, crawl.metaDescription, h1].filter(Boolean).join(' ');
+  return INDUSTRY_KEYWORDS.find(keyword => haystack.includes(keyword)) || null;
+}
+
+// FAQ entries ("Q. 費用は？", "Q1: …", "…できますか？"), tested after NFKC
+const QUESTION_HEADING_RE = /^Q\s*\d*\s*[.:)]|\?$/i;
+
+// Service names from H2/H3 headings, section labels and questions filtered out. Headings of
+// service pages are used when they yield any; other pages (FAQ pages excepted) are the fallback.
+function extractServices(crawl) {
+  const pages = crawl.pages || [];
+  const headingsOf = (list) => list.flatMap(p => p.headingsText || []);
+  const fromService = serviceHeadings(headingsOf(pages.filter(p => p.type === 'service')));
+  if (fromService.length) return fromService;
+  return serviceHeadings([
+    ...headingsOf(pages.filter(p => p.type !== 'service' && p.type !== 'faq')),
+    ...(crawl.headingsText || [])
+  ]);
+}
+
+function serviceHeadings(headings) {
+  const services = [];
+  for (const heading of headings) {
+    if (heading.level !== 'h2' && heading.level !== 'h3') continue;
+    const text = String(heading.text || '').replace(/\s+/g, ' ').trim();
+    if (text.length < 2 || text.length > 20) continue;
+    if (/^[\x20-\x7E]+$/.test(text)) continue; // English section labels ("SERVICE", "WORKS")
+    if (QUESTION_HEADING_RE.test(text.normalize('NFKC'))) continue;
+    if (GENERIC_HEADINGS.some(g => text.includes(g))) continue;
+    if (!services.includes(text)) services.push(text);
+    if (services.length >= MAX_SERVICE_QUERIES) break;
+  }
+  return services;
+}
+
+function extractRepresentative(jsonLd, crawl) {
+  const field = crawl.entityConsistency ? crawl.entityConsistency.fields.find(f => f.field === 'representative') : null;
+  return firstString(findEntityValues(jsonLd, 'Organization', 'founder.name'))
+    || firstString(findEntityValues(jsonLd, 'Organization', 'founder'))
+    || (field && field.values.length ? field.values[0].value : null)
+    || (crawl.pageModel ? findRepresentatives((crawl.pageModel.textNodes || []).join('\n'))[0] : null)
+    || null;
+}
+
+// The company-name query of a query list (planned or answered), or null when there is none
+export function findCompanyQuery(queries) {
+  return (queries || []).find(q => q.id === 'company') || null;
+}
+
+// Returns [{ id, label, weight, query }], at most `budget` long (the company query comes first;
+// it is missing when no company name is known, and the list can then be empty)
+export function buildVisibilityQueries(facts, { querySet = VISIBILITY_QUERY_SET, budget = VISIBILITY_DEFAULT_BUDGET } = {}) {
+  const queries = [];
+  for (const entry of querySet) {
+    if ((entry.requires || []).some(key => !hasFact(facts[key]))) continue;
+    const values = entry.each ? facts[entry.each] || [] : [null];
+    for (const value of values) {
+      const vars = entry.each ? { ...facts, [singular(entry.each)]: value } : facts;
+      const query = entry.template
+        .replace(/\{(\w+)\}/g, (m, key) => (typeof vars[key] === 'string' ? vars[key] : ''))
+        .replace(/\s+/g, ' ').trim();
+      if (query && !queries.some(q => q.query === query)) {
+        queries.push({ id: entry.id, label: entry.label, weight: entry.weight, query });
+      }
+    }
+  }
+  return queries.slice(0, Math.max(1, budget));
+}
+
+function hasFact(value) {
+  return Array.isArray(value) ? value.length > 0 : typeof value === 'string' && value.trim() !== '';
+}
+
+function singular(listName) {
+  return listName.replace(/s$/, '');
+}
+
+function normalizeForMatch(text) {
+  return String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, '');
+}
+
+// Company name without its legal form ("株式会社テスト" -> "テスト"); null when too short to match safely
+function companyCore(companyName) {
+  const core = normalizeForMatch(String(companyName || '').normalize('NFKC').replace(LEGAL_FORMS_RE, ''));
+  return core.length >= 2 ? core : null;
+}
+
+// { mentioned, cited }: the answer names the company (or its domain); a source points at the domain
+export function detectMention(text, sources, { company, domain }) {
+  const answer = normalizeForMatch(text);
+  const core = companyCore(company);
+  const mentioned = !!((core && answer.includes(core)) || (domain && answer.includes(domain)));
+  const cited = !!domain && (sources || []).some(s => (s.domain
+    ? s.domain === domain || s.domain.endsWith('.' + domain)
+    : normalizeForMatch(s.uri).includes(domain) || normalizeForMatch(s.title).includes(domain)));
+  return { mentioned, cited };
+}
+
+// Asks every query in parallel. Resolves to
+//   { score, mentionedCount, citedCount, queries: [{ id, label, weight, query, success, error,
+//     text, sources, mentioned, cited }] }
+// score is null when no query got an answer. resolveSources(sources), when given, rewrites each
+// answer's sources before the citation check (see citations.js).
+export async function runVisibilityTest(search, queries, facts, { usage, timeoutMs = 30000, resolveSources = null } = {}) {
+  const results = await Promise.all(queries.map(async (q) => {
+    try {
+      const result = await search.search({ task: 'ai-test', prompt: q.query, timeoutMs, usage });
+      if (!result.success) return { ...q, success: false, error: result.error || null, text: null, sources: [], mentioned: false, cited: false };
+      const sources = resolveSources ? await resolveSources(result.sources || []) : result.sources || [];
+      return { ...q, success: true, error: null, text: result.text || '', sources, ...detectMention(result.text, sources, facts) };
+    } catch (e) {
+      console.error('AI visibility query failed:', q.id, e.message);
+      return { ...q, success: false, error: 'Google AI検索テスト中にエラーが発生しました', text: null, sources: [], mentioned: false, cited: false };
+    }
+  }));
+
+  return {
+    score: visibilityScore(results),
+    mentionedCount: results.filter(r => r.mentioned).length,
+    citedCount: results.filter(r => r.cited).length,
+    queries: results
+  };
+}
+
+function visibilityScore(results) {
+  const answered = results.filter(r => r.success);
+  const maxWeight = answered.reduce((sum, r) => sum + r.weight, 0);
+  if (maxWeight === 0) return null;
+  const earned = answered.reduce((sum, r) =>
+    sum + r.weight * ((r.mentioned ? MENTION_SHARE : 0) + (r.cited ? CITATION_SHARE : 0)), 0);
+  return Math.round(earned / maxWeight * 100);
+}
@@ -0,0 +1,120 @@
+// Citation analysis of AI search grounding sources
+//
+// Gemini returns its sources as Google redirect URLs (vertexaisearch.cloud.google.com/grounding-api-redirect/...)
+// titled with the site's domain. resolveSources() follows the redirect to the real URL (falling back
+// to the title) and classifies the domain; analyzeCitations() then reports how much of what the AI
+// relies on is the company's own site and which third-party sites it leans on.
+
+const REDIRECT_HOSTS = ['vertexaisearch.cloud.google.com'];
+const RESOLVE_TIMEOUT_MS = 5000;
+
+// Matched against the domain and its parent domains ("m.facebook.com" matches "facebook.com")
+const SOURCE_CATEGORIES = {
+  sns: [
+    'instagram.com', 'facebook.com', 'x.com', 'twitter.com', 'youtube.com', 'tiktok.com', 'linkedin.com',
+    'line.me', 'note.com', 'ameblo.jp', 'threads.net', 'pinterest.com', 'pinterest.jp'
+  ],
+  directory: [
+    'google.com', 'maps.app.goo.gl', 'tabelog.com', 'hotpepper.jp', 'beauty.hotpepper.jp', 'ekiten.jp',
+    'suumo.jp', 'homes.co.jp', 'athome.co.jp', 'itp.ne.jp', 'mapion.co.jp', 'navitime.co.jp',
+    'baseconnect.in', 'houjin.jp', 'gbiz.go.jp', 'indeed.com', 'jp.indeed.com', 'townwork.net',
+    'en-gage.net', 'mynavi.jp', 'rikunabi.com', 'caloo.jp', 'epark.jp', 'minkou.jp', 'jalan.net',
+    'ikyu.com', 'retty.me', 'gnavi.co.jp', 'zba.jp', 'lifull.com', 'biz.ne.jp', 'bizmap.jp'
+  ],
+  news: [
+    'prtimes.jp', 'news.yahoo.co.jp', 'nikkei.com', 'asahi.com', 'yomiuri.co.jp', 'mainichi.jp',
+    'sankei.com', 'nhk.or.jp', 'jiji.com', 'kyodonews.jp', 'itmedia.co.jp', 'toyokeizai.net',
+    'diamond.jp', 'president.jp', 'atpress.ne.jp', 'valuepress.com', 'newspicks.com'
+  ],
+  reference: ['wikipedia.org', 'go.jp', 'lg.jp', 'ac.jp', 'ed.jp']
+};
+
+// own | sns | directory | news | reference | competitor (any other site)
+export const CITATION_CATEGORY_LABELS = {
+  own: '自社サイト',
+  sns: 'SNS',
+  directory: 'ポータル・口コミサイト',
+  news: 'ニュース・プレスリリース',
+  reference: '公的機関・百科事典',
+  competitor: '他社サイト'
+};
+
+export function domainOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+function matchesDomain(domain, candidate) {
+  return domain === candidate || domain.endsWith('.' + candidate);
+}
+
+export function classifyDomain(domain, ownDomain) {
+  if (!domain) return 'competitor';
+  if (ownDomain && matchesDomain(domain, ownDomain)) return 'own';
+  for (const [category, domains] of Object.entries(SOURCE_CATEGORIES)) {
+    if (domains.some(d => matchesDomain(domain, d))) return category;
+  }
+  return 'competitor';
+}
+
+// Grounding titles are usually the bare domain ("example.com")
+function domainFromTitle(title) {
+  const text = String(title || '').trim().toLowerCase().replace(/^www\./, '');
+  return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(text) ? text : null;
+}
+
+async function followRedirect(uri) {
+  try {
+    const response = await fetch(uri, { method: 'GET', redirect: 'manual', signal: AbortSignal.timeout(RESOLVE_TIMEOUT_MS) });
+    if (response.body) response.body.cancel().catch(() => {});
+    const location = response.headers.get('Location');
+    return location ? new URL(location, uri).href : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Adds { url, domain, category } to each source. url is null when a redirect could not be resolved.
+export async function resolveSources(sources, ownDomain) {
+  return Promise.all((sources || []).map(async (source) => {
+    let url = source.uri || null;
+    const host = domainOf(url);
+    if (host && REDIRECT_HOSTS.includes(host)) url = await followRedirect(url);
+    const domain = (url && domainOf(url)) || domainFromTitle(source.title);
+    return { ...source, url, domain, category: classifyDomain(domain, ownDomain) };
+  }));
+}
+
+// queries: [{ sources }] with resolved sources. Returns
+//   { total, ownCount, ownShare, byCategory: { [category]: count },
+//     thirdParty: [{ domain, category, label, count }] (most cited first) }
+// ownShare is the percentage of citations pointing at the own domain, null without citations.
+export function analyzeCitations(queries) {
+  const byCategory = Object.fromEntries(Object.keys(CITATION_CATEGORY_LABELS).map(c => [c, 0]));
+  const thirdParty = {};
+  let total = 0;
+
+  for (const query of queries || []) {
+    for (const source of query.sources || []) {
+      total++;
+      byCategory[source.category] = (byCategory[source.category] || 0) + 1;
+      if (source.category === 'own' || !source.domain) continue;
+      const entry = thirdParty[source.domain] || (thirdParty[source.domain] = {
+        domain: source.domain, category: source.category,
+        label: CITATION_CATEGORY_LABELS[source.category], count: 0
+      });
+      entry.count++;
+    }
+  }
+
+  return {
+    total,
+    ownCount: byCategory.own,
+    ownShare: total > 0 ? Math.round(byCategory.own / total * 100) : null,
+    byCategory,
+    thirdParty: Object.values(thirdParty).sort((a, b) => b.count - a.count || a.domain.localeCompare(b.domain))
+  };
+}
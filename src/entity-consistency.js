@@ -0,0 +1,208 @@
+// Entity consistency across crawled pages: company name, postal code, address, phone number
+// and representative as written in the page text and in JSON-LD
+//
+// extractEntityFacts() runs per page; checkEntityConsistency() compares the values of all pages
+// after normalizing full-width/half-width forms, hyphen variants, (株)/株式会社 and 丁目/番地/号,
+// and reports each field whose pages disagree, with the URLs where every variant appears.
+// An address that is the start of a longer one (a JSON-LD addressRegion, an address without the
+// building name) counts as the same address.
+
+import { findEntityValues } from './jsonld.js';
+
+export const ENTITY_FIELDS = {
+  name: '会社名',
+  postalCode: '郵便番号',
+  address: '住所',
+  phone: '電話番号',
+  representative: '代表者名'
+};
+
+const LEGAL_FORM_RE = /株式会社|有限会社|合同会社|合資会社|合名会社|一般社団法人|一般財団法人|医療法人|社会福祉法人|\(株\)|\(有\)/;
+const NAME_LABEL_RE = /(?:会社名|社名|商号|企業名|法人名|事業者名)\s*[:：]?\s*(\S{2,40})/g;
+const POSTAL_ADDRESS_RE = /〒\s?(\d{3})-?(\d{4})\s*([^\n〒]{4,80})?/g;
+const ADDRESS_LABEL_RE = /(?:住所|所在地|本社)\s*[:：]?\s*(?:〒\s?\d{3}-?\d{4}\s*)?([^\n〒]{4,80})/g;
+// Labels that commonly follow the address on the same line
+const ADDRESS_END_RE = /\s*(?:TEL|Tel|tel|電話|FAX|Fax|fax|E-?mail|MAIL|URL|営業時間|受付時間|定休日|代表|設立|資本金|アクセス|最寄)/;
+const PHONE_LABEL_RE = /(?:TEL|Tel|tel|電話番号|電話|☎|℡)\s*[.:：]?\s*(\(?0\d{1,4}\)?[-\s]?\d{1,4}[-\s]?\d{3,4})/g;
+// Only after an explicit label: 代表取締役(社長), 代表者(名), 代表社員, 代表理事, or 代表 followed by
+// a colon ("代表的な…", "代表作品", "代表番号" are ordinary words, not labels)
+const REPRESENTATIVE_RE = /(?:代表取締役(?:社長|会長)?(?:\s*CEO)?|代表者名?|代表社員|代表理事|代表(?=\s*[:：]))\s*[:：]?\s*(?!挨拶|メッセージ|電話|番号|取締役|者)([\u4E00-\u9FFF]{1,4} ?[\u4E00-\u9FFF\u3040-\u309F\u30A0-\u30FF]{1,5})/g;
+const ADDRESS_HINT_RE = /[都道府県市区町村郡]/;
+
+// Full-width to half-width (NFKC), every dash-like character to '-', whitespace collapsed
+export function normalizeWidth(value) {
+  return String(value || '')
+    .normalize('NFKC')
+    .replace(/[\u2010-\u2015\u2212\u30FC\uFF0D\uFF70]/g, (c, i, s) => (/\d/.test(s[i - 1] || '') || /\d/.test(s[i + 1] || '') ? '-' : c))
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Comparison keys: values with the same key are the same entity written differently
+const KEYS = {
+  name: (v) => normalizeWidth(v).replace(/\s/g, '').replace(/\(株\)/g, '株式会社').replace(/\(有\)/g, '有限会社').toLowerCase(),
+  postalCode: (v) => normalizeWidth(v).replace(/\D/g, ''),
+  address: (v) => normalizeWidth(v)
+    .replace(/\s/g, '')
+    .replace(/^〒?\d{3}-?\d{4}/, '')
+    .replace(/(\d+)(?:丁目|番地|番|の)/g, '$1-')
+    .replace(/(\d+)号/g, '$1')
+    .replace(/-+$/, ''),
+  phone: (v) => normalizeWidth(v).replace(/^\+81[-\s]?/, '0').replace(/\D/g, ''),
+  representative: (v) => normalizeWidth(v).replace(/\s/g, '')
+};
+
+function matchAll(text, re, pick) {
+  return [...text.matchAll(re)].map(pick).filter(Boolean);
+}
+
+// Page text with one line per text node (model.textNodes), so a value never runs into the next element
+function pageText(model) {
+  if (!model.textNodes) return normalizeWidth(model.text || '');
+  return model.textNodes.map(normalizeWidth).filter(Boolean).join('\n');
+}
+
+// Address up to the end of the line or the next label; null when it does not look like an address
+function addressValue(capture) {
+  const value = (capture || '').split(ADDRESS_END_RE)[0].trim();
+  return value.length >= 4 && ADDRESS_HINT_RE.test(value) ? value : null;
+}
+
+// text: lines of page text; a name never continues onto the next line
+export function findRepresentatives(text) {
+  const lines = String(text || '').split('\n').map(normalizeWidth).join('\n');
+  return matchAll(lines, REPRESENTATIVE_RE, m => m[1].trim());
+}
+
+function safeDecode(value) {
+  try { return decodeURIComponent(value); } catch (e) { return value; }
+}
+
+function jsonLdStrings(documents, schema, path) {
+  return findEntityValues(documents, schema, path).filter(v => typeof v === 'string' && v.trim()).map(v => v.trim());
+}
+
+// Per page: { name: [{ value, source }], postalCode, address, phone, representative }
+// source is 'text' | 'title' | 'json-ld' | 'tel-link'
+export function extractEntityFacts(model, documents = []) {
+  const text = pageText(model);
+  const facts = Object.fromEntries(Object.keys(ENTITY_FIELDS).map(field => [field, []]));
+  const add = (field, source, values) => {
+    for (const value of values) if (value) facts[field].push({ value, source });
+  };
+
+  // Company name: JSON-LD, title segments and labelled text that carry a legal form
+  add('name', 'json-ld', [
+    ...jsonLdStrings(documents, 'Organization', 'name'),
+    ...jsonLdStrings(documents, 'Organization', 'legalName')
+  ]);
+  add('name', 'title', normalizeWidth(model.title || '').split(/[|｜\-–—:：]/).map(s => s.trim()).filter(s => LEGAL_FORM_RE.test(s) && s.length <= 40));
+  add('name', 'text', matchAll(text, NAME_LABEL_RE, m => (LEGAL_FORM_RE.test(m[1]) ? m[1] : null)));
+
+  // Postal code and address
+  for (const m of text.matchAll(POSTAL_ADDRESS_RE)) {
+    add('postalCode', 'text', [`${m[1]}-${m[2]}`]);
+    add('address', 'text', [addressValue(m[3])]);
+  }
+  add('address', 'text', matchAll(text, ADDRESS_LABEL_RE, m => addressValue(m[1])));
+  add('postalCode', 'json-ld', jsonLdStrings(documents, 'Organization', 'address.postalCode'));
+  for (const address of findEntityValues(documents, 'Organization', 'address')) {
+    if (typeof address === 'string') {
+      add('address', 'json-ld', [address.replace(/^〒?\s?\d{3}-?\d{4}\s*/, '')]);
+    } else if (address && typeof address === 'object') {
+      const parts = [address.addressRegion, address.addressLocality, address.streetAddress].filter(p => typeof p === 'string');
+      if (parts.length) add('address', 'json-ld', [parts.join('')]);
+    }
+  }
+
+  // Phone: labelled numbers, tel: links, JSON-LD telephone
+  add('phone', 'text', matchAll(text, PHONE_LABEL_RE, m => m[1]));
+  add('phone', 'tel-link', (model.anchors || [])
+    .filter(a => /^tel:/i.test(a.href || ''))
+    .map(a => safeDecode(a.href.slice(4))));
+  add('phone', 'json-ld', jsonLdStrings(documents, 'Organization', 'telephone'));
+
+  // Representative
+  add('representative', 'text', findRepresentatives(text));
+  add('representative', 'json-ld', [
+    ...jsonLdStrings(documents, 'Organization', 'founder'),
+    ...jsonLdStrings(documents, 'Organization', 'founder.name')
+  ]);
+
+  // Drop values that normalize to nothing usable (e.g. a 3-digit "phone number")
+  facts.phone = facts.phone.filter(f => /^0\d{9,10}$/.test(KEYS.phone(f.value)));
+  facts.postalCode = facts.postalCode.filter(f => KEYS.postalCode(f.value).length === 7);
+  return facts;
+}
+
+// pages: [{ url, entityFacts }]. Returns
+//   { consistent, fields: [{ field, label, status: 'consistent'|'inconsistent'|'missing',
+//       values: [{ value, pageCount, pages: [{ url, sources }] }] }],
+//     issues: [{ field, label, message, values: [{ value, urls }] }] }
+// values are ordered by the number of pages using them, so values[0] is the majority form.
+export function checkEntityConsistency(pages) {
+  const fields = Object.entries(ENTITY_FIELDS).map(([field, label]) => {
+    const groups = new Map();
+    for (const page of pages) {
+      for (const fact of (page.entityFacts && page.entityFacts[field]) || []) {
+        const key = KEYS[field](fact.value);
+        if (!key) continue;
+        const group = groups.get(key) || { key, spellings: new Map(), pages: new Map() };
+        group.spellings.set(fact.value, (group.spellings.get(fact.value) || 0) + 1);
+        const sources = group.pages.get(page.url) || new Set();
+        sources.add(fact.source);
+        group.pages.set(page.url, sources);
+        groups.set(key, group);
+      }
+    }
+
+    const merged = field === 'address' ? mergeAddressPrefixes([...groups.values()]) : [...groups.values()];
+    const values = merged
+      .map(group => ({
+        value: [...group.spellings.entries()].sort((a, b) => b[1] - a[1])[0][0],
+        pageCount: group.pages.size,
+        pages: [...group.pages.entries()].map(([url, sources]) => ({ url, sources: [...sources] }))
+      }))
+      .sort((a, b) => b.pageCount - a.pageCount);
+
+    const status = values.length === 0 ? 'missing' : values.length === 1 ? 'consistent' : 'inconsistent';
+    return { field, label, status, values };
+  });
+
+  const issues = fields
+    .filter(f => f.status === 'inconsistent')
+    .map(f => ({
+      field: f.field,
+      label: f.label,
+      message: `${f.label}の表記が${f.values.length}通りあります：`
+        + f.values.map(v => `「${v.value}」（${v.pageCount}ページ）`).join(' / '),
+      values: f.values.map(v => ({ value: v.value, urls: v.pages.map(p => p.url) }))
+    }));
+
+  return { consistent: issues.length === 0, fields, issues };
+}
+
+// "東京都" and "東京都千代田区丸の内1-1" are the same address written with less detail; "…1-1" and
+// "…1-10" are not. Shorter groups are folded into the longest address they start.
+function addressCovers(longKey, shortKey) {
+  if (longKey.length <= shortKey.length || !longKey.startsWith(shortKey)) return false;
+  return !(/\d$/.test(shortKey) && /^\d/.test(longKey.slice(shortKey.length)));
+}
+
+function mergeAddressPrefixes(groups) {
+  const kept = [];
+  for (const group of groups.sort((a, b) => b.key.length - a.key.length)) {
+    const target = kept.find(k => addressCovers(k.key, group.key));
+    if (!target) {
+      kept.push(group);
+      continue;
+    }
+    // The longer spelling stays the displayed value; only the pages move over
+    for (const [url, sources] of group.pages) {
+      const merged = target.pages.get(url) || new Set();
+      for (const source of sources) merged.add(source);
+      target.pages.set(url, merged);
+    }
+  }
+  return kept;
+}
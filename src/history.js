@@ -0,0 +1,127 @@
+// Diagnosis history per domain
+//
+// Every fresh site check adds one entry under history:<domain>:<createdAt>:<id> in the DIAGNOSES
+// KV namespace, so a prefix list returns a domain's runs in chronological order. The value holds
+// the scores and a compact copy of the tech check; the list metadata holds the score alone.
+// compareWithPrevious() turns two entries into the deltas shown in the report's trend section.
+
+import { targetHost } from './rate-limit.js';
+
+const HISTORY_PREFIX = 'history:';
+export const HISTORY_LIMIT = 50;
+
+// Tech check fields kept in the history (the full tech check carries per-entity details)
+const TECH_CHECK_FIELDS = [
+  'https', 'responseTimeMs', 'robotsTxt', 'sitemapXml', 'llmsTxt', 'metaDescription', 'metaDescriptionLength',
+  'ogp', 'ogpTitle', 'ogpDescription', 'ogpImage', 'canonical', 'jsonLd', 'jsonLdTypes', 'jsonLdInvalidBlocks',
+  'dateModified', 'schemaOrganization', 'schemaFaq'
+];
+
+// Hostname without www, the key history is grouped by ("https://www.Example.com/a" -> "example.com")
+export function historyDomain(url) {
+  return targetHost(url);
+}
+
+function historyKey(domain, createdAt, id) {
+  return `${HISTORY_PREFIX}${domain}:${createdAt}:${id}`;
+}
+
+// Key of a stored site-check diagnosis' history entry (null for other diagnosis types)
+export function historyKeyFor(diagnosis) {
+  if (diagnosis.type !== 'site-check' || !diagnosis.crawlData) return null;
+  const domain = historyDomain(diagnosis.crawlData.url || diagnosis.answers.url);
+  return domain ? historyKey(domain, diagnosis.createdAt, diagnosis.id) : null;
+}
+
+export function compactTechCheck(techCheck) {
+  if (!techCheck) return null;
+  const compact = Object.fromEntries(TECH_CHECK_FIELDS.filter(f => f in techCheck).map(f => [f, techCheck[f]]));
+  const validations = techCheck.jsonLdValidations || [];
+  compact.jsonLdValidCount = validations.filter(v => v.valid).length;
+  compact.jsonLdValidationCount = validations.length;
+  if (techCheck.entityConsistency) {
+    compact.entityConsistent = techCheck.entityConsistency.consistent;
+    compact.entityIssues = techCheck.entityConsistency.issues.map(i => i.field);
+  }
+  return compact;
+}
+
+// { id, createdAt, url, overallScore, base, scoringVersion,
+//   categories: { [key]: { label, total, maxScore } }, techScore, techItems: [{ key, label, score, max }],
+//   techCheck }
+export function historyEntry(diagnosis, techCheck) {
+  const breakdown = diagnosis.scoreBreakdown || {};
+  const categories = (breakdown.rules && breakdown.rules.categories) || {};
+  return {
+    id: diagnosis.id,
+    createdAt: diagnosis.createdAt,
+    url: diagnosis.crawlData ? diagnosis.crawlData.url : diagnosis.answers.url,
+    overallScore: diagnosis.overallScore,
+    base: breakdown.base ?? null,
+    scoringVersion: diagnosis.scoringVersion || null,
+    categories: Object.fromEntries(Object.entries(categories).map(([key, c]) => [key, { label: c.label, total: c.total, maxScore: c.maxScore }])),
+    techScore: breakdown.tech ? breakdown.tech.score : null,
+    techItems: breakdown.tech ? breakdown.tech.items.map(({ key, label, score, max }) => ({ key, label, score, max })) : [],
+    techCheck: compactTechCheck(techCheck)
+  };
+}
+
+export async function recordHistory(kv, diagnosis, techCheck) {
+  const key = historyKeyFor(diagnosis);
+  if (!key) return null;
+  const entry = historyEntry(diagnosis, techCheck);
+  await kv.put(key, JSON.stringify(entry), { metadata: { score: entry.overallScore, created: entry.createdAt } });
+  return entry;
+}
+
+// Chronological (oldest first), at most `limit` of the latest entries
+export async function loadHistory(kv, domain, { limit = HISTORY_LIMIT } = {}) {
+  const keys = [];
+  let cursor;
+  do {
+    const list = await kv.list({ prefix: `${HISTORY_PREFIX}${domain}:`, cursor });
+    keys.push(...list.keys.map(k => k.name));
+    cursor = list.list_complete === false ? list.cursor : undefined;
+  } while (cursor);
+
+  keys.sort();
+  const values = await Promise.all(keys.slice(-limit).map(key => kv.get(key)));
+  return values.filter(Boolean).map(raw => JSON.parse(raw));
+}
+
+// Deltas of `entry` against the run right before it:
+//   { previous: { id, createdAt, overallScore }, overallScore, techScore,
+//     categories: [{ key, label, total, previous, delta }],
+//     improved: [{ key, label, score, previous, max }], regressed: [...], sameScoringVersion }
+// improved/regressed list the tech check items whose score changed. null without an earlier run.
+export function compareWithPrevious(history, entryId) {
+  const index = history.findIndex(e => e.id === entryId);
+  if (index <= 0) return null;
+  const entry = history[index];
+  const previous = history[index - 1];
+
+  const categories = Object.entries(entry.categories).map(([key, c]) => {
+    const before = previous.categories[key];
+    return { key, label: c.label, total: c.total, previous: before ? before.total : null, delta: before ? c.total - before.total : null };
+  });
+
+  const improved = [];
+  const regressed = [];
+  for (const item of entry.techItems) {
+    const before = previous.techItems.find(i => i.key === item.key);
+    if (!before || before.score === item.score) continue;
+    (item.score > before.score ? improved : regressed).push({ key: item.key, label: item.label, score: item.score, previous: before.score, max: item.max });
+  }
+
+  return {
+    previous: { id: previous.id, createdAt: previous.createdAt, overallScore: previous.overallScore },
+    overallScore: delta(entry.overallScore, previous.overallScore),
+    techScore: delta(entry.techScore, previous.techScore),
+    categories, improved, regressed,
+    sameScoringVersion: entry.scoringVersion === previous.scoringVersion
+  };
+}
+
+function delta(current, previous) {
+  return typeof current === 'number' && typeof previous === 'number' ? current - previous : null;
+}
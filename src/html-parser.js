@@ -0,0 +1,377 @@
+// Streaming HTML parser producing the normalized page model used by the crawler
+//
+// HTMLRewriter only exists inside Workers, so this is a small pure-JS tokenizer with the same
+// streaming shape (feed chunks as they arrive, get element/text callbacks) that also runs in
+// Node. It is deliberately lenient: attributes in any order or quoting style, entities, raw-text
+// elements (<script>, <style>) and <title> containing markup all resolve the way browsers do.
+
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'title', 'textarea', 'xmp', 'noembed', 'noframes']);
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+const HIDDEN_TEXT_ELEMENTS = new Set(['script', 'style', 'template', 'noscript', 'svg']);
+const HEADING_TAGS = new Set(['h1', 'h2', 'h3']);
+const BLOCK_ELEMENTS = new Set(['p', 'div', 'br', 'li', 'ul', 'ol', 'tr', 'td', 'th', 'table', 'section', 'article',
+  'header', 'footer', 'nav', 'main', 'aside', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'dt', 'dd', 'dl', 'blockquote', 'address', 'figure', 'figcaption']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  hellip: '…', mdash: '—', ndash: '–', laquo: '«', raquo: '»', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  yen: '¥', middot: '·', times: '×', divide: '÷', bull: '•', rarr: '→', larr: '←', uarr: '↑', darr: '↓',
+  deg: '°', plusmn: '±', sect: '§', para: '¶', euro: '€', cent: '¢', pound: '£', ensp: ' ', emsp: ' ', thinsp: ' '
+};
+
+export function decodeEntities(text) {
+  if (!text || text.indexOf('&') === -1) return text || '';
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);?/gi, (m, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      if (!Number.isFinite(code) || code <= 0 || code > 0x10FFFF) return m;
+      try { return String.fromCodePoint(code); } catch (e) { return m; }
+    }
+    const named = NAMED_ENTITIES[ref.toLowerCase()] !== undefined ? NAMED_ENTITIES[ref.toLowerCase()] : NAMED_ENTITIES[ref];
+    return named !== undefined ? named : m;
+  });
+}
+
+function parseAttributes(source) {
+  const attrs = {};
+  const regex = /([^\s"'<>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = regex.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    if (name in attrs) continue; // first occurrence wins, as in browsers
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attrs[name] = value === undefined ? '' : decodeEntities(value);
+  }
+  return attrs;
+}
+
+// Index of the '>' closing the tag at the start of `buffer`, skipping quoted attribute values, or -1.
+// scan ({ pos, quote, afterEquals }) is advanced in place, so a tag split across chunks is resumed
+// where the previous write() stopped instead of being rescanned from its start.
+function findTagEnd(buffer, scan) {
+  for (; scan.pos < buffer.length; scan.pos++) {
+    const c = buffer[scan.pos];
+    if (scan.quote) {
+      if (c === scan.quote) scan.quote = null;
+    } else if (c === '"' || c === "'") {
+      // Quotes only open a value right after '='
+      if (scan.afterEquals) scan.quote = c;
+      scan.afterEquals = false;
+    } else if (c === '>') {
+      return scan.pos;
+    } else if (c === '=') {
+      scan.afterEquals = true;
+    } else if (c.trim()) {
+      scan.afterEquals = false;
+    }
+  }
+  return -1;
+}
+
+// Streaming tokenizer. handlers: { startTag(name, attrs, selfClosing), endTag(name), text(text, rawParent) }
+// Call write(chunk) any number of times, then end().
+export function createHtmlTokenizer(handlers) {
+  let buffer = '';
+  let rawTag = null;
+  let foreignDepth = 0; // inside <svg>/<math> <title> is an ordinary element
+  let tagScan = null; // findTagEnd state of an incomplete start tag at the start of the buffer
+
+  const emitText = (text) => {
+    if (text) handlers.text(rawTag ? text : decodeEntities(text), rawTag);
+  };
+
+  function process(final) {
+    while (buffer.length > 0) {
+      if (rawTag) {
+        const closeRegex = new RegExp(`</${rawTag}(?=[\\s/>])`, 'i');
+        const match = closeRegex.exec(buffer);
+        if (!match) {
+          if (!final) {
+            // Keep enough to recognize a close tag split across chunks
+            const keep = rawTag.length + 3;
+            if (buffer.length > keep) {
+              emitText(buffer.slice(0, buffer.length - keep));
+              buffer = buffer.slice(buffer.length - keep);
+            }
+            return;
+          }
+          emitText(buffer);
+          buffer = '';
+          return;
+        }
+        const end = buffer.indexOf('>', match.index);
+        if (end === -1 && !final) return;
+        emitText(buffer.slice(0, match.index));
+        const name = rawTag;
+        rawTag = null;
+        handlers.endTag(name);
+        buffer = end === -1 ? '' : buffer.slice(end + 1);
+        continue;
+      }
+
+      const lt = buffer.indexOf('<');
+      if (lt === -1) {
+        // Hold back a possibly incomplete entity at the end of the chunk
+        const amp = final ? -1 : buffer.lastIndexOf('&');
+        if (amp !== -1 && buffer.length - amp < 12) {
+          emitText(buffer.slice(0, amp));
+          buffer = buffer.slice(amp);
+        } else {
+          emitText(buffer);
+          buffer = '';
+        }
+        return;
+      }
+      if (lt > 0) {
+        emitText(buffer.slice(0, lt));
+        buffer = buffer.slice(lt);
+        continue;
+      }
+
+      // buffer starts with '<'; wait until '<!--' / '</x' can be told apart
+      if (buffer.length < 4 && !final) return;
+      const next = buffer[1];
+
+      if (buffer.startsWith('<!--')) {
+        const end = buffer.indexOf('-->', 4);
+        if (end === -1) { if (!final) return; buffer = ''; return; }
+        buffer = buffer.slice(end + 3);
+      } else if (next === '!' || next === '?') {
+        const end = buffer.indexOf('>');
+        if (end === -1) { if (!final) return; buffer = ''; return; }
+        buffer = buffer.slice(end + 1);
+      } else if (next === '/' && /[a-z]/i.test(buffer[2] || '')) {
+        const end = buffer.indexOf('>');
+        if (end === -1) { if (!final) return; buffer = ''; return; }
+        const name = buffer.slice(2, end).trim().split(/[\s/]/)[0].toLowerCase();
+        if ((name === 'svg' || name === 'math') && foreignDepth > 0) foreignDepth--;
+        handlers.endTag(name);
+        buffer = buffer.slice(end + 1);
+      } else if (/[a-z]/i.test(next || '')) {
+        if (!tagScan) tagScan = { pos: 1, quote: null, afterEquals: false };
+        const end = findTagEnd(buffer, tagScan);
+        if (end === -1) { if (!final) return; tagScan = null; emitText(buffer); buffer = ''; return; }
+        tagScan = null;
+        const inner = buffer.slice(1, end);
+        const nameMatch = inner.match(/^[^\s/>]+/);
+        const name = nameMatch[0].toLowerCase();
+        const selfClosing = /\/\s*$/.test(inner);
+        const attrs = parseAttributes(inner.slice(name.length).replace(/\/\s*$/, ''));
+        buffer = buffer.slice(end + 1);
+        if (name === 'svg' || name === 'math') {
+          if (!selfClosing) foreignDepth++;
+        }
+        handlers.startTag(name, attrs, selfClosing);
+        if (!selfClosing && RAW_TEXT_ELEMENTS.has(name) && foreignDepth === 0) rawTag = name;
+      } else {
+        // A lone '<' is text
+        emitText('<');
+        buffer = buffer.slice(1);
+      }
+    }
+  }
+
+  return {
+    write(chunk) {
+      buffer += chunk;
+      process(false);
+    },
+    end() {
+      process(true);
+    }
+  };
+}
+
+// ========== Page Model ==========
+
+// Builds the page model from tokenizer events. Returns { handlers, finish() }.
+function createPageModelBuilder() {
+  const model = {
+    title: '',
+    lang: '',
+    meta: {},
+    canonical: null,
+    jsonLd: [],
+    headings: [],
+    headingCounts: { h1: 0, h2: 0, h3: 0 },
+    anchors: [],
+    images: [],
+    scriptCount: 0,
+    stylesheetCount: 0,
+    text: '',
+    textNodes: []
+  };
+
+  const textParts = [];
+  // Visible text split at every tag, so callers can match values without running into the next element
+  const nodeParts = [];
+  let titleText = null;
+  let titleDone = false;
+  let hiddenDepth = 0;
+  let svgDepth = 0;
+  let heading = null;
+  let jsonLdText = null;
+  let anchor = null;
+
+  const handlers = {
+    startTag(name, attrs, selfClosing) {
+      if (name === 'html' && attrs.lang && !model.lang) model.lang = attrs.lang;
+      if (name === 'svg') { if (!selfClosing) svgDepth++; }
+
+      if (name === 'title' && svgDepth === 0 && !titleDone) titleText = '';
+      if (name === 'meta') {
+        const key = (attrs.name || attrs.property || attrs['http-equiv'] || '').toLowerCase();
+        if (key && attrs.content !== undefined && !(key in model.meta)) model.meta[key] = attrs.content.trim();
+        if (attrs.charset) model.meta.charset = attrs.charset;
+      }
+      if (name === 'link') {
+        const rel = (attrs.rel || '').toLowerCase().split(/\s+/);
+        if (rel.includes('canonical') && model.canonical === null) model.canonical = attrs.href || '';
+        if (rel.includes('stylesheet')) model.stylesheetCount++;
+      }
+      if (name === 'script') {
+        model.scriptCount++;
+        if ((attrs.type || '').toLowerCase().trim() === 'application/ld+json') jsonLdText = '';
+      }
+      if (name === 'img') model.images.push({ src: attrs.src || '', alt: attrs.alt === undefined ? null : attrs.alt });
+      if (name === 'a' && attrs.href !== undefined) {
+        anchor = { href: attrs.href, text: '' };
+        model.anchors.push(anchor);
+      }
+      if (HEADING_TAGS.has(name) && hiddenDepth === 0) {
+        model.headingCounts[name]++;
+        heading = { level: name, text: '' };
+      }
+      if (HIDDEN_TEXT_ELEMENTS.has(name) && !selfClosing && !VOID_ELEMENTS.has(name)) hiddenDepth++;
+      if (BLOCK_ELEMENTS.has(name)) textParts.push(' ');
+      nodeParts.push('\n');
+    },
+
+    endTag(name) {
+      if (name === 'title' && titleText !== null) {
+        // <title> is raw text; markup inside it is stripped rather than shown
+        model.title = decodeEntities(titleText.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+        titleText = null;
+        titleDone = true;
+      }
+      if (name === 'script' && jsonLdText !== null) {
+        model.jsonLd.push(parseJsonLdBlock(jsonLdText));
+        jsonLdText = null;
+      }
+      if (name === 'a') anchor = null;
+      if (heading && name === heading.level) {
+        const text = heading.text.replace(/\s+/g, ' ').trim();
+        if (text) model.headings.push({ level: heading.level, text: text.substring(0, 150) });
+        heading = null;
+      }
+      if (HIDDEN_TEXT_ELEMENTS.has(name) && hiddenDepth > 0) hiddenDepth--;
+      if (name === 'svg' && svgDepth > 0) svgDepth--;
+      if (BLOCK_ELEMENTS.has(name)) textParts.push(' ');
+      nodeParts.push('\n');
+    },
+
+    text(text, rawParent) {
+      if (rawParent === 'title' && titleText !== null) { titleText += text; return; }
+      if (rawParent === 'script') { if (jsonLdText !== null) jsonLdText += text; return; }
+      if (rawParent) return;
+      if (hiddenDepth > 0) return;
+      textParts.push(text);
+      nodeParts.push(text.replace(/\n/g, ' '));
+      if (heading) heading.text += text;
+      if (anchor) anchor.text += text;
+    }
+  };
+
+  function finish() {
+    if (titleText !== null) {
+      model.title = decodeEntities(titleText.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+    }
+    model.text = textParts.join('').replace(/\s+/g, ' ').trim();
+    model.textNodes = nodeParts.join('').split('\n').map(t => t.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    model.anchors.forEach(a => { a.text = a.text.replace(/\s+/g, ' ').trim(); });
+    return model;
+  }
+
+  return { handlers, finish };
+}
+
+function parseJsonLdBlock(raw) {
+  const text = raw.trim();
+  try {
+    return { raw: text, data: JSON.parse(text), error: null };
+  } catch (e) {
+    // Some CMSs wrap JSON-LD in HTML comments or CDATA
+    const cleaned = text.replace(/^\s*(<!--|\/\*<!\[CDATA\[\*\/|<!\[CDATA\[)/, '').replace(/(-->|\/\*\]\]>\*\/|\]\]>)\s*$/, '');
+    try {
+      return { raw: text, data: JSON.parse(cleaned), error: null };
+    } catch (e2) {
+      return { raw: text, data: null, error: e2.message };
+    }
+  }
+}
+
+// Parses a complete HTML string
+export function parseHtml(html) {
+  const builder = createPageModelBuilder();
+  const tokenizer = createHtmlTokenizer(builder.handlers);
+  tokenizer.write(String(html || ''));
+  tokenizer.end();
+  return builder.finish();
+}
+
+// Parses a response body stream. Only the first maxChars characters are read, parsed and kept;
+// the rest of the body is cancelled, so size is then just the characters read (truncated: true).
+// Resolves to { model, html, size, truncated }.
+export async function parseHtmlStream(stream, maxChars = 500000) {
+  const builder = createPageModelBuilder();
+  const tokenizer = createHtmlTokenizer(builder.handlers);
+  const decoder = new TextDecoder();
+  const reader = stream.getReader();
+  let html = '';
+  let size = 0;
+
+  const feed = (chunk) => {
+    size += chunk.length;
+    const part = chunk.slice(0, maxChars - html.length);
+    html += part;
+    tokenizer.write(part);
+  };
+
+  let truncated = false;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    feed(decoder.decode(value, { stream: true }));
+    if (html.length >= maxChars) {
+      truncated = true;
+      await reader.cancel().catch(() => {});
+      break;
+    }
+  }
+  if (!truncated) feed(decoder.decode());
+  tokenizer.end();
+
+  return { model: builder.finish(), html, size, truncated };
+}
+
+// ========== Model helpers ==========
+
+export function getMeta(model, key) {
+  return model.meta[key.toLowerCase()] || '';
+}
+
+// Share of <img> with non-empty alt (true when the page has no images)
+export function altTextRatio(model) {
+  if (model.images.length === 0) return true;
+  return model.images.filter(img => img.alt && img.alt.trim()).length / model.images.length;
+}
+
+export function copyrightYear(model) {
+  const match = model.text.match(/(?:©|\(c\)|copyright)\s*(?:\d{4}\s*[-–—]\s*)?(\d{4})/i);
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// Parsed JSON-LD documents (blocks that failed to parse are skipped)
+export function jsonLdDocuments(model) {
+  return model.jsonLd.filter(block => block.data !== null).map(block => block.data);
+}
@@ -0,0 +1,298 @@
+// JSON-LD graph analysis
+//
+// Sites built with Yoast / Rank Math emit one document whose @graph links a dozen entities
+// by @id, often with the same @id split across several blocks. analyzeJsonLd() flattens every
+// document (arrays, @graph, nested entities) into one node list, merges nodes sharing an @id,
+// resolves { "@id": ... } references and checks the schema.org types we care about.
+
+// Subtypes that should be validated as their parent (not exhaustive: the common ones on
+// Japanese SMB sites)
+const TYPE_PARENTS = {
+  Corporation: 'Organization',
+  NGO: 'Organization',
+  EducationalOrganization: 'Organization',
+  MedicalOrganization: 'Organization',
+  GovernmentOrganization: 'Organization',
+  ProfessionalService: 'LocalBusiness',
+  LegalService: 'LocalBusiness',
+  AccountingService: 'LocalBusiness',
+  FinancialService: 'LocalBusiness',
+  RealEstateAgent: 'LocalBusiness',
+  HomeAndConstructionBusiness: 'LocalBusiness',
+  GeneralContractor: 'LocalBusiness',
+  AutomotiveBusiness: 'LocalBusiness',
+  HealthAndBeautyBusiness: 'LocalBusiness',
+  BeautySalon: 'LocalBusiness',
+  HairSalon: 'LocalBusiness',
+  MedicalClinic: 'LocalBusiness',
+  Dentist: 'LocalBusiness',
+  FoodEstablishment: 'LocalBusiness',
+  Restaurant: 'LocalBusiness',
+  CafeOrCoffeeShop: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  Hotel: 'LocalBusiness',
+  ChildCare: 'LocalBusiness',
+  EmploymentAgency: 'LocalBusiness',
+  LocalBusiness: 'Organization',
+  BlogPosting: 'Article',
+  NewsArticle: 'Article',
+  TechArticle: 'Article',
+  Report: 'Article'
+};
+
+// Required / recommended properties per validated type, after Google's structured data
+// guidelines. FAQPage and BreadcrumbList also check their items (see ITEM_CHECKS).
+const SCHEMA_RULES = {
+  Organization: {
+    required: ['name'],
+    recommended: ['url', 'logo', 'description', 'address', 'telephone', 'sameAs']
+  },
+  LocalBusiness: {
+    required: ['name', 'address'],
+    recommended: ['telephone', 'url', 'image', 'geo', 'openingHoursSpecification', 'priceRange']
+  },
+  FAQPage: {
+    required: ['mainEntity'],
+    recommended: []
+  },
+  BreadcrumbList: {
+    required: ['itemListElement'],
+    recommended: []
+  },
+  Article: {
+    required: ['headline'],
+    recommended: ['author', 'datePublished', 'dateModified', 'image', 'publisher']
+  },
+  Service: {
+    required: ['name'],
+    recommended: ['description', 'provider', 'serviceType', 'areaServed', 'offers']
+  }
+};
+
+const ITEM_CHECKS = {
+  FAQPage: { property: 'mainEntity', type: 'Question', required: ['name', 'acceptedAnswer.text'] },
+  // Google accepts the crumb name on the ListItem or on its item
+  BreadcrumbList: { property: 'itemListElement', type: 'ListItem', required: ['position', 'name|item.name'] }
+};
+
+// 'https://schema.org/Organization' / 'schema:Organization' -> 'Organization'
+function normalizeType(type) {
+  return String(type).replace(/^https?:\/\/schema\.org\//i, '').replace(/^schema:/i, '');
+}
+
+function typesOf(node) {
+  const raw = node['@type'];
+  if (!raw) return [];
+  return (Array.isArray(raw) ? raw : [raw]).filter(t => typeof t === 'string').map(normalizeType);
+}
+
+// Validated schemas for a type, most specific first (Dentist -> LocalBusiness, Organization)
+function schemasFor(type) {
+  const schemas = [];
+  let current = type;
+  for (let depth = 0; current && depth < 4; depth++) {
+    if (SCHEMA_RULES[current]) schemas.push(current);
+    current = TYPE_PARENTS[current];
+  }
+  return schemas;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isReference(value) {
+  return isObject(value) && typeof value['@id'] === 'string' && Object.keys(value).length === 1;
+}
+
+// Flattens one parsed JSON-LD document into entity nodes. Nested objects with an @type or
+// @id become their own nodes and are replaced by references in the parent.
+function flattenDocument(doc, nodes, source) {
+  let blankCount = 0;
+
+  const visit = (value) => {
+    if (Array.isArray(value)) return value.map(visit);
+    if (!isObject(value)) return value;
+    if (isReference(value)) return value;
+
+    const hasIdentity = value['@type'] !== undefined || typeof value['@id'] === 'string';
+    const copy = {};
+    for (const [key, child] of Object.entries(value)) {
+      if (key === '@context' || key === '@graph') continue;
+      copy[key] = visit(child);
+    }
+    if (!hasIdentity) return copy;
+
+    if (typeof copy['@id'] !== 'string') copy['@id'] = `_:${source}-${blankCount++}`;
+    nodes.push({ node: copy, source });
+    return { '@id': copy['@id'] };
+  };
+
+  const roots = Array.isArray(doc) ? doc : [doc];
+  for (const root of roots) {
+    if (!isObject(root)) continue;
+    if (Array.isArray(root['@graph'])) root['@graph'].forEach(visit);
+    // A root with only @context/@graph is a container, not an entity
+    const ownKeys = Object.keys(root).filter(k => k !== '@context' && k !== '@graph');
+    if (ownKeys.length > 0) visit(root);
+  }
+}
+
+// Merges nodes that share an @id (later blocks add properties, they do not replace)
+function mergeNodes(nodes) {
+  const byId = new Map();
+  for (const { node, source } of nodes) {
+    const existing = byId.get(node['@id']);
+    if (!existing) {
+      byId.set(node['@id'], { node: { ...node }, sources: [source] });
+      continue;
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key === '@type') {
+        const types = [...new Set([...typesOf(existing.node), ...typesOf(node)])];
+        existing.node['@type'] = types.length === 1 ? types[0] : types;
+      } else if (!(key in existing.node)) {
+        existing.node[key] = value;
+      }
+    }
+    if (!existing.sources.includes(source)) existing.sources.push(source);
+  }
+  return byId;
+}
+
+function isEmpty(value) {
+  if (value === undefined || value === null) return true;
+  if (typeof value === 'string') return value.trim() === '';
+  if (Array.isArray(value)) return value.length === 0 || value.every(isEmpty);
+  return false;
+}
+
+// Resolves a reference to its node (or returns the value unchanged)
+function resolve(value, byId) {
+  if (isReference(value) && byId.has(value['@id'])) return byId.get(value['@id']).node;
+  return value;
+}
+
+// Reads a dotted path ('acceptedAnswer.text'), following references along the way
+function readPath(node, path, byId) {
+  let values = [node];
+  for (const key of path.split('.')) {
+    values = values
+      .flatMap(v => (Array.isArray(v) ? v : [v]))
+      .map(v => resolve(v, byId))
+      .filter(isObject)
+      .map(v => v[key])
+      .filter(v => v !== undefined);
+  }
+  return values.flatMap(v => (Array.isArray(v) ? v : [v])).map(v => resolve(v, byId));
+}
+
+// path may list alternatives: 'name|item.name'
+function hasProperty(node, path, byId) {
+  return path.split('|').some(alternative => {
+    const values = readPath(node, alternative, byId);
+    // A dangling reference counts as present: the target may live on another page
+    return values.some(v => !isEmpty(v) && !(isObject(v) && Object.keys(v).length === 0));
+  });
+}
+
+function validateItems(node, check, byId) {
+  const items = readPath(node, check.property, byId).filter(isObject);
+  const issues = [];
+  items.forEach((item, i) => {
+    if (isReference(item)) return;
+    const itemTypes = typesOf(item);
+    if (itemTypes.length > 0 && !itemTypes.includes(check.type)) {
+      issues.push(`${check.property}[${i}] の @type が ${check.type} ではありません`);
+    }
+    for (const path of check.required) {
+      if (!hasProperty(item, path, byId)) issues.push(`${check.property}[${i}] に ${path} がありません`);
+    }
+  });
+  return issues;
+}
+
+function validateNode(node, schema, type, byId) {
+  const rules = SCHEMA_RULES[schema];
+  const missingRequired = rules.required.filter(path => !hasProperty(node, path, byId));
+  const missingRecommended = rules.recommended.filter(path => !hasProperty(node, path, byId));
+  const issues = ITEM_CHECKS[schema] && missingRequired.length === 0
+    ? validateItems(node, ITEM_CHECKS[schema], byId)
+    : [];
+  return {
+    schema,
+    type,
+    id: node['@id'].startsWith('_:') ? null : node['@id'],
+    name: typeof node.name === 'string' ? node.name : null,
+    valid: missingRequired.length === 0 && issues.length === 0,
+    missingRequired,
+    missingRecommended,
+    issues
+  };
+}
+
+function buildGraph(documents) {
+  const nodes = [];
+  (documents || []).forEach((doc, i) => flattenDocument(doc, nodes, i));
+  return mergeNodes(nodes);
+}
+
+function nodeSchemas(node) {
+  return [...new Set(typesOf(node).flatMap(schemasFor))];
+}
+
+// documents: parsed JSON-LD blocks (see jsonLdDocuments in html-parser.js)
+// Returns {
+//   types:       every entity type found (deduplicated)
+//   schemas:     validated schemas present, incl. parents (a Dentist also counts as Organization)
+//   entities:    [{ id, types, properties, sources }] after @id merging
+//   validations: [{ schema, type, id, name, valid, missingRequired, missingRecommended, issues }]
+// }
+export function analyzeJsonLd(documents) {
+  const byId = buildGraph(documents);
+
+  const types = [];
+  const schemas = [];
+  const entities = [];
+  const validations = [];
+  for (const { node, sources } of byId.values()) {
+    const nodeTypes = typesOf(node);
+    for (const t of nodeTypes) if (!types.includes(t)) types.push(t);
+    for (const schema of nodeSchemas(node)) if (!schemas.includes(schema)) schemas.push(schema);
+    entities.push({
+      id: node['@id'].startsWith('_:') ? null : node['@id'],
+      types: nodeTypes,
+      properties: Object.keys(node).filter(k => !k.startsWith('@')),
+      sources
+    });
+
+    // Each declared type is validated against its most specific rule set only
+    // (a LocalBusiness is not reported a second time as an Organization)
+    const validated = new Set();
+    for (const t of nodeTypes) {
+      const schema = schemasFor(t)[0];
+      if (!schema || validated.has(schema)) continue;
+      validated.add(schema);
+      validations.push(validateNode(node, schema, t, byId));
+    }
+  }
+
+  return { types, schemas, entities, validations };
+}
+
+// Resolved entity nodes of a schema, incl. subtypes (every Organization incl. Corporation / LocalBusiness)
+export function findEntities(documents, schema) {
+  return [...buildGraph(documents).values()]
+    .map(entry => entry.node)
+    .filter(node => nodeSchemas(node).includes(schema));
+}
+
+// Values at a dotted path ('address.postalCode') across the entities of a schema, references resolved
+export function findEntityValues(documents, schema, path) {
+  const byId = buildGraph(documents);
+  return [...byId.values()]
+    .map(entry => entry.node)
+    .filter(node => nodeSchemas(node).includes(schema))
+    .flatMap(node => readPath(node, path, byId));
+}
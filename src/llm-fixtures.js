@@ -0,0 +1,70 @@
+// Built-in replies for the mock LLM provider (LLM_PROVIDER=mock)
+//
+// One valid reply per diagnosis step so every handler runs end-to-end offline
+// (wrangler dev, local smoke tests). Override or add cases with LLM_MOCK_FIXTURES.
+
+export const DEFAULT_LLM_FIXTURES = {
+  'ai-check': {
+    data: {
+      solutions: [
+        {
+          title: '見積書の作成をAIに任せる',
+          point: '見積作成の時間が1件30分から5分に',
+          before: '過去の見積書を探して、金額や項目を手で書き写している',
+          after: '案件の条件を伝えるだけで、AIが見積書の下書きを作成する'
+        },
+        {
+          title: 'お問い合わせの一次対応',
+          point: '営業時間外の問い合わせにも即日返信',
+          before: '夜間や休日の問い合わせへの返信が翌営業日になっている',
+          after: 'よくある質問にはAIが下書きした返信を確認して送るだけになる'
+        }
+      ]
+    }
+  },
+
+  'web-check': {
+    data: {
+      solutions: [
+        {
+          title: '会社情報をAIに伝わる形に整理する',
+          point: 'AI検索で御社の正しい情報が表示される',
+          before: '会社概要のページに所在地や対応エリアがまとまっていない',
+          after: 'AIに聞かれたとき、所在地・事業内容が正しく答えられる'
+        },
+        {
+          title: 'よくある質問ページを作る',
+          point: 'お客様の疑問に先回りして答えられる',
+          before: '料金や対応期間についての質問が電話で何度も来ている',
+          after: 'よくある質問を見て納得したお客様から問い合わせが来る'
+        }
+      ]
+    }
+  },
+
+  'site-check': {
+    data: {
+      overall_score: 52,
+      categories: [
+        { id: 'entity', score: 45, priority: 1, findings: ['トップページに会社名の記載が確認されました', '所在地の記載がフッターのみでした'], business_impact: '名刺に住所が小さくしか書いていない状態です。' },
+        { id: 'structured_data', score: 40, priority: 2, findings: ['Organizationの構造化データ（AI向けの会社情報タグ）が確認されました'], business_impact: 'AIが会社の基本情報を読み取れる状態です。' },
+        { id: 'content_structure', score: 55, priority: 3, findings: ['FAQ形式のコンテンツの記載がありません'], business_impact: 'お客様の疑問にAIが答える材料が不足しています。' },
+        { id: 'local_signal', score: 60, priority: 4, findings: ['本文中に地域名の記載が確認されました'], business_impact: '地域で探しているお客様に見つけてもらいやすい状態です。' },
+        { id: 'technical', score: 75, priority: 5, findings: ['HTTPS（暗号化通信）に対応しています'], business_impact: '技術的にはAIが読める状態です。' }
+      ],
+      summary_actions: ['会社情報を1ページにまとめる', 'よくある質問ページを追加する'],
+      priority_actions: [
+        { title: '会社情報の整理', description: '所在地・対応エリア・事業内容を会社概要にまとめる' },
+        { title: 'FAQの追加', description: '料金や期間など、よく聞かれる質問を掲載する' }
+      ],
+      ai_test_judgment: 'partial'
+    }
+  },
+
+  'ai-test': {
+    text: 'この会社は地域の中小企業向けにWebサイト制作とAI活用の支援を行っている企業です。（モック応答）',
+    sources: [
+      { title: 'example.com', uri: 'https://example.com/' }
+    ]
+  }
+};
@@ -0,0 +1,119 @@
+// JSON schemas for the LLM output of each diagnosis type, and a small validator
+//
+// Supports the subset of JSON Schema the diagnoses need: type, required, properties,
+// items, minItems, maxItems, enum, minimum, maximum, minLength. Error messages are in
+// Japanese because they are fed back to the model in the repair round.
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+const solutionsSchema = {
+  type: 'object',
+  required: ['solutions'],
+  properties: {
+    solutions: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['title', 'point', 'before', 'after'],
+        properties: {
+          title: nonEmptyString,
+          point: nonEmptyString,
+          before: nonEmptyString,
+          after: nonEmptyString
+        }
+      }
+    }
+  }
+};
+
+const siteCheckSchema = {
+  type: 'object',
+  required: ['categories', 'summary_actions', 'priority_actions', 'ai_test_judgment'],
+  properties: {
+    overall_score: { type: 'number', minimum: 0, maximum: 100 },
+    categories: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 5,
+      items: {
+        type: 'object',
+        required: ['id', 'score', 'priority', 'findings', 'business_impact'],
+        properties: {
+          id: { type: 'string', enum: ['entity', 'structured_data', 'content_structure', 'local_signal', 'technical'] },
+          score: { type: 'number', minimum: 0, maximum: 100 },
+          priority: { type: 'integer', minimum: 1, maximum: 5 },
+          findings: { type: 'array', items: { type: 'string' } },
+          business_impact: { type: 'string' }
+        }
+      }
+    },
+    summary_actions: { type: 'array', maxItems: 4, items: { type: 'string' } },
+    priority_actions: {
+      type: 'array',
+      maxItems: 3,
+      items: {
+        type: 'object',
+        required: ['title', 'description'],
+        properties: { title: nonEmptyString, description: nonEmptyString }
+      }
+    },
+    ai_test_judgment: { type: 'string', enum: ['accurate', 'partial', 'unknown'] }
+  }
+};
+
+export const DIAGNOSIS_SCHEMAS = {
+  'ai-check': solutionsSchema,
+  'web-check': solutionsSchema,
+  'site-check': siteCheckSchema
+};
+
+const TYPE_NAMES = {
+  object: 'オブジェクト', array: '配列', string: '文字列', number: '数値', integer: '整数', boolean: '真偽値'
+};
+
+function matchesType(value, type) {
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeof value === type;
+}
+
+// Returns a list of error strings ('$.solutions[0].title: 文字列が必要です'); empty when valid
+export function validateJson(schema, value, path = '$') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${path}: ${TYPE_NAMES[schema.type] || schema.type}が必要です`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: ${schema.enum.map(v => JSON.stringify(v)).join(' / ')} のいずれかにしてください`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: ${schema.minimum}以上にしてください`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: ${schema.maximum}以下にしてください`);
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path}: 空にしないでください`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: ${schema.minItems}件以上必要です`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: ${schema.maxItems}件以内にしてください`);
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateJson(schema.items, item, `${path}[${i}]`)));
+    }
+  } else if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`${path}.${key}: 必須項目がありません`);
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...validateJson(propertySchema, value[key], `${path}.${key}`));
+      }
+    }
+  }
+  return errors;
+}
@@ -0,0 +1,84 @@
+// Token usage and estimated cost of LLM calls
+//
+// Handlers create a tracker per diagnosis and pass it as `usage` in the generate()/search()
+// options. Providers record one entry per API request, including the generateJson repair retry
+// and Gemini's model/grounding fallbacks, so failed attempts that were billed still show up:
+//   { task, provider, model, attempt, success, errorType, inputTokens, outputTokens, latencyMs, costUsd }
+// attempt > 1 marks a retry. The summary is stored on the diagnosis as `llmUsage`.
+
+// USD per 1M tokens (list prices; output includes Gemini thinking tokens).
+// Bump the version when prices change so stored estimates can be told apart.
+export const LLM_PRICING = {
+  version: '2026-10',
+  models: {
+    'claude-sonnet-4-5-20250929': { input: 3, output: 15 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'mock': { input: 0, output: 0 }
+  }
+};
+
+// Returns null for models without a price (the tokens are still recorded)
+export function estimateCost(model, inputTokens, outputTokens) {
+  const price = LLM_PRICING.models[model];
+  if (!price) return null;
+  return roundUsd((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+function roundUsd(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+export function createUsageTracker() {
+  const calls = [];
+  return {
+    calls,
+    record(entry) {
+      const inputTokens = entry.inputTokens || 0;
+      const outputTokens = entry.outputTokens || 0;
+      calls.push({
+        ...entry, inputTokens, outputTokens,
+        costUsd: estimateCost(entry.model, inputTokens, outputTokens)
+      });
+    },
+    summary() {
+      return summarizeUsage(calls);
+    }
+  };
+}
+
+// Called by providers right after each API request; a no-op when the caller passed no tracker
+export function recordCall(options, { provider, model, attempt, started }, result) {
+  if (!options || !options.usage) return;
+  const tokens = result.usage || {};
+  options.usage.record({
+    task: options.task || null, provider, model: result.model || model,
+    attempt: attempt || options.attempt || 1,
+    success: !!result.success, errorType: result.errorType || null,
+    inputTokens: tokens.inputTokens, outputTokens: tokens.outputTokens,
+    latencyMs: Date.now() - started
+  });
+}
+
+// { pricingVersion, calls, totals: { calls, retries, inputTokens, outputTokens, latencyMs, costUsd },
+//   byModel: { [model]: { calls, inputTokens, outputTokens, costUsd } } }
+export function summarizeUsage(calls) {
+  const totals = { calls: 0, retries: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, costUsd: 0 };
+  const byModel = {};
+  for (const call of calls) {
+    totals.calls++;
+    if (call.attempt > 1) totals.retries++;
+    totals.inputTokens += call.inputTokens;
+    totals.outputTokens += call.outputTokens;
+    totals.latencyMs += call.latencyMs || 0;
+    totals.costUsd += call.costUsd || 0;
+
+    const model = byModel[call.model] || (byModel[call.model] = { calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+    model.calls++;
+    model.inputTokens += call.inputTokens;
+    model.outputTokens += call.outputTokens;
+    model.costUsd = roundUsd(model.costUsd + (call.costUsd || 0));
+  }
+  totals.costUsd = roundUsd(totals.costUsd);
+  return { pricingVersion: LLM_PRICING.version, calls, totals, byModel };
+}
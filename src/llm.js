@@ -0,0 +1,387 @@
+// LLM providers used by the diagnosis handlers
+//
+// Every provider has the same shape:
+//   {
+//     name, configured,
+//     generate({ task, system, prompt, maxTokens, timeoutMs, usage }) -> { success, data, rawText, model, usage } | { success: false, error, errorType }
+//     search({ task, prompt, timeoutMs, usage })                      -> { success, text, sources, searchGrounded, model, usage } | { success: false, error, errorType }
+//   }
+// `usage` on the options is an optional tracker (llm-usage.js) that gets one entry per API
+// request; `usage` on a result is that request's { inputTokens, outputTokens }.
+// `task` names the diagnosis step ('ai-check', 'web-check', 'site-check', 'ai-test'); live
+// providers ignore it, the mock uses it to pick a fixture. errorType is one of
+// 'auth' | 'rate_limit' | 'overloaded' | 'timeout' | 'http' | 'empty' | 'unsupported' | 'network'.
+//
+// Selection (env vars): LLM_PROVIDER=mock switches everything to the mock; LLM_TEXT_PROVIDER
+// (anthropic | gemini | mock) and LLM_SEARCH_PROVIDER (gemini | mock) override per role.
+// Defaults: Anthropic for generate, Gemini for grounded search.
+//
+// Diagnosis handlers call generateJson(), which validates the reply against the task's schema
+// (llm-schemas.js), retries once with the validation errors and throws LlmOutputError otherwise.
+
+import { DEFAULT_LLM_FIXTURES } from './llm-fixtures.js';
+import { DIAGNOSIS_SCHEMAS, validateJson } from './llm-schemas.js';
+import { recordCall } from './llm-usage.js';
+
+export class LlmOutputError extends Error {
+  constructor(message, { task, errors }) {
+    super(message);
+    this.name = 'LlmOutputError';
+    this.task = task;
+    this.errors = errors;
+  }
+}
+
+const OUTPUT_ERROR_MESSAGE = 'AIの応答を正しく読み取れませんでした。時間をおいて再度お試しください。';
+const REPAIR_RAW_TEXT_LIMIT = 6000;
+
+const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929';
+const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
+const GEMINI_MODELS = ['gemini-2.5-flash', 'gemini-2.0-flash'];
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/';
+
+export function getLlmProviders(env) {
+  const fallback = env.LLM_PROVIDER === 'mock' ? 'mock' : null;
+  return {
+    text: createProvider(env.LLM_TEXT_PROVIDER || fallback || 'anthropic', env),
+    search: createProvider(env.LLM_SEARCH_PROVIDER || fallback || 'gemini', env)
+  };
+}
+
+function createProvider(name, env) {
+  if (name === 'mock') return createMockProvider(env.LLM_MOCK_FIXTURES);
+  if (name === 'gemini') return createGeminiProvider(env.GEMINI_API_KEY);
+  return createAnthropicProvider(env.ANTHROPIC_API_KEY);
+}
+
+function unsupported(name, method) {
+  return { success: false, errorType: 'unsupported', error: `${name} は ${method} に対応していません。` };
+}
+
+// Finds the JSON object in a reply (code fences and prose around it are ignored).
+// Returns { value } or { error } when there is no complete, parsable object.
+export function extractJson(text) {
+  const source = String(text || '').replace(/```(?:json)?/gi, '');
+  const start = source.indexOf('{');
+  if (start === -1) return { error: 'JSONオブジェクトが見つかりません' };
+
+  // Scan to the brace closing the first '{', skipping string contents
+  let depth = 0;
+  let inString = false;
+  let end = -1;
+  for (let i = start; i < source.length && end === -1; i++) {
+    const c = source[i];
+    if (inString) {
+      if (c === '\\') i++;
+      else if (c === '"') inString = false;
+    } else if (c === '"') {
+      inString = true;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}' && --depth === 0) {
+      end = i;
+    }
+  }
+  if (end === -1) return { error: 'JSONが途中で途切れています（閉じ括弧がありません）' };
+
+  try {
+    return { value: JSON.parse(source.slice(start, end + 1)) };
+  } catch (e) {
+    return { error: `JSONの構文エラー: ${e.message}` };
+  }
+}
+
+function parseJsonText(text) {
+  const parsed = extractJson(text);
+  return parsed.error ? null : parsed.value;
+}
+
+function checkOutput(rawText, schema) {
+  const parsed = extractJson(rawText);
+  if (parsed.error) return { ok: false, errors: [parsed.error] };
+  const errors = schema ? validateJson(schema, parsed.value) : [];
+  return errors.length > 0 ? { ok: false, errors } : { ok: true, data: parsed.value };
+}
+
+function buildRepairPrompt(prompt, rawText, errors) {
+  const previous = String(rawText || '').substring(0, REPAIR_RAW_TEXT_LIMIT);
+  return `${prompt}
+
+【前回の出力の修正】
+前回の出力は指定のJSON形式を満たしていませんでした。問題点：
+${errors.slice(0, 20).map(e => `- ${e}`).join('\n')}
+
+前回の出力：
+${previous}
+
+問題点を修正し、指定されたJSON形式のみを出力し直してください。途中で途切れないよう、各項目は簡潔に書くこと。`;
+}
+
+// generate() + schema validation with one repair round.
+// options: generate() options plus schema (defaults to DIAGNOSIS_SCHEMAS[options.task]).
+// Resolves to the provider result with validated `data` (and `repaired: true` if the retry was
+// needed); provider failures resolve to { success: false, ... } as usual; output that is still
+// invalid after the retry throws LlmOutputError.
+export async function generateJson(provider, options) {
+  const schema = options.schema || DIAGNOSIS_SCHEMAS[options.task];
+
+  const first = await provider.generate(options);
+  if (!first.success) return first;
+  const check = checkOutput(first.rawText, schema);
+  if (check.ok) return { ...first, data: check.data, repaired: false };
+
+  console.error('LLM output invalid, retrying with repair prompt:', options.task, check.errors.slice(0, 5));
+  const retry = await provider.generate({
+    ...options, attempt: 2, prompt: buildRepairPrompt(options.prompt, first.rawText, check.errors)
+  });
+  if (!retry.success) return retry;
+  const recheck = checkOutput(retry.rawText, schema);
+  if (recheck.ok) return { ...retry, data: recheck.data, repaired: true };
+
+  console.error('LLM output still invalid after repair:', options.task, recheck.errors.slice(0, 5));
+  throw new LlmOutputError(OUTPUT_ERROR_MESSAGE, { task: options.task, errors: recheck.errors });
+}
+
+// ========== Anthropic ==========
+
+export function createAnthropicProvider(apiKey) {
+  return {
+    name: 'anthropic',
+    configured: !!apiKey,
+    async generate(options) {
+      const started = Date.now();
+      const result = await callClaudeAPI(apiKey, options);
+      recordCall(options, { provider: 'anthropic', model: CLAUDE_MODEL, started }, result);
+      return result;
+    },
+    search: async () => unsupported('anthropic', 'search')
+  };
+}
+
+async function callClaudeAPI(apiKey, { system, prompt, maxTokens = 2048, timeoutMs = 55000 }) {
+  try {
+    console.log('Calling Claude API with model:', CLAUDE_MODEL, 'timeout:', timeoutMs);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const response = await fetch(CLAUDE_API_URL, {
+      method: 'POST',
+      headers: {
+        'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'content-type': 'application/json'
+      },
+      body: JSON.stringify({
+        model: CLAUDE_MODEL, max_tokens: maxTokens,
+        system, messages: [{ role: 'user', content: prompt }]
+      }),
+      signal: controller.signal
+    });
+    clearTimeout(timeout);
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      console.error(`Claude API error: status=${response.status}, body=${errorBody}`);
+      if (response.status === 401) {
+        return { success: false, errorType: 'auth', error: 'APIキーが無効です。管理者にお問い合わせください。' };
+      }
+      if (response.status === 429) {
+        return { success: false, errorType: 'rate_limit', error: 'ただいまアクセスが集中しています。1分ほど待ってから再度お試しください。' };
+      }
+      if (response.status === 529 || response.status === 503) {
+        return { success: false, errorType: 'overloaded', error: 'AIサービスが一時的に混み合っています。しばらくしてからお試しください。' };
+      }
+      return { success: false, errorType: 'http', error: `診断処理中にエラーが発生しました（${response.status}）。しばらくしてからお試しください。` };
+    }
+
+    const data = await response.json();
+    const text = data.content[0].text;
+    const usage = data.usage
+      ? { inputTokens: data.usage.input_tokens || 0, outputTokens: data.usage.output_tokens || 0 }
+      : null;
+    // data is null when the reply has no JSON (used for the AI recognition test)
+    return { success: true, data: parseJsonText(text), rawText: text, model: CLAUDE_MODEL, usage };
+  } catch (err) {
+    console.error('Claude API call failed:', err);
+    if (err.name === 'AbortError') {
+      return { success: false, errorType: 'timeout', error: 'AI分析に時間がかかりすぎました。しばらくしてから再度お試しください。' };
+    }
+    return { success: false, errorType: 'network', error: '診断処理中にエラーが発生しました。しばらくしてからお試しください。' };
+  }
+}
+
+// ========== Gemini (Google AI) ==========
+
+export function createGeminiProvider(apiKey) {
+  return {
+    name: 'gemini',
+    configured: !!apiKey,
+    async generate(options) {
+      const { system, prompt, maxTokens = 2048, timeoutMs = 55000 } = options;
+      const fullPrompt = system ? `${system}\n\n${prompt}` : prompt;
+      const started = Date.now();
+      const result = await callGeminiRaw(apiKey, GEMINI_MODELS[0], fullPrompt, timeoutMs, false, maxTokens);
+      recordCall(options, { provider: 'gemini', model: GEMINI_MODELS[0], started }, result);
+      if (!result.success) return result;
+      return { success: true, data: parseJsonText(result.text), rawText: result.text, model: result.model, usage: result.usage };
+    },
+    search: (options) => callGeminiAPI(apiKey, options)
+  };
+}
+
+async function callGeminiAPI(apiKey, options) {
+  const { prompt: userPrompt, timeoutMs = 30000 } = options;
+  let lastError = null;
+  let attempt = 0;
+  const tracked = async (model, useGoogleSearch) => {
+    const started = Date.now();
+    const result = await callGeminiRaw(apiKey, model, userPrompt, timeoutMs, useGoogleSearch);
+    recordCall(options, { provider: 'gemini', model, attempt: ++attempt, started }, result);
+    return result;
+  };
+
+  // Try each model with google_search, then without
+  for (const model of GEMINI_MODELS) {
+    console.log('Trying Gemini model:', model, 'with google_search');
+
+    // Try with google_search grounding
+    const result = await tracked(model, true);
+    if (result.success) return result;
+    lastError = result;
+    console.log('Failed with google_search:', result.error);
+
+    // Try without google_search
+    console.log('Trying Gemini model:', model, 'without tools');
+    const fallback = await tracked(model, false);
+    if (fallback.success) return fallback;
+    lastError = fallback;
+    console.log('Failed without tools:', fallback.error);
+  }
+
+  return lastError || { success: false, errorType: 'http', error: 'すべてのGoogle AIモデルで失敗しました。' };
+}
+
+async function callGeminiRaw(apiKey, model, userPrompt, timeoutMs, useGoogleSearch, maxTokens = 1024) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const body = {
+      contents: [{ parts: [{ text: userPrompt }] }],
+      generationConfig: { maxOutputTokens: maxTokens }
+    };
+    if (useGoogleSearch) {
+      body.tools = [{ google_search: {} }];
+    }
+
+    const response = await fetch(
+      `${GEMINI_API_URL}${model}:generateContent?key=${apiKey}`,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: controller.signal
+      }
+    );
+    clearTimeout(timeout);
+
+    if (!response.ok) {
+      const errorBody = await response.text();
+      console.error(`Gemini API error: status=${response.status}, body=${errorBody}`);
+      const errorType = response.status === 429 ? 'rate_limit' : response.status === 401 || response.status === 403 ? 'auth' : 'http';
+      return { success: false, errorType, error: `Google AI APIエラー（${response.status}）: ${errorBody.substring(0, 200)}` };
+    }
+
+    const data = await response.json();
+    const meta = data.usageMetadata;
+    // Thinking tokens are billed as output
+    const usage = meta
+      ? { inputTokens: meta.promptTokenCount || 0, outputTokens: (meta.candidatesTokenCount || 0) + (meta.thoughtsTokenCount || 0) }
+      : null;
+
+    // Extract text from Gemini response
+    let text = '';
+    if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts) {
+      text = data.candidates[0].content.parts
+        .filter(p => p.text)
+        .map(p => p.text)
+        .join('');
+    }
+
+    if (!text) {
+      return { success: false, errorType: 'empty', error: 'Google AIから空のレスポンスが返されました。', usage };
+    }
+
+    // Extract grounding sources if available
+    let sources = [];
+    if (data.candidates && data.candidates[0] && data.candidates[0].groundingMetadata) {
+      const gm = data.candidates[0].groundingMetadata;
+      if (gm.groundingChunks) {
+        sources = gm.groundingChunks
+          .filter(c => c.web)
+          .map(c => ({ title: c.web.title || '', uri: c.web.uri || '' }));
+      }
+    }
+
+    return { success: true, text, sources, searchGrounded: useGoogleSearch, model, usage };
+  } catch (err) {
+    clearTimeout(timeout);
+    if (err.name === 'AbortError') {
+      return { success: false, errorType: 'timeout', error: 'Google AI検索に時間がかかりすぎました。' };
+    }
+    console.error('Gemini API call failed:', err);
+    return { success: false, errorType: 'network', error: 'Google AI検索中にエラーが発生しました。' };
+  }
+}
+
+// ========== Mock (fixture replay) ==========
+
+// fixtures: { [task]: fixture | fixture[] } where a fixture is
+//   { match?: 'substring of the prompt', data?, text?, sources?, usage?, error?, errorType? }
+// The first fixture of the task whose `match` is found in the prompt (or has no match) is replayed.
+// LLM_MOCK_FIXTURES (JSON string) is merged over the built-in fixtures in llm-fixtures.js.
+export function createMockProvider(fixturesJson) {
+  let custom = {};
+  if (fixturesJson) {
+    try {
+      custom = typeof fixturesJson === 'string' ? JSON.parse(fixturesJson) : fixturesJson;
+    } catch (e) {
+      console.error('LLM_MOCK_FIXTURES is not valid JSON:', e.message);
+    }
+  }
+  const fixtures = { ...DEFAULT_LLM_FIXTURES, ...custom };
+
+  const pick = (task, prompt) => {
+    const entries = [].concat(fixtures[task] || []);
+    return entries.find(f => !f.match || String(prompt || '').includes(f.match)) || null;
+  };
+
+  const replay = (task, prompt, toResult) => {
+    const fixture = pick(task, prompt);
+    if (!fixture) {
+      return { success: false, errorType: 'http', error: `モックの応答（${task}）が見つかりません。` };
+    }
+    if (fixture.error) return { success: false, errorType: fixture.errorType || 'http', error: fixture.error };
+    return toResult(fixture);
+  };
+
+  const tracked = (options, result) => {
+    recordCall(options, { provider: 'mock', model: 'mock', started: Date.now() }, result);
+    return result;
+  };
+
+  return {
+    name: 'mock',
+    configured: true,
+    async generate(options) {
+      return tracked(options, replay(options.task, options.prompt, fixture => {
+        const rawText = fixture.text !== undefined ? fixture.text : JSON.stringify(fixture.data);
+        const data = fixture.data !== undefined ? fixture.data : parseJsonText(rawText);
+        return { success: true, data, rawText, model: 'mock', usage: fixture.usage || null };
+      }));
+    },
+    async search(options) {
+      return tracked(options, replay(options.task || 'ai-test', options.prompt, fixture => ({
+        success: true, text: fixture.text || '', sources: fixture.sources || [], searchGrounded: true,
+        model: 'mock', usage: fixture.usage || null
+      })));
+    }
+  };
+}
@@ -0,0 +1,276 @@
+// Share image of a report (GET /report/:id/og.png)
+//
+// The card is composed as a small SVG (rect and text elements only) and rasterized here: text is
+// drawn from TrueType outlines, polygons are filled with 4x vertical supersampling and exact
+// horizontal coverage, and the result is encoded as a grayscale PNG. The font is a subset of Noto
+// Sans JP Bold (ASCII and JIS X 0208, see scripts/subset-og-font.js) served from the site's own
+// static assets and parsed once per isolate; characters outside it are drawn as the .notdef box.
+
+import { REPORT_TITLES } from './report-pdf.js';
+import { parseTrueType } from './truetype.js';
+import { encodeGrayPng } from './png.js';
+
+export const OG_IMAGE_SIZE = { width: 1200, height: 630 };
+
+const FONT_PATH = '/assets/fonts/NotoSansJP-Bold-subset.ttf';
+const SAMPLES = 4;
+const ELLIPSIS = '…';
+
+const COLORS = { bg: '#242422', ink: '#FFFFFF', muted: '#A0A0A0', sub: '#D0D0D0', panel: '#FFFFFF', panelInk: '#1A1A1A', panelMuted: '#888888' };
+
+// ========== Card ==========
+
+// { title, subject, score, scoreLabel, issueLabel, issue } (score and issue may be null)
+export function ogCard(diagnosis) {
+  const title = (REPORT_TITLES[diagnosis.type] || REPORT_TITLES['ai-check']).replace(/レポート$/, '');
+  const a = diagnosis.answers || {};
+  const r = diagnosis.result || {};
+  const firstSolution = Array.isArray(r.solutions) && r.solutions[0] ? r.solutions[0].title : null;
+
+  switch (diagnosis.type) {
+    case 'site-check': {
+      const actions = (r.analysis && r.analysis.priority_actions) || [];
+      return {
+        title, subject: r.companyName || hostOf(diagnosis.crawlData ? diagnosis.crawlData.url : a.url),
+        score: diagnosis.overallScore, scoreLabel: '総合スコア',
+        issueLabel: '最優先の課題', issue: actions[0] ? actions[0].title : null
+      };
+    }
+    case 'web-check':
+      return {
+        title, subject: hostOf(a.q2_url),
+        score: diagnosis.scores ? diagnosis.scores.totalScore : null, scoreLabel: '総合スコア',
+        issueLabel: diagnosis.scores ? '最優先の課題' : 'おすすめのプラン', issue: firstSolution
+      };
+    case 'site-compare': {
+      const c = diagnosis.comparison;
+      return {
+        title, subject: `${hostOf(c.sites[0].url)} ほか競合${c.sites.length - 1}社`,
+        score: c.sites[0].score, scoreLabel: `${c.sites.length}サイト中${c.rank}位`,
+        issueLabel: '競合との最大の差',
+        issue: c.behind.length > 0 ? c.behind[0].label : 'すべての項目で競合と同等以上'
+      };
+    }
+    default:
+      return {
+        title, subject: [a.q2_industry, a.q1_position].filter(Boolean).join('　'),
+        score: null, scoreLabel: null, issueLabel: '最初の一歩', issue: firstSolution
+      };
+  }
+}
+
+function hostOf(url) {
+  if (!url) return '';
+  try {
+    return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).hostname.replace(/^www\./, '');
+  } catch (e) {
+    return String(url);
+  }
+}
+
+// Rough width for truncation before the font is loaded (proportional Latin, full-width CJK)
+function estimateWidth(text, size) {
+  let em = 0;
+  for (const ch of text) em += ch.charCodeAt(0) < 0x2000 ? 0.62 : 1;
+  return em * size;
+}
+
+function fit(text, size, maxWidth) {
+  const chars = [...String(text || '')];
+  if (estimateWidth(chars.join(''), size) <= maxWidth) return chars.join('');
+  while (chars.length > 0 && estimateWidth(chars.join('') + ELLIPSIS, size) > maxWidth) chars.pop();
+  return chars.join('') + ELLIPSIS;
+}
+
+function escapeXml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function svgText(x, y, text, { size, fill, anchor = 'start' }) {
+  return `<text x="${x}" y="${y}" font-size="${size}" fill="${fill}" text-anchor="${anchor}">${escapeXml(text)}</text>`;
+}
+
+function svgRect(x, y, width, height, fill) {
+  return `<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="${fill}"/>`;
+}
+
+export function ogCardSvg(card) {
+  const { width, height } = OG_IMAGE_SIZE;
+  const hasScore = typeof card.score === 'number';
+  const textWidth = hasScore ? 700 : width - 160;
+  const parts = [
+    svgRect(0, 0, width, height, COLORS.bg),
+    svgText(80, 100, 'Ciras', { size: 40, fill: COLORS.ink }),
+    svgText(200, 98, 'DIAGNOSTIC REPORT', { size: 20, fill: COLORS.muted }),
+    svgText(80, 200, fit(card.title, 44, textWidth), { size: 44, fill: COLORS.ink }),
+    svgText(80, 262, fit(card.subject, 30, textWidth), { size: 30, fill: COLORS.sub })
+  ];
+
+  if (hasScore) {
+    parts.push(
+      svgText(1040, 300, String(card.score), { size: 170, fill: COLORS.ink, anchor: 'end' }),
+      svgText(1120, 300, '/100', { size: 32, fill: COLORS.muted, anchor: 'end' }),
+      svgText(1120, 150, fit(card.scoreLabel, 26, 300), { size: 26, fill: COLORS.sub, anchor: 'end' })
+    );
+  }
+
+  if (card.issue) {
+    parts.push(
+      svgRect(80, 380, width - 160, 150, COLORS.panel),
+      svgRect(80, 380, 10, 150, COLORS.muted),
+      svgText(124, 430, card.issueLabel, { size: 24, fill: COLORS.panelMuted }),
+      svgText(124, 490, fit(card.issue, 38, width - 250), { size: 38, fill: COLORS.panelInk })
+    );
+  }
+  parts.push(svgText(1120, 590, 'ciras.jp', { size: 22, fill: COLORS.muted, anchor: 'end' }));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">${parts.join('')}</svg>`;
+}
+
+// ========== Rasterizer ==========
+
+function unescapeXml(text) {
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+// Elements of the SVG subset written by ogCardSvg(): [{ tag, attrs, text }]
+function parseSvg(svg) {
+  const elements = [];
+  const pattern = /<(rect|text)\b([^>]*?)(?:\/>|>([^<]*)<\/\1>)/g;
+  let match;
+  while ((match = pattern.exec(svg))) {
+    const attrs = {};
+    for (const [, name, value] of match[2].matchAll(/([\w-]+)="([^"]*)"/g)) attrs[name] = value;
+    elements.push({ tag: match[1], attrs, text: match[3] ? unescapeXml(match[3]) : '' });
+  }
+  return elements;
+}
+
+function gray(hex) {
+  const n = parseInt(String(hex).replace('#', ''), 16);
+  return Math.round(0.299 * ((n >> 16) & 255) + 0.587 * ((n >> 8) & 255) + 0.114 * (n & 255));
+}
+
+// Fills polygons ([[x, y], ...] in pixels) with the nonzero rule, anti-aliased
+function fillPolygons(canvas, polygons, value) {
+  const edges = [];
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const polygon of polygons) {
+    for (let i = 0; i < polygon.length; i++) {
+      const [x0, y0] = polygon[i];
+      const [x1, y1] = polygon[(i + 1) % polygon.length];
+      minX = Math.min(minX, x0); maxX = Math.max(maxX, x0);
+      minY = Math.min(minY, y0); maxY = Math.max(maxY, y0);
+      if (y0 === y1) continue;
+      edges.push(y0 < y1 ? { x0, y0, x1, y1, dir: 1 } : { x0: x1, y0: y1, x1: x0, y1: y0, dir: -1 });
+    }
+  }
+  if (edges.length === 0) return;
+
+  const { width, height, pixels } = canvas;
+  const left = Math.max(0, Math.floor(minX));
+  const right = Math.min(width, Math.ceil(maxX));
+  const top = Math.max(0, Math.floor(minY));
+  const bottom = Math.min(height, Math.ceil(maxY));
+  if (left >= right || top >= bottom) return;
+  const coverage = new Float32Array(right - left + 1);
+
+  for (let y = top; y < bottom; y++) {
+    coverage.fill(0);
+    for (let s = 0; s < SAMPLES; s++) {
+      const sy = y + (s + 0.5) / SAMPLES;
+      const crossings = [];
+      for (const e of edges) {
+        if (sy >= e.y0 && sy < e.y1) crossings.push({ x: e.x0 + (sy - e.y0) * (e.x1 - e.x0) / (e.y1 - e.y0), dir: e.dir });
+      }
+      crossings.sort((a, b) => a.x - b.x);
+      let winding = 0;
+      for (let i = 0; i < crossings.length - 1; i++) {
+        winding += crossings[i].dir;
+        if (winding !== 0) addSpan(coverage, crossings[i].x - left, crossings[i + 1].x - left, 1 / SAMPLES);
+      }
+    }
+    for (let x = left; x < right; x++) {
+      const alpha = Math.min(1, coverage[x - left]);
+      if (alpha <= 0) continue;
+      const i = y * width + x;
+      pixels[i] = Math.round(pixels[i] + (value - pixels[i]) * alpha);
+    }
+  }
+}
+
+// Adds `weight` to the cells covered by [x0, x1), partial cells proportionally
+function addSpan(coverage, x0, x1, weight) {
+  const limit = coverage.length - 1;
+  x0 = Math.max(0, Math.min(limit, x0));
+  x1 = Math.max(0, Math.min(limit, x1));
+  if (x1 <= x0) return;
+  const i0 = Math.floor(x0);
+  const i1 = Math.floor(x1);
+  if (i0 === i1) {
+    coverage[i0] += (x1 - x0) * weight;
+    return;
+  }
+  coverage[i0] += (i0 + 1 - x0) * weight;
+  for (let i = i0 + 1; i < i1; i++) coverage[i] += weight;
+  coverage[i1] += (x1 - i1) * weight;
+}
+
+// Glyph polygons of a line of text, baseline at (x, y)
+function textPolygons(font, text, x, y, size, anchor) {
+  const scale = size / font.unitsPerEm;
+  const glyphs = [...text].map(ch => font.glyphId(ch.codePointAt(0)));
+  const lineWidth = glyphs.reduce((sum, id) => sum + font.advance(id) * scale, 0);
+  let penX = anchor === 'end' ? x - lineWidth : anchor === 'middle' ? x - lineWidth / 2 : x;
+
+  const polygons = [];
+  for (const id of glyphs) {
+    for (const polygon of font.polygons(id)) polygons.push(polygon.map(([gx, gy]) => [penX + gx * scale, y - gy * scale]));
+    penX += font.advance(id) * scale;
+  }
+  return polygons;
+}
+
+// { width, height, pixels } of the SVG drawn on white
+export function rasterizeSvg(svg, font) {
+  const root = svg.match(/<svg\b[^>]*\bwidth="(\d+)"[^>]*\bheight="(\d+)"/);
+  const width = root ? Number(root[1]) : OG_IMAGE_SIZE.width;
+  const height = root ? Number(root[2]) : OG_IMAGE_SIZE.height;
+  const canvas = { width, height, pixels: new Uint8Array(width * height).fill(255) };
+
+  for (const el of parseSvg(svg)) {
+    const { attrs } = el;
+    const value = gray(attrs.fill || '#000000');
+    if (el.tag === 'rect') {
+      const x = Number(attrs.x || 0);
+      const y = Number(attrs.y || 0);
+      const w = Number(attrs.width);
+      const h = Number(attrs.height);
+      fillPolygons(canvas, [[[x, y], [x + w, y], [x + w, y + h], [x, y + h]]], value);
+    } else if (el.text) {
+      fillPolygons(canvas, textPolygons(font, el.text, Number(attrs.x), Number(attrs.y), Number(attrs['font-size']), attrs['text-anchor']), value);
+    }
+  }
+  return canvas;
+}
+
+// ========== Font and PNG ==========
+
+let cardFont = null;
+
+// The parsed card font. assets is the ASSETS binding and origin any URL of this site.
+export async function loadCardFont(assets, origin) {
+  if (cardFont) return cardFont;
+  const response = await assets.fetch(new Request(new URL(FONT_PATH, origin)));
+  if (!response.ok) throw new Error(`font asset: HTTP ${response.status}`);
+  cardFont = parseTrueType(await response.arrayBuffer());
+  return cardFont;
+}
+
+// Resolves to the PNG bytes of the diagnosis' share card. loadFont() resolves to a parsed font.
+export async function renderOgImage(diagnosis, loadFont) {
+  const svg = ogCardSvg(ogCard(diagnosis));
+  const font = await loadFont();
+  const { width, height, pixels } = rasterizeSvg(svg, font);
+  return encodeGrayPng(width, height, pixels);
+}
@@ -0,0 +1,183 @@
+// Minimal PDF writer for the printable reports
+//
+// Workers have no PDF library or headless browser, so the report PDF is written directly:
+// text, filled rectangles and lines on A4 pages, content streams compressed with
+// CompressionStream('deflate') (FlateDecode). Japanese text uses the standard CJK font
+// HeiseiKakuGo-W5 (Adobe-Japan1) with the UniJIS-UCS2-H encoding, which PDF viewers supply
+// themselves, so no font file is embedded. ASCII and half-width katakana are declared
+// half-width (500/1000 em), everything else full-width.
+//
+// Page coordinates are in points from the TOP-left corner; the writer flips them to PDF space.
+
+export const A4 = { width: 595.28, height: 841.89 };
+
+const FONT_NAME = 'HeiseiKakuGo-W5';
+const encoder = new TextEncoder();
+
+// Width of a character in em
+function charWidth(code) {
+  if (code >= 0x20 && code <= 0x7E) return 0.5;
+  if (code >= 0xFF61 && code <= 0xFF9F) return 0.5;
+  return 1;
+}
+
+// Characters the font encoding can carry: BMP only, no control characters
+function sanitize(text) {
+  return String(text == null ? '' : text)
+    .replace(/[\u0000-\u001F\u007F]/g, ' ')
+    .replace(/[\uD800-\uDBFF][\uDC00-\uDFFF]/g, '?')
+    .replace(/[\uD800-\uDFFF]/g, '?');
+}
+
+export function textWidth(text, size) {
+  let em = 0;
+  for (const ch of sanitize(text)) em += charWidth(ch.charCodeAt(0));
+  return em * size;
+}
+
+// Characters that must not start a line (simple kinsoku)
+const NO_LINE_START = '、。，．・：；？！ー）」』】〕〉》’”ぁぃぅぇぉっゃゅょァィゥェォッャュョ.,:;!?)]}';
+
+// Greedy wrap by measured width; explicit newlines are kept
+export function wrapText(text, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of sanitize(String(text == null ? '' : text).replace(/\r\n?/g, '\n')).split('\n')) {
+    let line = '';
+    let width = 0;
+    for (const ch of paragraph) {
+      const w = charWidth(ch.charCodeAt(0)) * size;
+      if (width + w > maxWidth && line && !NO_LINE_START.includes(ch)) {
+        lines.push(line);
+        line = '';
+        width = 0;
+      }
+      line += ch;
+      width += w;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// '#RRGGBB' -> 'r g b'
+function rgb(hex) {
+  const n = parseInt(String(hex).replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => num(c / 255)).join(' ');
+}
+
+// UTF-16BE hex string for the UCS2 encoding
+function hexText(text) {
+  let hex = '';
+  for (const ch of sanitize(text)) hex += ch.charCodeAt(0).toString(16).padStart(4, '0');
+  return `<${hex}>`;
+}
+
+// PDF text string for the document info (UTF-16BE with BOM)
+function infoText(text) {
+  return `<FEFF${hexText(text).slice(1, -1)}>`;
+}
+
+function pdfDate(date) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `(D:${date.getUTCFullYear()}${p(date.getUTCMonth() + 1)}${p(date.getUTCDate())}${p(date.getUTCHours())}${p(date.getUTCMinutes())}${p(date.getUTCSeconds())}Z)`;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function createPage(size) {
+  const ops = [];
+  const flip = (y) => size.height - y;
+  return {
+    width: size.width,
+    height: size.height,
+    ops,
+    // y is the top of the text box; the baseline sits at 88% of the font size below it
+    text(x, y, text, { size = 10, color = '#1A1A1A' } = {}) {
+      if (!text) return;
+      ops.push(`BT /F1 ${num(size)} Tf ${rgb(color)} rg ${num(x)} ${num(flip(y + size * 0.88))} Td ${hexText(text)} Tj ET`);
+    },
+    rect(x, y, w, h, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      ops.push(`${fill ? `${rgb(fill)} rg ` : ''}${stroke ? `${rgb(stroke)} RG ${num(lineWidth)} w ` : ''}${num(x)} ${num(flip(y + h))} ${num(w)} ${num(h)} re ${paint}`);
+    },
+    line(x1, y1, x2, y2, { color = '#E5E5E5', lineWidth = 0.5 } = {}) {
+      ops.push(`${rgb(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(flip(y1))} m ${num(x2)} ${num(flip(y2))} l S`);
+    }
+  };
+}
+
+// doc.addPage() returns a page with text/rect/line; doc.toBytes() resolves to the PDF file
+export function createPdfDocument({ title = '', author = '', size = A4 } = {}) {
+  const pages = [];
+
+  return {
+    pages,
+    addPage() {
+      const page = createPage(size);
+      pages.push(page);
+      return page;
+    },
+
+    async toBytes(now = new Date()) {
+      // 1 catalog, 2 page tree, 3-5 font, 6 info, then a page and its content stream per page
+      const objects = [];
+      const pageIds = pages.map((p, i) => 7 + i * 2);
+      objects[1] = encoder.encode('<< /Type /Catalog /Pages 2 0 R >>');
+      objects[2] = encoder.encode(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+      objects[3] = encoder.encode(`<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME} /Encoding /UniJIS-UCS2-H /DescendantFonts [4 0 R] >>`);
+      objects[4] = encoder.encode(`<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT_NAME}`
+        + ' /CIDSystemInfo << /Registry (Adobe) /Ordering (Japan1) /Supplement 2 >>'
+        + ' /FontDescriptor 5 0 R /DW 1000 /W [1 95 500 231 325 500 327 389 500] >>');
+      objects[5] = encoder.encode(`<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 4`
+        + ' /FontBBox [-92 -250 1010 922] /ItalicAngle 0 /Ascent 752 /Descent -221 /CapHeight 737 /StemV 114'
+        + ' /Style << /Panose <0801020b0600000000000000> >> >>');
+      objects[6] = encoder.encode(`<< /Title ${infoText(title)} /Author ${infoText(author)} /Producer (Ciras) /CreationDate ${pdfDate(now)} >>`);
+
+      for (let i = 0; i < pages.length; i++) {
+        const page = pages[i];
+        const pageId = pageIds[i];
+        const content = await deflate(encoder.encode(page.ops.join('\n')));
+        objects[pageId] = encoder.encode(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}]`
+          + ` /Resources << /Font << /F1 3 0 R >> >> /Contents ${pageId + 1} 0 R >>`);
+        objects[pageId + 1] = concat([
+          encoder.encode(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+          content,
+          encoder.encode('\nendstream')
+        ]);
+      }
+
+      const chunks = [encoder.encode('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+      let offset = chunks[0].length;
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = offset;
+        const chunk = concat([encoder.encode(`${id} 0 obj\n`), objects[id], encoder.encode('\nendobj\n')]);
+        chunks.push(chunk);
+        offset += chunk.length;
+      }
+
+      let xref = `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+      for (let id = 1; id < objects.length; id++) xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+      xref += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${offset}\n%%EOF\n`;
+      chunks.push(encoder.encode(xref));
+      return concat(chunks);
+    }
+  };
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let at = 0;
+  for (const part of parts) {
+    out.set(part, at);
+    at += part.length;
+  }
+  return out;
+}
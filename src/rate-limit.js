@@ -0,0 +1,147 @@
+// Fixed-window rate limiting for the diagnosis APIs
+//
+// Counters are kept per rule scope ('ip' = CF-Connecting-IP, 'target' = hostname of the
+// submitted URL) in a small store interface { get(key), put(key, count, ttlSec) }.
+// createKvStore() backs it with a KV namespace (eventually consistent, so limits are
+// approximate across colos); createMemoryStore() is the local stand-in for tests / wrangler dev.
+
+const KV_MIN_TTL = 60;
+
+export function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return 0;
+      if (entry.expires <= Date.now()) { entries.delete(key); return 0; }
+      return entry.count;
+    },
+    async put(key, count, ttlSec) {
+      entries.set(key, { count, expires: Date.now() + ttlSec * 1000 });
+    }
+  };
+}
+
+export function createKvStore(kv, prefix = 'ratelimit:') {
+  return {
+    async get(key) {
+      const raw = await kv.get(prefix + key);
+      return raw ? parseInt(raw, 10) || 0 : 0;
+    },
+    async put(key, count, ttlSec) {
+      await kv.put(prefix + key, String(count), { expirationTtl: Math.max(KV_MIN_TTL, ttlSec) });
+    }
+  };
+}
+
+const fallbackStore = createMemoryStore();
+
+function defaultStore(env) {
+  return env && env.DIAGNOSES ? createKvStore(env.DIAGNOSES) : fallbackStore;
+}
+
+// Normalizes a user-entered URL to its hostname without www (null if unparsable)
+export function targetHost(value) {
+  if (!value || typeof value !== 'string') return null;
+  let url = value.trim();
+  if (!url) return null;
+  if (!/^https?:\/\//i.test(url)) url = 'https://' + url;
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (e) {
+    return null;
+  }
+}
+
+export function clientIp(request) {
+  return request.headers.get('CF-Connecting-IP')
+    || (request.headers.get('X-Forwarded-For') || '').split(',')[0].trim()
+    || 'unknown';
+}
+
+// Router middleware.
+// options: {
+//   name: 'site-check',              // counter namespace; routes with the same name share budgets
+//   rules: [{ scope: 'ip' | 'target', limit: 5, windowSec: 600 }],
+//   target: (body) => body.url,      // required for 'target' rules; may return several URLs
+//   cost: (body) => 1,               // units charged to 'ip' rules per request (default 1)
+//   skip: (request, env) => boolean, // e.g. admin requests
+//   store: (env) => store            // defaults to KV (DIAGNOSES) or in-memory
+// }
+// Every target host is counted separately against the 'target' rules. Only work is charged: a body
+// that is not a JSON object is passed to the handler uncounted, and a 400 answer (the handler
+// rejected the input) refunds the charge.
+export function rateLimit(options) {
+  const getStore = options.store || defaultStore;
+
+  return async (request, env, route, next) => {
+    if (options.skip && await options.skip(request, env)) return next();
+
+    let body;
+    try {
+      body = await request.clone().json();
+    } catch (e) {
+      return next(); // the handler rejects the malformed body itself
+    }
+    if (!body || typeof body !== 'object') return next();
+
+    const ids = { ip: [clientIp(request)], target: [] };
+    let units = 1;
+    try {
+      if (options.target) ids.target = [...new Set([].concat(options.target(body)).map(targetHost).filter(Boolean))];
+      if (options.cost) units = Math.max(1, Math.floor(options.cost(body)) || 1);
+    } catch (e) { /* invalid fields are reported by the handler itself */ }
+
+    const store = getStore(env);
+    const now = Math.floor(Date.now() / 1000);
+    const checks = options.rules.flatMap(rule => ids[rule.scope].map(id => {
+      const windowStart = now - (now % rule.windowSec);
+      return {
+        rule,
+        key: `${options.name}:${rule.scope}:${id}:${rule.windowSec}:${windowStart}`,
+        units: rule.scope === 'ip' ? units : 1,
+        retryAfter: windowStart + rule.windowSec - now
+      };
+    }));
+
+    let charged = false;
+    try {
+      const counts = await Promise.all(checks.map(c => store.get(c.key)));
+      const exceeded = checks.filter((c, i) => counts[i] + c.units > c.rule.limit);
+      if (exceeded.length > 0) {
+        const worst = exceeded.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a));
+        return tooManyRequests(worst.rule.scope, worst.retryAfter);
+      }
+      await Promise.all(checks.map((c, i) => store.put(c.key, counts[i] + c.units, c.rule.windowSec)));
+      charged = true;
+    } catch (err) {
+      // Never block diagnoses because the counter store is unavailable
+      console.error('rateLimit store error:', err);
+    }
+
+    const response = await next();
+    if (charged && response.status === 400) await refund(store, checks);
+    return response;
+  };
+}
+
+async function refund(store, checks) {
+  try {
+    const counts = await Promise.all(checks.map(c => store.get(c.key)));
+    await Promise.all(checks.map((c, i) => store.put(c.key, Math.max(0, counts[i] - c.units), c.rule.windowSec)));
+  } catch (err) {
+    console.error('rateLimit refund error:', err);
+  }
+}
+
+function tooManyRequests(scope, retryAfter) {
+  const minutes = Math.max(1, Math.ceil(retryAfter / 60));
+  const wait = minutes >= 60 ? `${Math.ceil(minutes / 60)}時間` : `${minutes}分`;
+  const error = scope === 'target'
+    ? `このURLは短時間に何度も診断されています。${wait}ほど待ってから再度お試しください。`
+    : `診断の回数が上限に達しました。${wait}ほど待ってから再度お試しください。`;
+  return new Response(JSON.stringify({ error, retryAfter }), {
+    status: 429,
+    headers: { 'Content-Type': 'application/json; charset=utf-8', 'Retry-After': String(retryAfter) }
+  });
+}
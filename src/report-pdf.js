@@ -0,0 +1,366 @@
+// Printable A4 PDF of a stored diagnosis (GET /report/:id.pdf)
+//
+// Cover page, then the sections of the diagnosis type: answers, scores, the AI's solutions or
+// category findings, the tech-check table and (for comparisons) the side-by-side table. Text flows
+// top to bottom and breaks onto new pages; page numbers are added once the page count is known.
+
+import { A4, createPdfDocument, textWidth, wrapText } from './pdf.js';
+import { SITE_CHECK_CATEGORY_LABELS, siteCheckTechItems } from './site-check-report.js';
+
+export const REPORT_TITLES = {
+  'ai-check': 'AI活用レベルチェック 診断レポート',
+  'web-check': 'Webサイト状況チェック 診断レポート',
+  'site-check': 'AI検索対応 Webサイト診断レポート',
+  'site-compare': 'AI検索対応 競合比較レポート'
+};
+
+const COLORS = {
+  ink: '#1A1A1A', green: '#242422', gray: '#888888', grayDark: '#4A4A4A', line: '#E5E5E5',
+  bg: '#F5F5F5', good: '#2D5A27', warn: '#B8860B', bad: '#C41E3A'
+};
+const MARGIN = { top: 56, bottom: 60, left: 50, right: 50 };
+const CONTENT_WIDTH = A4.width - MARGIN.left - MARGIN.right;
+
+// ========== Flow layout ==========
+
+function createFlow(doc) {
+  let page = null;
+  let y = 0;
+
+  const flow = {
+    get page() { return page; },
+    newPage() {
+      page = doc.addPage();
+      y = MARGIN.top;
+    },
+    // Starts a new page unless `height` more points fit on the current one
+    ensure(height) {
+      if (!page || y + height > A4.height - MARGIN.bottom) flow.newPage();
+    },
+    space(height) {
+      y += height;
+    },
+    heading(text) {
+      flow.ensure(60);
+      y += 6;
+      page.text(MARGIN.left, y, text, { size: 14, color: COLORS.green });
+      y += 22;
+      page.line(MARGIN.left, y, MARGIN.left + CONTENT_WIDTH, y, { color: COLORS.green, lineWidth: 1 });
+      y += 12;
+    },
+    paragraph(text, { size = 10, color = COLORS.ink, indent = 0, lineHeight = 1.7 } = {}) {
+      for (const line of wrapText(text, size, CONTENT_WIDTH - indent)) {
+        flow.ensure(size * lineHeight);
+        page.text(MARGIN.left + indent, y, line, { size, color });
+        y += size * lineHeight;
+      }
+    },
+    // Label on the left, value right-aligned, bar underneath
+    bar(label, value, max, { note = '' } = {}) {
+      flow.ensure(34);
+      const valueText = `${value} / ${max}${note}`;
+      page.text(MARGIN.left, y, label, { size: 10 });
+      page.text(MARGIN.left + CONTENT_WIDTH - textWidth(valueText, 10), y, valueText, { size: 10 });
+      y += 16;
+      page.rect(MARGIN.left, y, CONTENT_WIDTH, 6, { fill: COLORS.line });
+      const ratio = max > 0 ? Math.max(0, Math.min(1, value / max)) : 0;
+      if (ratio > 0) page.rect(MARGIN.left, y, CONTENT_WIDTH * ratio, 6, { fill: COLORS.green });
+      y += 16;
+    },
+    // columns: [{ label, width (fraction of the content width), align: 'left'|'center'|'right' }]
+    // rows: [{ cells: [string], color?: [string|null], bold?: boolean }]
+    table(columns, rows, { size = 9 } = {}) {
+      const widths = columns.map(c => c.width * CONTENT_WIDTH);
+      const pad = 5;
+      const lineHeight = size * 1.5;
+      const drawHeader = () => {
+        const height = lineHeight + pad * 2;
+        page.rect(MARGIN.left, y, CONTENT_WIDTH, height, { fill: COLORS.bg });
+        let x = MARGIN.left;
+        columns.forEach((c, i) => {
+          drawCell(c.label, x, widths[i], c.align, COLORS.grayDark);
+          x += widths[i];
+        });
+        y += height;
+      };
+      const drawCell = (text, x, width, align, color, top = y) => {
+        const lines = wrapText(text, size, width - pad * 2);
+        lines.forEach((line, i) => {
+          const w = textWidth(line, size);
+          const lx = align === 'right' ? x + width - pad - w : align === 'center' ? x + (width - w) / 2 : x + pad;
+          page.text(lx, top + pad + i * lineHeight, line, { size, color });
+        });
+      };
+
+      flow.ensure(lineHeight * 3 + pad * 4);
+      drawHeader();
+      for (const row of rows) {
+        const lineCount = Math.max(...row.cells.map((cell, i) => wrapText(cell, size, widths[i] - pad * 2).length));
+        const height = lineCount * lineHeight + pad * 2;
+        if (y + height > A4.height - MARGIN.bottom) {
+          flow.newPage();
+          drawHeader();
+        }
+        if (row.bold) page.rect(MARGIN.left, y, CONTENT_WIDTH, height, { fill: '#FAFAFA' });
+        let x = MARGIN.left;
+        row.cells.forEach((cell, i) => {
+          drawCell(cell, x, widths[i], columns[i].align, (row.color && row.color[i]) || COLORS.ink);
+          x += widths[i];
+        });
+        y += height;
+        page.line(MARGIN.left, y, MARGIN.left + CONTENT_WIDTH, y, { color: COLORS.line });
+      }
+      y += 10;
+    },
+    // Numbered block: title, optional highlighted point, then labelled paragraphs
+    card(number, title, { point = '', parts = [] } = {}) {
+      flow.ensure(90);
+      page.text(MARGIN.left, y, String(number).padStart(2, '0'), { size: 9, color: COLORS.green });
+      y += 14;
+      flow.paragraph(title, { size: 12, color: COLORS.ink, lineHeight: 1.5 });
+      if (point) {
+        y += 2;
+        flow.paragraph(point, { size: 10, color: COLORS.green, indent: 8 });
+      }
+      for (const part of parts) {
+        if (!part.text) continue;
+        y += 2;
+        flow.paragraph(part.label, { size: 8.5, color: part.color || COLORS.gray });
+        flow.paragraph(part.text, { size: 10, color: COLORS.grayDark, indent: 8 });
+      }
+      y += 10;
+      page.line(MARGIN.left, y, MARGIN.left + CONTENT_WIDTH, y, { color: COLORS.line });
+      y += 14;
+    },
+    keyValues(pairs) {
+      flow.table(
+        [{ label: '項目', width: 0.3, align: 'left' }, { label: '内容', width: 0.7, align: 'left' }],
+        pairs.filter(([, value]) => value).map(([label, value]) => ({ cells: [label, String(value)] }))
+      );
+    }
+  };
+  return flow;
+}
+
+// ========== Cover and page furniture ==========
+
+function drawCover(doc, { title, subject, date, score, scoreLabel }) {
+  const page = doc.addPage();
+  page.rect(0, 0, A4.width, 300, { fill: COLORS.green });
+  page.text(MARGIN.left, 90, 'DIAGNOSTIC REPORT', { size: 10, color: '#CCCCCC' });
+  let y = 116;
+  for (const line of wrapText(title, 22, CONTENT_WIDTH)) {
+    page.text(MARGIN.left, y, line, { size: 22, color: '#FFFFFF' });
+    y += 32;
+  }
+  page.text(MARGIN.left, 250, date, { size: 11, color: '#CCCCCC' });
+
+  y = 350;
+  for (const line of wrapText(subject || '', 14, CONTENT_WIDTH)) {
+    page.text(MARGIN.left, y, line, { size: 14 });
+    y += 22;
+  }
+
+  if (typeof score === 'number') {
+    y += 30;
+    page.text(MARGIN.left, y, scoreLabel || '総合スコア', { size: 11, color: COLORS.gray });
+    page.text(MARGIN.left, y + 20, String(score), { size: 64, color: COLORS.green });
+    page.text(MARGIN.left + textWidth(String(score), 64) + 8, y + 66, '/ 100', { size: 16, color: COLORS.gray });
+  }
+
+  page.line(MARGIN.left, A4.height - 110, A4.width - MARGIN.right, A4.height - 110, { color: COLORS.line });
+  page.text(MARGIN.left, A4.height - 96, 'Ciras株式会社（シラス株式会社）', { size: 11 });
+  page.text(MARGIN.left, A4.height - 78, 'https://ciras.jp　ご相談：https://ciras.jp/contact.html', { size: 9, color: COLORS.grayDark });
+}
+
+function drawPageNumbers(doc, title) {
+  const total = doc.pages.length;
+  doc.pages.forEach((page, i) => {
+    if (i === 0) return;
+    const label = `${i + 1} / ${total}`;
+    page.line(MARGIN.left, A4.height - 44, A4.width - MARGIN.right, A4.height - 44, { color: COLORS.line });
+    page.text(MARGIN.left, A4.height - 38, `${title}｜Ciras株式会社`, { size: 8, color: COLORS.gray });
+    page.text(A4.width - MARGIN.right - textWidth(label, 8), A4.height - 38, label, { size: 8, color: COLORS.gray });
+  });
+}
+
+// ========== Sections per diagnosis type ==========
+
+function solutionsSection(flow, solutions, heading, afterLabel) {
+  if (!solutions || solutions.length === 0) return;
+  flow.heading(heading);
+  solutions.forEach((s, i) => flow.card(i + 1, s.title, {
+    point: s.point,
+    parts: [
+      { label: '今の状態', text: s.before || s.description || '', color: COLORS.bad },
+      { label: afterLabel, text: s.after || '', color: COLORS.good }
+    ]
+  }));
+}
+
+function renderAiCheck(flow, diagnosis) {
+  const a = diagnosis.answers;
+  flow.heading('回答内容');
+  flow.keyValues([
+    ['立場', a.q1_position], ['業種', a.q2_industry], ['従業員数', a.q3_employees],
+    ['AI活用状況', a.q6_ai_status], ['興味分野', (a.q4_interests || []).join('、')], ['詳細', a.q5_details]
+  ]);
+  solutionsSection(flow, diagnosis.result.solutions, 'AIが提案する5つの解決案', 'AIを使うと');
+}
+
+function renderWebCheck(flow, diagnosis) {
+  const a = diagnosis.answers;
+  const s = diagnosis.scores;
+  flow.heading('回答内容');
+  flow.keyValues([
+    ['Webサイト', a.q1_has_website], ['URL', a.q2_url], ['期待すること', a.q3_expectation],
+    ['問い合わせ状況', a.q4_current_response], ['気になること', a.q5_concerns]
+  ]);
+  if (s) {
+    flow.heading('スコア');
+    for (const cat of Object.values(s.categories)) flow.bar(cat.label, cat.total, cat.maxScore);
+  }
+  solutionsSection(flow, diagnosis.result.solutions, s ? 'AIが提案する改善ポイント' : 'AIが提案するWebサイトプラン', '改善すると');
+}
+
+function techStatus(item) {
+  if (item.score >= item.max) return { mark: '○ 対応済み', color: COLORS.good };
+  if (item.score > 0) return { mark: '△ 一部対応', color: COLORS.warn };
+  return { mark: '× 未対応', color: COLORS.bad };
+}
+
+const TECH_MARKS = { ok: '○', warn: '△', ng: '×' };
+const TECH_COLORS = { ok: COLORS.good, warn: COLORS.warn, ng: COLORS.bad };
+
+function renderSiteCheck(flow, diagnosis) {
+  const breakdown = diagnosis.scoreBreakdown;
+  const analysis = (diagnosis.result && diagnosis.result.analysis) || {};
+
+  if (breakdown) {
+    flow.heading('スコアの内訳');
+    for (const cat of Object.values(breakdown.rules.categories)) flow.bar(cat.label, cat.total, cat.maxScore);
+    if (breakdown.tech) flow.bar('技術チェック', breakdown.tech.score, 100);
+    if (breakdown.llm && breakdown.llm.adjustment) {
+      flow.paragraph(`AI分析による補正：${breakdown.llm.adjustment > 0 ? '+' : ''}${breakdown.llm.adjustment}点`, { size: 9, color: COLORS.gray });
+    }
+  }
+
+  if (Array.isArray(analysis.priority_actions) && analysis.priority_actions.length > 0) {
+    flow.heading('優先して取り組むこと');
+    analysis.priority_actions.forEach((action, i) => flow.card(i + 1, action.title, {
+      parts: [{ label: '内容', text: action.description }]
+    }));
+  }
+
+  if (Array.isArray(analysis.categories) && analysis.categories.length > 0) {
+    flow.heading('AIによる分析');
+    analysis.categories.forEach((c, i) => flow.card(i + 1, `${SITE_CHECK_CATEGORY_LABELS[c.id] || c.id}（${c.score}点）`, {
+      parts: [
+        { label: '確認できたこと', text: (c.findings || []).map(f => `・${f}`).join('\n') },
+        { label: '経営への影響', text: c.business_impact, color: COLORS.warn }
+      ]
+    }));
+  }
+
+  // Diagnoses that keep the full tech check get the same rows as the report page
+  const checkItems = siteCheckTechItems(diagnosis.techCheck);
+  if (checkItems.length > 0) {
+    flow.heading('技術チェック');
+    flow.table(
+      [{ label: '項目', width: 0.35, align: 'left' }, { label: '結果', width: 0.65, align: 'left' }],
+      checkItems.map(item => ({ cells: [item.label, `${TECH_MARKS[item.status]} ${item.text}`], color: [null, TECH_COLORS[item.status]] }))
+    );
+    return;
+  }
+
+  const techItems = breakdown && breakdown.tech ? breakdown.tech.items : [];
+  if (techItems.length > 0) {
+    flow.heading('技術チェック');
+    flow.table(
+      [{ label: '項目', width: 0.5, align: 'left' }, { label: '結果', width: 0.3, align: 'left' }, { label: '点数', width: 0.2, align: 'right' }],
+      techItems.map(item => {
+        const status = techStatus(item);
+        return { cells: [item.label, status.mark, `${item.score} / ${item.max}`], color: [null, status.color, null] };
+      })
+    );
+  }
+}
+
+function renderSiteCompare(flow, diagnosis) {
+  const c = diagnosis.comparison;
+  const names = c.sites.map((site, i) => (i === 0 ? '自社' : `競合${i}`));
+
+  flow.heading('比較したサイト');
+  flow.keyValues(c.sites.map((site, i) => [names[i], `${site.companyName ? site.companyName + '　' : ''}${site.url}（${site.score}点）`]));
+
+  flow.heading('競合より遅れている項目');
+  if (c.behind.length === 0) {
+    flow.paragraph('すべての項目で競合サイトと同等以上の評価です。');
+  } else {
+    flow.table(
+      [{ label: '項目', width: 0.5, align: 'left' }, { label: '自社', width: 0.25, align: 'right' }, { label: '競合の最高', width: 0.25, align: 'right' }],
+      c.behind.slice(0, 15).map(b => ({
+        cells: [b.label, compareValue(b.primary, b), compareValue(b.best, b)], color: [null, COLORS.bad, null]
+      }))
+    );
+  }
+
+  flow.heading('項目別の比較');
+  const valueWidth = 0.55 / c.sites.length;
+  flow.table(
+    [{ label: '項目', width: 0.45, align: 'left' }, ...names.map(label => ({ label, width: valueWidth, align: 'right' }))],
+    c.rows.map(row => ({
+      cells: [row.label, ...row.values.map(v => compareValue(v, row))],
+      color: [null, ...row.values.map((v, i) => (i === 0 && row.primaryBehind ? COLORS.bad : i === row.leader ? COLORS.good : null))],
+      bold: row.summary
+    }))
+  );
+}
+
+function compareValue(value, row) {
+  if (value === null || value === undefined) return '—';
+  const text = Number(value).toLocaleString('ja-JP');
+  return row.max ? `${text} / ${row.max}` : `${text}${row.unit === '点' ? '' : row.unit}`;
+}
+
+function coverSubject(diagnosis) {
+  switch (diagnosis.type) {
+    case 'ai-check': return `${diagnosis.answers.q2_industry || ''}　${diagnosis.answers.q1_position || ''}`.trim();
+    case 'web-check': return diagnosis.answers.q2_url || '';
+    case 'site-check': {
+      const name = diagnosis.result && diagnosis.result.companyName;
+      const url = diagnosis.crawlData ? diagnosis.crawlData.url : diagnosis.answers.url;
+      return name ? `${name}\n${url}` : url;
+    }
+    case 'site-compare': return diagnosis.comparison.sites.map((s, i) => `${i === 0 ? '自社' : `競合${i}`}：${s.url}`).join('\n');
+    default: return '';
+  }
+}
+
+function coverScore(diagnosis) {
+  if (diagnosis.type === 'site-check') return { score: diagnosis.overallScore };
+  if (diagnosis.type === 'web-check' && diagnosis.scores) return { score: diagnosis.scores.totalScore };
+  if (diagnosis.type === 'site-compare') return { score: diagnosis.comparison.sites[0].score, scoreLabel: `自社サイトのスコア（${diagnosis.comparison.sites.length}サイト中${diagnosis.comparison.rank}位）` };
+  return {};
+}
+
+const RENDERERS = {
+  'ai-check': renderAiCheck,
+  'web-check': renderWebCheck,
+  'site-check': renderSiteCheck,
+  'site-compare': renderSiteCompare
+};
+
+// Resolves to the PDF bytes
+export async function renderReportPdf(diagnosis) {
+  const title = REPORT_TITLES[diagnosis.type] || REPORT_TITLES['ai-check'];
+  const date = new Date(diagnosis.createdAt).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Tokyo' });
+  const doc = createPdfDocument({ title, author: 'Ciras株式会社' });
+
+  drawCover(doc, { title, subject: coverSubject(diagnosis), date, ...coverScore(diagnosis) });
+  const flow = createFlow(doc);
+  (RENDERERS[diagnosis.type] || renderAiCheck)(flow, diagnosis);
+  drawPageNumbers(doc, title);
+
+  return doc.toBytes(new Date(diagnosis.createdAt));
+}
@@ -0,0 +1,91 @@
+// robots.txt parsing and matching (RFC 9309)
+//
+// parseRobotsTxt() turns the file into user-agent groups; getRobotsRules() picks the group
+// that applies to our crawler token. Matching follows Google's semantics: the longest
+// matching Allow/Disallow pattern wins, Allow wins ties, `*` and a trailing `$` are supported.
+
+export const CRAWLER_TOKEN = 'CirasWebChecker';
+
+export function parseRobotsTxt(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text || '').split(/\r\n|\r|\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const sep = line.indexOf(':');
+    if (sep === -1) continue;
+    const field = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive User-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+
+    if (field === 'sitemap') {
+      if (value) sitemaps.push(value);
+    } else if (!current) {
+      continue;
+    } else if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: field === 'allow', pattern: value, regex: patternToRegex(value) });
+    } else if (field === 'crawl-delay') {
+      const delay = parseFloat(value);
+      if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+// Merges every group naming our token (or `*` if none does) into one rule set
+export function getRobotsRules(robots, token = CRAWLER_TOKEN) {
+  const name = token.toLowerCase();
+  let matched = robots.groups.filter(g => g.agents.includes(name));
+  if (matched.length === 0) matched = robots.groups.filter(g => g.agents.includes('*'));
+
+  const delays = matched.map(g => g.crawlDelay).filter(d => d !== null);
+  return {
+    rules: matched.flatMap(g => g.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+export function isPathAllowed(rules, pathWithQuery) {
+  if (pathWithQuery === '/robots.txt') return true;
+  let best = null;
+  for (const rule of rules.rules) {
+    if (!rule.regex.test(pathWithQuery)) continue;
+    if (!best || rule.pattern.length > best.pattern.length ||
+        (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return best ? best.allow : true;
+}
+
+function patternToRegex(pattern) {
+  let body = pattern;
+  const anchored = body.endsWith('$');
+  if (anchored) body = body.slice(0, -1);
+  // Compare percent-encoded forms so /会社概要 and /%E4%BC%9A... match each other
+  let encoded = body;
+  try { encoded = encodeURI(decodeURI(body)); } catch (e) {}
+  const source = encoded.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp('^' + source + (anchored ? '$' : ''));
+}
+
+// Path + query as robots rules see it (percent-encoded)
+export function robotsPath(url) {
+  const u = new URL(url);
+  return (u.pathname || '/') + u.search;
+}
@@ -0,0 +1,93 @@
+// Declarative router for the worker's fetch handler
+//
+// A route is a plain object:
+//   { path: '/api/admin/diagnoses/:id', methods: ['GET'], middleware: [requireAdmin], handler }
+//
+// - `:name` segments match [\w-]+ and are passed to the handler as route.params.name
+// - `methods` omitted = any method
+// - handler(request, env, route) and middleware(request, env, route, next) return a Response,
+//   or null to let the request fall through to the next matching route / static assets
+// - Unmatched paths under the API prefix get a JSON 404, method mismatches a JSON 405
+
+export function createRouter(routes, options = {}) {
+  const apiPrefix = options.apiPrefix || '/api/';
+  const compiled = routes.map(r => ({
+    ...r,
+    ...compilePath(r.path),
+    methods: r.methods ? r.methods.map(m => m.toUpperCase()) : null,
+    middleware: r.middleware || []
+  }));
+
+  return async function route(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    const allowed = new Set();
+
+    for (const r of compiled) {
+      const match = r.regex.exec(path);
+      if (!match) continue;
+      if (r.methods && !r.methods.includes(request.method)) {
+        r.methods.forEach(m => allowed.add(m));
+        continue;
+      }
+
+      const params = {};
+      r.keys.forEach((key, i) => { params[key] = match[i + 1]; });
+      const response = await runChain(r, request, env, { params, url, ctx });
+      if (response) return response;
+    }
+
+    if (path.startsWith(apiPrefix)) {
+      if (allowed.size > 0) {
+        const allow = [...allowed].join(', ');
+        return routerJson({ error: 'このメソッドは利用できません', allow }, 405, { 'Allow': allow });
+      }
+      return routerJson({ error: 'APIが見つかりません' }, 404);
+    }
+    return null;
+  };
+}
+
+function compilePath(path) {
+  const keys = [];
+  const pattern = path.split('/').map(segment =>
+    segment.replace(/:(\w+)|[.*+?^${}()|[\]\\]/g, (m, key) => {
+      if (!key) return '\\' + m;
+      keys.push(key);
+      return '([\\w-]+)';
+    })
+  ).join('/');
+  return { regex: new RegExp(`^${pattern}$`), keys };
+}
+
+function runChain(r, request, env, route) {
+  const dispatch = (i) => {
+    if (i < r.middleware.length) {
+      return Promise.resolve(r.middleware[i](request, env, route, () => dispatch(i + 1)));
+    }
+    return Promise.resolve(r.handler(request, env, route));
+  };
+  return dispatch(0);
+}
+
+// ========== Middleware ==========
+
+// Adds Access-Control-Allow-Origin for whitelisted origins (falls back to the first origin)
+export function cors(origins) {
+  const allowed = new Set(origins);
+  return async (request, env, route, next) => {
+    const response = await next();
+    if (!response) return response;
+    const origin = request.headers.get('Origin') || '';
+    const res = new Response(response.body, response);
+    res.headers.set('Access-Control-Allow-Origin', allowed.has(origin) ? origin : origins[0]);
+    res.headers.append('Vary', 'Origin');
+    return res;
+  };
+}
+
+function routerJson(data, status, headers = {}) {
+  return new Response(JSON.stringify(data), {
+    status, headers: { 'Content-Type': 'application/json; charset=utf-8', ...headers }
+  });
+}
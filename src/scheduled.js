@@ -0,0 +1,200 @@
+// Scheduled re-diagnosis of client sites (cron trigger)
+//
+// Managed clients live in the DIAGNOSES KV namespace as client:<domain>. Each cron run re-checks
+// the clients whose last scheduled check is older than the interval, a few per run so one
+// invocation stays well inside the time limit, and compares the new history entry with the
+// previous one. Regressions are stored as alert:<id> records for the admin alert list and expire
+// ALERT_TTL_DAYS after they were raised.
+//
+// Both record types are copied into their KV list metadata (when they fit its 1024 bytes), so the
+// admin lists and the cron run read them from list() pages instead of one get() per key.
+
+import { historyDomain, loadHistory } from './history.js';
+
+const CLIENT_PREFIX = 'client:';
+const ALERT_PREFIX = 'alert:';
+const ALERT_TTL_DAYS = 90;
+const METADATA_MAX_BYTES = 1024;
+
+export const SCHEDULED_DEFAULTS = { intervalDays: 30, batchSize: 3, scoreDrop: 5 };
+
+// Tech checks whose loss is reported: { field, label }
+const LOST_CHECKS = [
+  { field: 'jsonLd', label: '構造化データ（JSON-LD）' },
+  { field: 'schemaOrganization', label: 'Organization スキーマ' },
+  { field: 'robotsTxt', label: 'robots.txt' },
+  { field: 'sitemapXml', label: 'sitemap.xml' },
+  { field: 'llmsTxt', label: 'llms.txt' },
+  { field: 'https', label: 'HTTPS' }
+];
+
+// ========== Records ==========
+
+// The record itself as list metadata, or null when it is too large (then list reads fall back to get)
+function recordMetadata(record) {
+  return new TextEncoder().encode(JSON.stringify(record)).length <= METADATA_MAX_BYTES ? record : null;
+}
+
+// Every record under `prefix`; idField tells a full metadata copy from a fallback entry
+async function listRecords(kv, prefix, idField) {
+  const records = [];
+  let cursor;
+  do {
+    const list = await kv.list({ prefix, cursor });
+    records.push(...await Promise.all(list.keys.map(async k => {
+      if (k.metadata && k.metadata[idField]) return k.metadata;
+      const raw = await kv.get(k.name);
+      return raw ? JSON.parse(raw) : null;
+    })));
+    cursor = list.list_complete === false ? list.cursor : undefined;
+  } while (cursor);
+  return records.filter(Boolean);
+}
+
+// ========== Clients ==========
+
+// { domain, url, name, plan, createdAt, lastRunAt, lastDiagnosisId, lastScore, lastError }
+export function createClient({ url, name, plan }, now = new Date()) {
+  const domain = historyDomain(url);
+  if (!domain) return null;
+  return {
+    domain, url: url.trim(), name: name || null, plan: plan || null, createdAt: now.toISOString(),
+    lastRunAt: null, lastDiagnosisId: null, lastScore: null, lastError: null
+  };
+}
+
+export async function saveClient(kv, client) {
+  await kv.put(`${CLIENT_PREFIX}${client.domain}`, JSON.stringify(client), { metadata: recordMetadata(client) });
+}
+
+export async function getClient(kv, domain) {
+  const raw = await kv.get(`${CLIENT_PREFIX}${domain}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+export async function deleteClient(kv, domain) {
+  await kv.delete(`${CLIENT_PREFIX}${domain}`);
+}
+
+export async function listClients(kv) {
+  const clients = await listRecords(kv, CLIENT_PREFIX, 'domain');
+  return clients.sort((a, b) => a.domain.localeCompare(b.domain));
+}
+
+// Clients due for a check, least recently checked first
+export function dueClients(clients, { intervalDays, batchSize }, now = new Date()) {
+  const cutoff = now.getTime() - intervalDays * 86400000;
+  return clients
+    .filter(c => !c.lastRunAt || new Date(c.lastRunAt).getTime() <= cutoff)
+    .sort((a, b) => (a.lastRunAt || '').localeCompare(b.lastRunAt || ''))
+    .slice(0, batchSize);
+}
+
+// ========== Regressions ==========
+
+// Regressions of a history entry against the previous one: [{ type, message, field?, previous?, current? }]
+export function detectRegressions(previous, current, { scoreDrop } = SCHEDULED_DEFAULTS) {
+  if (!previous || !current) return [];
+  const regressions = [];
+  const drop = previous.overallScore - current.overallScore;
+  if (typeof drop === 'number' && drop >= scoreDrop) {
+    regressions.push({
+      type: 'score-drop', previous: previous.overallScore, current: current.overallScore,
+      message: `総合スコアが${drop}点下がりました（${previous.overallScore}点 → ${current.overallScore}点）`
+        + (previous.scoringVersion !== current.scoringVersion ? '※採点基準の更新を含みます' : '')
+    });
+  }
+  const before = previous.techCheck || {};
+  const after = current.techCheck || {};
+  for (const check of LOST_CHECKS) {
+    if (before[check.field] === true && after[check.field] === false) {
+      regressions.push({ type: 'lost', field: check.field, message: `${check.label}が検出されなくなりました` });
+    }
+  }
+  if (before.entityConsistent === true && after.entityConsistent === false) {
+    regressions.push({ type: 'lost', field: 'entityConsistency', message: '会社情報（社名・住所・電話番号）の表記に揺れが出ています' });
+  }
+  return regressions;
+}
+
+// ========== Alerts ==========
+
+// { id, domain, clientName, type, message, diagnosisId, previousDiagnosisId, createdAt, acknowledged }
+// The expiry is counted from createdAt, so acknowledging an alert does not extend it
+export async function saveAlert(kv, alert) {
+  const now = Math.floor(Date.now() / 1000);
+  const expires = Math.floor(new Date(alert.createdAt).getTime() / 1000) + ALERT_TTL_DAYS * 86400;
+  await kv.put(`${ALERT_PREFIX}${alert.id}`, JSON.stringify(alert), {
+    // KV rejects expirations less than 60 seconds away
+    expiration: Math.max(now + 60, expires || 0),
+    metadata: recordMetadata(alert)
+  });
+}
+
+export async function getAlert(kv, id) {
+  const raw = await kv.get(`${ALERT_PREFIX}${id}`);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// Newest first
+export async function listAlerts(kv) {
+  const alerts = await listRecords(kv, ALERT_PREFIX, 'id');
+  // Alerts saved before they were given an expiration are removed once they are as old
+  const cutoff = new Date(Date.now() - ALERT_TTL_DAYS * 86400000).toISOString();
+  const expired = alerts.filter(a => a.createdAt < cutoff);
+  await Promise.all(expired.map(a => kv.delete(`${ALERT_PREFIX}${a.id}`)));
+  return alerts.filter(a => a.createdAt >= cutoff).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+// ========== Cron run ==========
+
+// runCheck(url) runs a forced site check and resolves to { status, data, historyEntry }.
+// Returns [{ domain, status, diagnosisId, alerts }] for the clients checked in this run.
+export async function runScheduledChecks(kv, runCheck, settings = SCHEDULED_DEFAULTS, now = new Date()) {
+  const due = dueClients(await listClients(kv), settings, now);
+  const results = [];
+
+  // One at a time: each check crawls a site and makes paid LLM calls
+  for (const client of due) {
+    const createdAt = new Date().toISOString();
+    const alerts = [];
+    let outcome = null;
+    let previous = null;
+    try {
+      const history = await loadHistory(kv, client.domain, { limit: 1 });
+      previous = history[history.length - 1] || null;
+      outcome = await runCheck(client.url);
+    } catch (err) {
+      console.error('scheduled site check error:', client.domain, err);
+      outcome = { status: 503, data: { error: '診断中にエラーが発生しました' } };
+    }
+
+    const makeAlert = (regression) => ({
+      id: crypto.randomUUID(), domain: client.domain, clientName: client.name, ...regression,
+      diagnosisId: outcome.status === 200 ? outcome.data.id : null,
+      previousDiagnosisId: previous ? previous.id : null,
+      createdAt, acknowledged: false
+    });
+
+    if (outcome.status === 200) {
+      for (const regression of detectRegressions(previous, outcome.historyEntry, settings)) alerts.push(makeAlert(regression));
+      client.lastDiagnosisId = outcome.data.id;
+      client.lastScore = outcome.data.overallScore;
+      client.lastError = null;
+    } else {
+      const error = (outcome.data && outcome.data.error) || '診断に失敗しました';
+      alerts.push(makeAlert({ type: 'check-failed', message: `定期診断に失敗しました：${error}` }));
+      client.lastError = error;
+    }
+    client.lastRunAt = createdAt;
+
+    try {
+      await Promise.all(alerts.map(alert => saveAlert(kv, alert)));
+      await saveClient(kv, client);
+    } catch (err) {
+      console.error('scheduled check bookkeeping error:', client.domain, err);
+    }
+    results.push({ domain: client.domain, status: outcome.status, diagnosisId: client.lastDiagnosisId, alerts: alerts.length });
+  }
+  return results;
+}
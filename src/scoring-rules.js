@@ -0,0 +1,275 @@
+// Scoring rule sets for the website diagnoses
+//
+// Pure data, evaluated by scoring.js. Never edit a published rule set in place: copy it, bump
+// the version and make the copy CURRENT_SCORING_RULES; the old set stays in this file as the
+// record of how earlier diagnoses were scored. Diagnoses store the version they were scored with
+// and are never re-scored, so reports show the stored scores as they are.
+//
+// Item criteria (summed, capped at the item's max):
+//   { when: <condition>, points }             add points if the condition holds
+//   { tiers: [{ when, points }, ...] }        first matching tier adds its points
+//   { scaled: 'fact', points }                round(fact (0..1) * points)
+// Conditions:
+//   { fact: 'path.to.value' }                 truthy
+//   { fact, gt | gte | lt | lte | eq: n }     comparisons (non-numbers never match gt/gte/lt/lte)
+//   { fact, includesAny: ['A', 'B'] }         array fact contains one of the values
+//   { fact, withinYears: n }                  fact is a year no older than n years
+//   { all: [...] } / { any: [...] } / { not: <condition> }
+// A fact may be an array of paths: the first truthy value is used (like a || b).
+// An item with `skipWhen` is left out of the score and the max when the condition holds.
+
+const RULES_2026_10 = {
+  version: '2026-10.1',
+
+  // scoreSite: 4 categories x 25 points, evaluated on the crawl result (siteProfile = crawl.siteProfile)
+  site: {
+    categories: [
+      {
+        key: 'a', label: 'コンテンツの充実度', maxScore: 25,
+        items: [
+          {
+            key: 'serviceClarity', label: 'サービス説明', max: 7,
+            criteria: [
+              { when: { any: [{ fact: 'siteProfile.hasService' }, { fact: 'hasPrice' }] }, points: 3 },
+              { when: { fact: 'title.length', gte: 10 }, points: 2 },
+              { when: { fact: 'metaDescription.length', gte: 50 }, points: 2 }
+            ]
+          },
+          {
+            key: 'contentDepth', label: '情報量', max: 6,
+            criteria: [
+              {
+                tiers: [
+                  { when: { fact: ['siteProfile.totalContentLength', 'contentLength'], gt: 20000 }, points: 6 },
+                  { when: { fact: ['siteProfile.totalContentLength', 'contentLength'], gt: 10000 }, points: 4 },
+                  { when: { fact: ['siteProfile.totalContentLength', 'contentLength'], gt: 5000 }, points: 2 },
+                  { when: { fact: ['siteProfile.totalContentLength', 'contentLength'], gt: 2000 }, points: 1 }
+                ]
+              }
+            ]
+          },
+          {
+            key: 'diversity', label: 'ページの多様性', max: 6,
+            criteria: [
+              {
+                tiers: [
+                  { when: { fact: 'siteProfile.pageTypes.length', gte: 6 }, points: 6 },
+                  { when: { fact: 'siteProfile.pageTypes.length', gte: 4 }, points: 4 },
+                  { when: { fact: 'siteProfile.pageTypes.length', gte: 3 }, points: 3 },
+                  { when: { fact: 'siteProfile.pageTypes.length', gte: 2 }, points: 1 }
+                ]
+              }
+            ]
+          },
+          {
+            key: 'faq', label: 'FAQ・Q&A', max: 3,
+            criteria: [{ when: { fact: 'siteProfile.hasFaq' }, points: 3 }]
+          },
+          {
+            key: 'pricing', label: '料金情報', max: 3,
+            criteria: [{ when: { fact: 'siteProfile.hasPricing' }, points: 3 }]
+          }
+        ]
+      },
+      {
+        key: 'b', label: '信頼性・実績', maxScore: 25,
+        items: [
+          {
+            key: 'testimonials', label: 'お客様の声・実績', max: 8,
+            criteria: [
+              { when: { fact: 'siteProfile.hasTestimonials' }, points: 5 },
+              { when: { all: [{ fact: 'siteProfile.hasTestimonials' }, { fact: 'siteProfile.testimonialPageCount', gte: 2 }] }, points: 3 }
+            ]
+          },
+          {
+            key: 'company', label: '会社概要', max: 6,
+            criteria: [
+              { when: { fact: 'siteProfile.hasCompanyInfo' }, points: 3 },
+              { when: { all: [{ fact: 'siteProfile.hasCompanyInfo' }, { fact: 'siteProfile.hasAddress' }] }, points: 2 },
+              { when: { all: [{ fact: 'siteProfile.hasCompanyInfo' }, { fact: 'siteProfile.hasPhone' }] }, points: 1 }
+            ]
+          },
+          {
+            key: 'legal', label: 'プライバシーポリシー', max: 4,
+            criteria: [{ when: { fact: 'siteProfile.hasPrivacyPolicy' }, points: 4 }]
+          },
+          {
+            key: 'contact', label: '問い合わせ窓口', max: 4,
+            criteria: [{ when: { fact: 'siteProfile.hasContact' }, points: 4 }]
+          },
+          {
+            key: 'freshContent', label: '更新コンテンツ', max: 3,
+            criteria: [
+              { when: { fact: 'siteProfile.hasBlog' }, points: 2 },
+              { when: { all: [{ fact: 'siteProfile.hasBlog' }, { fact: 'siteProfile.blogPostCount', gte: 3 }] }, points: 1 }
+            ]
+          }
+        ]
+      },
+      {
+        key: 'c', label: 'AI検索最適化', maxScore: 25,
+        items: [
+          {
+            key: 'structured', label: '構造化データ', max: 8,
+            criteria: [
+              { when: { fact: 'hasJsonLd' }, points: 3 },
+              { when: { all: [{ fact: 'hasJsonLd' }, { fact: 'jsonLdTypes', includesAny: ['Organization', 'LocalBusiness'] }] }, points: 2 },
+              { when: { all: [{ fact: 'hasJsonLd' }, { fact: 'jsonLdTypes', includesAny: ['FAQPage'] }] }, points: 2 },
+              { when: { all: [{ fact: 'hasJsonLd' }, { fact: 'jsonLdTypes', includesAny: ['Service', 'Product'] }] }, points: 1 }
+            ]
+          },
+          {
+            key: 'headings', label: '見出し構造', max: 5,
+            criteria: [
+              { when: { fact: 'headingStructure.h1', gte: 1 }, points: 2 },
+              {
+                tiers: [
+                  { when: { fact: 'headingStructure.h2', gte: 3 }, points: 2 },
+                  { when: { fact: 'headingStructure.h2', gte: 1 }, points: 1 }
+                ]
+              },
+              { when: { fact: 'headingStructure.h3', gte: 2 }, points: 1 }
+            ]
+          },
+          {
+            key: 'clarity', label: '情報の明確さ', max: 5,
+            criteria: [
+              { when: { fact: 'siteProfile.hasAddress' }, points: 2 },
+              { when: { fact: 'siteProfile.hasPhone' }, points: 1 },
+              { when: { fact: 'siteProfile.hasPricing' }, points: 2 }
+            ]
+          },
+          {
+            key: 'linking', label: '内部リンク', max: 4,
+            criteria: [
+              {
+                tiers: [
+                  { when: { fact: 'internalLinks', gte: 15 }, points: 4 },
+                  { when: { fact: 'internalLinks', gte: 8 }, points: 3 },
+                  { when: { fact: 'internalLinks', gte: 3 }, points: 1 }
+                ]
+              }
+            ]
+          },
+          {
+            key: 'meta', label: 'メタ情報', max: 3,
+            criteria: [
+              { when: { fact: 'hasCanonical' }, points: 2 },
+              { when: { fact: 'metaDescription.length', gte: 30 }, points: 1 }
+            ]
+          }
+        ]
+      },
+      {
+        key: 'd', label: '技術品質', maxScore: 25,
+        items: [
+          {
+            key: 'security', label: 'HTTPS', max: 5,
+            criteria: [{ when: { fact: 'isHttps' }, points: 5 }]
+          },
+          {
+            key: 'mobile', label: 'モバイル対応', max: 5,
+            criteria: [{ when: { fact: 'hasViewport' }, points: 5 }]
+          },
+          {
+            key: 'speed', label: '表示速度', max: 5,
+            criteria: [
+              {
+                tiers: [
+                  { when: { fact: 'pageSize', lt: 150000 }, points: 3 },
+                  { when: { fact: 'pageSize', lt: 300000 }, points: 2 },
+                  { when: { fact: 'pageSize', lt: 500000 }, points: 1 }
+                ]
+              },
+              { when: { fact: 'scriptCount', lte: 5 }, points: 1 },
+              { when: { fact: 'imageCount', lte: 15 }, points: 1 }
+            ]
+          },
+          {
+            key: 'accessibility', label: '画像の説明文', max: 5,
+            criteria: [
+              {
+                tiers: [
+                  { when: { fact: 'hasAltText', gte: 0.9 }, points: 5 },
+                  { when: { fact: 'hasAltText', gte: 0.7 }, points: 3 },
+                  { when: { fact: 'hasAltText', gte: 0.4 }, points: 2 },
+                  { when: { fact: 'imageCount', eq: 0 }, points: 3 }
+                ]
+              }
+            ]
+          },
+          {
+            key: 'freshness', label: '更新性', max: 5,
+            criteria: [
+              {
+                tiers: [
+                  { when: { fact: 'copyrightYear', withinYears: 0 }, points: 3 },
+                  { when: { fact: 'copyrightYear', withinYears: 1 }, points: 2 },
+                  { when: { fact: 'copyrightYear', withinYears: 2 }, points: 1 }
+                ]
+              },
+              { when: { fact: 'siteProfile.hasBlog' }, points: 2 }
+            ]
+          }
+        ]
+      }
+    ]
+  },
+
+  // scoreTechChecks: runTechChecks results, normalized to 100
+  // (jsonLdValidRatio = share of JSON-LD validations without errors)
+  tech: {
+    items: [
+      { key: 'https', label: 'HTTPS', max: 10, criteria: [{ when: { fact: 'https' }, points: 10 }] },
+      {
+        key: 'responseTime', label: '応答速度', max: 15,
+        skipWhen: { fact: 'responseTimeMs', eq: null },
+        criteria: [{
+          tiers: [
+            { when: { fact: 'responseTimeMs', lt: 2000 }, points: 15 },
+            { when: { fact: 'responseTimeMs', lt: 4000 }, points: 8 }
+          ]
+        }]
+      },
+      { key: 'robotsTxt', label: 'robots.txt', max: 5, criteria: [{ when: { fact: 'robotsTxt' }, points: 5 }] },
+      { key: 'sitemapXml', label: 'sitemap.xml', max: 5, criteria: [{ when: { fact: 'sitemapXml' }, points: 5 }] },
+      { key: 'llmsTxt', label: 'llms.txt', max: 5, criteria: [{ when: { fact: 'llmsTxt' }, points: 5 }] },
+      {
+        key: 'metaDescription', label: 'meta description', max: 10,
+        criteria: [{
+          tiers: [
+            { when: { all: [{ fact: 'metaDescription' }, { fact: 'metaDescriptionLength', gte: 60 }, { fact: 'metaDescriptionLength', lte: 160 }] }, points: 10 },
+            { when: { fact: 'metaDescription' }, points: 5 }
+          ]
+        }]
+      },
+      {
+        key: 'ogp', label: 'OGP', max: 5,
+        criteria: [{
+          tiers: [
+            { when: { fact: 'ogp' }, points: 5 },
+            { when: { any: [{ fact: 'ogpTitle' }, { fact: 'ogpDescription' }, { fact: 'ogpImage' }] }, points: 2 }
+          ]
+        }]
+      },
+      { key: 'canonical', label: 'canonical タグ', max: 5, criteria: [{ when: { fact: 'canonical' }, points: 5 }] },
+      { key: 'jsonLd', label: 'JSON-LD', max: 10, criteria: [{ when: { fact: 'jsonLd' }, points: 10 }] },
+      { key: 'jsonLdValid', label: 'JSON-LD 必須項目', max: 10, criteria: [{ scaled: 'jsonLdValidRatio', points: 10 }] },
+      { key: 'schemaOrganization', label: 'Organization スキーマ', max: 10, criteria: [{ when: { fact: 'schemaOrganization' }, points: 10 }] },
+      { key: 'schemaFaq', label: 'FAQPage スキーマ', max: 5, criteria: [{ when: { fact: 'schemaFaq' }, points: 5 }] },
+      { key: 'dateModified', label: 'dateModified', max: 5, criteria: [{ when: { fact: 'dateModified' }, points: 5 }] }
+    ]
+  },
+
+  // scoreSiteCheck: base = rules x weights.rules + tech x weights.tech; the AI analysis
+  // (category scores averaged with llmCategoryWeights by priority) moves the base by at most
+  // llmMaxAdjustment points
+  hybrid: {
+    weights: { rules: 0.7, tech: 0.3 },
+    llmWeight: 0.25,
+    llmMaxAdjustment: 10,
+    llmCategoryWeights: { 1: 0.30, 2: 0.25, 3: 0.20, 4: 0.15, 5: 0.10 }
+  }
+};
+
+export const CURRENT_SCORING_RULES = RULES_2026_10;
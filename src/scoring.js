@@ -0,0 +1,82 @@
+// Generic evaluator for the rule sets in scoring-rules.js
+
+function readFact(facts, path) {
+  if (Array.isArray(path)) {
+    const values = path.map(p => readFact(facts, p));
+    return values.find(Boolean) || values[values.length - 1];
+  }
+  let value = facts;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+export function evaluateCondition(condition, facts, now = new Date()) {
+  if (condition.all) return condition.all.every(c => evaluateCondition(c, facts, now));
+  if (condition.any) return condition.any.some(c => evaluateCondition(c, facts, now));
+  if (condition.not) return !evaluateCondition(condition.not, facts, now);
+
+  const value = readFact(facts, condition.fact);
+  if ('eq' in condition) return condition.eq === null ? value === null || value === undefined : value === condition.eq;
+  if ('gt' in condition) return isNumber(value) && value > condition.gt;
+  if ('gte' in condition) return isNumber(value) && value >= condition.gte;
+  if ('lt' in condition) return isNumber(value) && value < condition.lt;
+  if ('lte' in condition) return isNumber(value) && value <= condition.lte;
+  if ('includesAny' in condition) return Array.isArray(value) && condition.includesAny.some(v => value.includes(v));
+  if ('withinYears' in condition) return isNumber(value) && value >= now.getFullYear() - condition.withinYears;
+  return !!value;
+}
+
+function evaluateCriterion(criterion, facts, now) {
+  if (criterion.tiers) {
+    const tier = criterion.tiers.find(t => evaluateCondition(t.when, facts, now));
+    return tier ? tier.points : 0;
+  }
+  if (criterion.scaled) {
+    const ratio = readFact(facts, criterion.scaled);
+    return isNumber(ratio) ? Math.round(Math.max(0, Math.min(1, ratio)) * criterion.points) : 0;
+  }
+  return evaluateCondition(criterion.when, facts, now) ? criterion.points : 0;
+}
+
+// Returns { key, label, score, max } or null when the item is skipped
+export function evaluateItem(item, facts, now = new Date()) {
+  if (item.skipWhen && evaluateCondition(item.skipWhen, facts, now)) return null;
+  const points = item.criteria.reduce((sum, c) => sum + evaluateCriterion(c, facts, now), 0);
+  return { key: item.key, label: item.label, score: Math.min(item.max, points), max: item.max };
+}
+
+// Evaluates `site` rules. Same shape scoreSite always returned:
+// { version, totalScore, categories: { a: { total, maxScore, label, details: { key: { score, max, label } } } } }
+export function evaluateSiteRules(rules, facts, now = new Date()) {
+  const categories = {};
+  let totalScore = 0;
+  for (const category of rules.site.categories) {
+    const details = {};
+    let total = 0;
+    for (const item of category.items) {
+      const result = evaluateItem(item, facts, now);
+      if (!result) continue;
+      details[item.key] = { score: result.score, max: result.max, label: result.label };
+      total += result.score;
+    }
+    total = Math.min(category.maxScore, total);
+    categories[category.key] = { total, maxScore: category.maxScore, label: category.label, details };
+    totalScore += total;
+  }
+  return { version: rules.version, totalScore, categories };
+}
+
+// Evaluates a flat item list normalized to 100: { score, points, maxPoints, items }
+export function evaluateNormalizedItems(items, facts, now = new Date()) {
+  const results = items.map(item => evaluateItem(item, facts, now)).filter(Boolean);
+  const points = results.reduce((sum, r) => sum + r.score, 0);
+  const maxPoints = results.reduce((sum, r) => sum + r.max, 0);
+  return { score: maxPoints > 0 ? Math.round(points / maxPoints * 100) : 0, points, maxPoints, items: results };
+}
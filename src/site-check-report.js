@@ -0,0 +1,117 @@
+// Presentation helpers for stored site-check diagnoses
+//
+// The report page (/report/:id) and the PDF show the same wording as the live result in
+// web-check.html: category names, the tech-check rows of renderTechCheck() and the crawled page
+// statuses. Diagnoses stored before techCheck, crawlData.pages and result.aiTestError were kept
+// fall back to what they have (the scored tech items, the AI visibility queries).
+
+import { findCompanyQuery } from './ai-visibility.js';
+
+// AI analysis categories of a site check, in display order (same wording as web-check.html)
+export const SITE_CHECK_CATEGORY_LABELS = {
+  entity: 'AIが会社を認識できるか',
+  structured_data: '機械向け情報（構造化データ）',
+  content_structure: 'AI引用しやすい文章構造',
+  local_signal: '地域×専門性',
+  technical: '技術的なアクセシビリティ'
+};
+
+export const AI_TEST_JUDGMENTS = {
+  accurate: 'Google AI検索では、御社の情報が正しく認識されています。',
+  partial: 'Google AI検索では、御社の情報が一部認識されていますが、不正確な部分もあります。',
+  unknown: 'Google AI検索では、御社の情報が正しく認識されていない状態です。'
+};
+
+export function scoreLevel(score) {
+  if (score >= 80) return 'AI検索対応 優良';
+  if (score >= 60) return 'AI検索対応 良好';
+  if (score >= 40) return '改善の余地あり';
+  if (score >= 20) return '要改善';
+  return '早急な対策が必要';
+}
+
+export function pageStatusNote(status) {
+  if (status === 'success') return '';
+  if (status === 'failed') return '（読み込み失敗）';
+  if (status === 'blocked_by_robots') return '（robots.txtで巡回禁止のため未検査）';
+  if (status === 'skipped_crawl_delay') return '（robots.txtのCrawl-delay指定が長いため未検査）';
+  return '（未検査）';
+}
+
+// The Google AI test of the diagnosis: { query, response, sources, error }
+export function siteCheckAiTest(diagnosis) {
+  const r = diagnosis.result || {};
+  const companyQuery = r.aiVisibility ? findCompanyQuery(r.aiVisibility.queries) : null;
+  return {
+    query: companyQuery ? companyQuery.query : null,
+    response: r.aiTest || null,
+    sources: companyQuery && companyQuery.success ? companyQuery.sources || [] : [],
+    error: r.aiTestError || (companyQuery && !companyQuery.success ? companyQuery.error : null)
+  };
+}
+
+// Rows of the tech check: [{ label, status: 'ok' | 'warn' | 'ng', text }]
+export function siteCheckTechItems(techCheck) {
+  if (!techCheck) return [];
+  const items = [];
+  const add = (label, status, text) => items.push({ label, status, text });
+
+  add('HTTPS対応', techCheck.https ? 'ok' : 'ng', techCheck.https ? '通信が暗号化されています' : '非HTTPS（セキュリティリスク）');
+  if (techCheck.responseTimeMs != null) {
+    const rt = techCheck.responseTimeMs;
+    add('応答速度', rt < 2000 ? 'ok' : 'warn', `${rt}ms${rt < 2000 ? '（良好）' : '（2秒超・改善推奨）'}`);
+  }
+  add('robots.txt', techCheck.robotsTxt ? 'ok' : 'ng', techCheck.robotsTxt ? '検出されました' : '設置を推奨します');
+  add('sitemap.xml', techCheck.sitemapXml ? 'ok' : 'ng', techCheck.sitemapXml ? '検出されました' : '設置を推奨します');
+  add('llms.txt（AI向け案内ファイル）', techCheck.llmsTxt ? 'ok' : 'warn', techCheck.llmsTxt ? '検出されました' : 'AI検索対応として推奨します');
+
+  const descLength = techCheck.metaDescriptionLength;
+  if (!techCheck.metaDescription) add('meta description', 'ng', '未設定');
+  else add('meta description', descLength >= 60 && descLength <= 160 ? 'ok' : 'warn', `${descLength}文字${descLength < 60 ? '（短め）' : descLength > 160 ? '（長め）' : '（適切）'}`);
+
+  add('OGP: og:title', techCheck.ogpTitle ? 'ok' : 'ng', techCheck.ogpTitle ? '設定済み' : '未設定');
+  add('OGP: og:description', techCheck.ogpDescription ? 'ok' : 'ng', techCheck.ogpDescription ? '設定済み' : '未設定');
+  add('OGP: og:image', techCheck.ogpImage ? 'ok' : 'ng', techCheck.ogpImage ? '設定済み' : '未設定');
+  add('canonical タグ', techCheck.canonical ? 'ok' : 'ng', techCheck.canonical ? '設定済み' : '未設定');
+
+  const types = (techCheck.jsonLdTypes || []).join(', ');
+  add('JSON-LD（構造化データ）', techCheck.jsonLd ? 'ok' : 'ng', techCheck.jsonLd ? `設置済み${types ? `：${types}` : ''}` : '未設置');
+  add('dateModified（更新日）', techCheck.dateModified ? 'ok' : 'warn', techCheck.dateModified ? '構造化データ内に設定済み' : '更新日の設定を推奨します');
+  add('Organization スキーマ', techCheck.schemaOrganization ? 'ok' : 'warn', techCheck.schemaOrganization ? '設定済み' : '推奨（会社情報の明示）');
+  add('FAQPage スキーマ', techCheck.schemaFaq ? 'ok' : 'warn', techCheck.schemaFaq ? '設定済み' : '推奨（FAQ掲載サイト向け）');
+  if (techCheck.jsonLdInvalidBlocks) {
+    add('JSON-LD 構文', 'ng', `${techCheck.jsonLdInvalidBlocks}件の構造化データが読み取れません（JSONの書式エラー）`);
+  }
+
+  // Required / recommended properties per schema
+  for (const v of (techCheck.jsonLdValidations || []).slice(0, 12)) {
+    const label = `${v.type}${v.type !== v.schema ? `（${v.schema}）` : ''} の項目`;
+    if (!v.valid) add(label, 'ng', v.missingRequired.length ? `必須項目が不足：${v.missingRequired.join(', ')}` : v.issues.slice(0, 2).join(' / '));
+    else if (v.missingRecommended.length) add(label, 'warn', `推奨項目が未設定：${v.missingRecommended.join(', ')}`);
+    else add(label, 'ok', '必須・推奨項目を満たしています');
+  }
+
+  // Company name / address / phone spelled the same on every page and in the JSON-LD
+  const ec = techCheck.entityConsistency;
+  if (ec && ec.consistent) {
+    const checked = ec.fields.filter(f => f.status === 'consistent').map(f => f.label);
+    add('会社情報の表記（NAP）', checked.length ? 'ok' : 'warn', checked.length ? `全ページで統一されています：${checked.join('・')}` : '会社名・住所・電話番号を検出できませんでした');
+  } else if (ec) {
+    for (const issue of ec.issues) {
+      const variants = issue.values.slice(0, 3).map(v => {
+        const paths = v.urls.slice(0, 2).map(pathOf);
+        return `「${v.value}」（${paths.join(', ')}${v.urls.length > 2 ? ` ほか${v.urls.length - 2}ページ` : ''}）`;
+      });
+      add(`${issue.label}の表記`, issue.field === 'name' || issue.field === 'representative' ? 'warn' : 'ng', `${issue.values.length}通りの表記があります：${variants.join(' / ')}`);
+    }
+  }
+  return items;
+}
+
+function pathOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch (e) {
+    return url;
+  }
+}
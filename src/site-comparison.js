@@ -0,0 +1,156 @@
+// Competitor comparison: one primary site against up to three competitor sites
+//
+// Each site is crawled, tech-checked and scored exactly like a site check (without the AI
+// analysis, so the numbers are reproducible). compareSites() lines the results up row by row:
+// the overall score, every rule item grouped by category, every tech check item and a few
+// plain facts, and reports the rows where the primary site trails the best competitor.
+
+export const MAX_COMPETITORS = 3;
+
+// Plain facts shown next to the scores. better: which direction wins
+const FACT_ROWS = [
+  { key: 'totalPages', label: '巡回できたページ数', unit: 'ページ', better: 'higher' },
+  { key: 'totalContentLength', label: '総テキスト量', unit: '文字', better: 'higher' },
+  { key: 'responseTimeMs', label: '応答速度', unit: 'ms', better: 'lower' }
+];
+
+// Per-site input for compareSites(), built from a crawl and its scoring
+export function comparisonSnapshot(crawl, techCheck, scoreBreakdown, companyName) {
+  const profile = crawl.siteProfile || {};
+  return {
+    url: crawl.finalUrl,
+    companyName: companyName || null,
+    scoreBreakdown,
+    facts: {
+      totalPages: crawl.totalPages || 0,
+      totalContentLength: profile.totalContentLength || crawl.contentLength || 0,
+      responseTimeMs: techCheck ? techCheck.responseTimeMs : null
+    }
+  };
+}
+
+// snapshots[0] is the primary site. Returns
+//   { sites: [{ url, companyName, score }], rank,
+//     rows: [{ key, group, groupLabel, label, max, unit, better, summary, values, leader, primaryBehind, gap }],
+//     behind: [{ key, group, label, max, unit, primary, best, bestSite, gap }] }
+// values follow the order of sites (null = not measured); leader is the index of the best value
+// (null on a tie for first or when nothing was measured). summary marks the total, category and
+// tech score rows; behind lists the primary site's gaps to the best competitor on the other rows,
+// largest relative gap first.
+export function compareSites(snapshots) {
+  const sites = snapshots.map(s => ({ url: s.url, companyName: s.companyName, score: s.scoreBreakdown.base }));
+  const rows = buildRows(snapshots).map(row => withStanding(row));
+
+  const primaryScore = sites[0].score;
+  const rank = 1 + sites.slice(1).filter(s => s.score > primaryScore).length;
+
+  const behind = rows
+    .filter(row => row.primaryBehind && !row.summary)
+    .map(row => {
+      const bestIndex = bestCompetitorIndex(row);
+      return {
+        key: row.key, group: row.group, label: row.label, max: row.max, unit: row.unit,
+        primary: row.values[0], best: row.values[bestIndex], bestSite: sites[bestIndex].url, gap: row.gap
+      };
+    })
+    .sort((a, b) => relativeGap(b) - relativeGap(a));
+
+  return { sites, rank, rows, behind };
+}
+
+function buildRows(snapshots) {
+  const rows = [];
+  const breakdowns = snapshots.map(s => s.scoreBreakdown);
+
+  rows.push({
+    key: 'total', group: 'total', groupLabel: '総合', label: '総合スコア', max: 100, summary: true,
+    values: breakdowns.map(b => b.base)
+  });
+
+  // Rule categories (a-d) and their items, in rule-set order
+  const categories = breakdowns[0].rules.categories;
+  for (const [categoryKey, category] of Object.entries(categories)) {
+    rows.push({
+      key: `rules.${categoryKey}`, group: 'rules', groupLabel: category.label, label: category.label,
+      max: category.maxScore, summary: true, values: breakdowns.map(b => b.rules.categories[categoryKey].total)
+    });
+    for (const [itemKey, item] of Object.entries(category.details)) {
+      rows.push({
+        key: `rules.${categoryKey}.${itemKey}`, group: 'rules', groupLabel: category.label, label: item.label,
+        max: item.max, values: breakdowns.map(b => readDetail(b.rules.categories[categoryKey], itemKey))
+      });
+    }
+  }
+
+  // Tech checks: the 100-point score, then each item (skipped items are null)
+  rows.push({
+    key: 'tech', group: 'tech', groupLabel: '技術チェック', label: '技術チェック', max: 100, summary: true,
+    values: breakdowns.map(b => (b.tech ? b.tech.score : null))
+  });
+  const techItems = new Map();
+  for (const b of breakdowns) {
+    for (const item of (b.tech && b.tech.items) || []) if (!techItems.has(item.key)) techItems.set(item.key, item);
+  }
+  for (const [itemKey, item] of techItems) {
+    rows.push({
+      key: `tech.${itemKey}`, group: 'tech', groupLabel: '技術チェック', label: item.label, max: item.max,
+      values: breakdowns.map(b => {
+        const found = ((b.tech && b.tech.items) || []).find(i => i.key === itemKey);
+        return found ? found.score : null;
+      })
+    });
+  }
+
+  for (const fact of FACT_ROWS) {
+    rows.push({
+      key: `facts.${fact.key}`, group: 'facts', groupLabel: 'サイト情報', label: fact.label,
+      max: null, unit: fact.unit, better: fact.better,
+      values: snapshots.map(s => (typeof s.facts[fact.key] === 'number' ? s.facts[fact.key] : null))
+    });
+  }
+  return rows;
+}
+
+function readDetail(category, itemKey) {
+  const detail = category && category.details[itemKey];
+  return detail ? detail.score : null;
+}
+
+function isBetter(better, a, b) {
+  return better === 'lower' ? a < b : a > b;
+}
+
+function withStanding(row) {
+  const better = row.better || 'higher';
+  const measured = row.values.map((v, i) => ({ v, i })).filter(x => x.v !== null);
+  let leader = null;
+  if (measured.length > 1) {
+    const best = measured.reduce((a, b) => (isBetter(better, b.v, a.v) ? b : a));
+    if (measured.filter(x => x.v === best.v).length === 1) leader = best.i;
+  }
+
+  const primary = row.values[0];
+  const competitorBest = bestCompetitorValue(row.values, better);
+  const primaryBehind = primary !== null && competitorBest !== null && isBetter(better, competitorBest, primary);
+  return {
+    ...row, unit: row.unit || '点', better, summary: !!row.summary, leader, primaryBehind,
+    gap: primaryBehind ? Math.abs(competitorBest - primary) : 0
+  };
+}
+
+function bestCompetitorValue(values, better) {
+  const competitors = values.slice(1).filter(v => v !== null);
+  if (competitors.length === 0) return null;
+  return better === 'lower' ? Math.min(...competitors) : Math.max(...competitors);
+}
+
+function bestCompetitorIndex(row) {
+  const best = bestCompetitorValue(row.values, row.better);
+  return row.values.findIndex((v, i) => i > 0 && v === best);
+}
+
+// Gaps in points are compared against the row's max; facts against the primary value
+function relativeGap(entry) {
+  if (entry.max) return entry.gap / entry.max;
+  return entry.primary ? Math.min(1, entry.gap / entry.primary) : 1;
+}
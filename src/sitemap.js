@@ -0,0 +1,36 @@
+// sitemap.xml parsing (urlset and sitemapindex, per sitemaps.org)
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXmlText(text) {
+  const cdata = text.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  if (cdata) return cdata[1].trim();
+  return text
+    .replace(/&(amp|lt|gt|quot|apos);/g, (m, name) => XML_ENTITIES[name])
+    .replace(/&#(x[0-9a-f]+|\d+);/gi, (m, code) =>
+      String.fromCodePoint(code[0].toLowerCase() === 'x' ? parseInt(code.slice(1), 16) : parseInt(code, 10)))
+    .trim();
+}
+
+function extractLocs(xml, element) {
+  const locs = [];
+  const blockRegex = new RegExp(`<(?:[\\w-]+:)?${element}\\b[^>]*>([\\s\\S]*?)<\\/(?:[\\w-]+:)?${element}>`, 'gi');
+  let block;
+  while ((block = blockRegex.exec(xml)) !== null) {
+    const loc = block[1].match(/<(?:[\w-]+:)?loc\b[^>]*>([\s\S]*?)<\/(?:[\w-]+:)?loc>/i);
+    if (loc) {
+      const value = decodeXmlText(loc[1]);
+      if (value) locs.push(value);
+    }
+  }
+  return locs;
+}
+
+// Returns { urls, sitemaps }: page URLs from <url> entries and child sitemaps from an index
+export function parseSitemapXml(xml) {
+  const text = String(xml || '');
+  return {
+    urls: extractLocs(text, 'url'),
+    sitemaps: extractLocs(text, 'sitemap')
+  };
+}
@@ -0,0 +1,249 @@
+// TrueType glyph outlines for the share-image rasterizer
+//
+// Reads just enough of a TrueType (glyf-flavoured) font to draw text: the character map
+// (formats 4 and 12), horizontal advances and the quadratic glyph outlines, including composite
+// glyphs. Outlines come back flattened to polygons in font units (y up). CFF-flavoured OpenType
+// fonts are rejected with a FontFormatError.
+
+export class FontFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FontFormatError';
+  }
+}
+
+// Line segments per quadratic curve when flattening
+const CURVE_STEPS = 6;
+
+// font: { unitsPerEm, ascender, descender, glyphId(codePoint), advance(glyphId), polygons(glyphId) }
+export function parseTrueType(buffer) {
+  const view = new DataView(buffer instanceof ArrayBuffer ? buffer : buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+  const tables = {};
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) {
+    const at = 12 + i * 16;
+    const tag = String.fromCharCode(view.getUint8(at), view.getUint8(at + 1), view.getUint8(at + 2), view.getUint8(at + 3));
+    tables[tag] = { offset: view.getUint32(at + 8), length: view.getUint32(at + 12) };
+  }
+  for (const tag of ['head', 'hhea', 'maxp', 'cmap', 'hmtx', 'loca', 'glyf']) {
+    if (!tables[tag]) throw new FontFormatError(`フォントに ${tag} テーブルがありません`);
+  }
+
+  const head = tables.head.offset;
+  const unitsPerEm = view.getUint16(head + 18);
+  const longLoca = view.getInt16(head + 50) === 1;
+  const hhea = tables.hhea.offset;
+  const ascender = view.getInt16(hhea + 4);
+  const descender = view.getInt16(hhea + 6);
+  const numberOfHMetrics = view.getUint16(hhea + 34);
+  const numGlyphs = view.getUint16(tables.maxp.offset + 4);
+
+  const cmap = readCmap(view, tables.cmap.offset);
+
+  function advance(glyphId) {
+    const index = Math.min(glyphId, numberOfHMetrics - 1);
+    return view.getUint16(tables.hmtx.offset + index * 4);
+  }
+
+  function glyphRange(glyphId) {
+    if (glyphId >= numGlyphs) return null;
+    const loca = tables.loca.offset;
+    const start = longLoca ? view.getUint32(loca + glyphId * 4) : view.getUint16(loca + glyphId * 2) * 2;
+    const end = longLoca ? view.getUint32(loca + glyphId * 4 + 4) : view.getUint16(loca + glyphId * 2 + 2) * 2;
+    return end > start ? tables.glyf.offset + start : null;
+  }
+
+  // Contours as arrays of { x, y, on } points
+  function contours(glyphId, depth = 0) {
+    const at = glyphRange(glyphId);
+    if (at === null || depth > 8) return [];
+    const count = view.getInt16(at);
+    return count >= 0 ? simpleContours(view, at, count) : compositeContours(view, at, (id) => contours(id, depth + 1));
+  }
+
+  return {
+    unitsPerEm, ascender, descender, advance,
+    glyphId: (codePoint) => cmap(codePoint),
+    polygons: (glyphId) => contours(glyphId).map(flattenContour).filter(p => p.length >= 3)
+  };
+}
+
+// ========== cmap ==========
+
+function readCmap(view, cmapOffset) {
+  const count = view.getUint16(cmapOffset + 2);
+  let best = null;
+  for (let i = 0; i < count; i++) {
+    const platform = view.getUint16(cmapOffset + 4 + i * 8);
+    const encoding = view.getUint16(cmapOffset + 6 + i * 8);
+    const offset = cmapOffset + view.getUint32(cmapOffset + 8 + i * 8);
+    const format = view.getUint16(offset);
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    if (!unicode || (format !== 4 && format !== 12)) continue;
+    if (!best || format === 12) best = { format, offset };
+  }
+  if (!best) throw new FontFormatError('フォントに Unicode の cmap がありません');
+  return best.format === 12 ? cmapFormat12(view, best.offset) : cmapFormat4(view, best.offset);
+}
+
+function cmapFormat4(view, at) {
+  const segCount = view.getUint16(at + 6) / 2;
+  const ends = at + 14;
+  const starts = ends + segCount * 2 + 2;
+  const deltas = starts + segCount * 2;
+  const rangeOffsets = deltas + segCount * 2;
+  return (code) => {
+    if (code > 0xFFFF) return 0;
+    for (let i = 0; i < segCount; i++) {
+      if (code > view.getUint16(ends + i * 2)) continue;
+      const start = view.getUint16(starts + i * 2);
+      if (code < start) return 0;
+      const delta = view.getInt16(deltas + i * 2);
+      const rangeOffset = view.getUint16(rangeOffsets + i * 2);
+      if (rangeOffset === 0) return (code + delta) & 0xFFFF;
+      const glyph = view.getUint16(rangeOffsets + i * 2 + rangeOffset + (code - start) * 2);
+      return glyph === 0 ? 0 : (glyph + delta) & 0xFFFF;
+    }
+    return 0;
+  };
+}
+
+function cmapFormat12(view, at) {
+  const groups = view.getUint32(at + 12);
+  return (code) => {
+    for (let i = 0; i < groups; i++) {
+      const g = at + 16 + i * 12;
+      const start = view.getUint32(g);
+      if (code < start) return 0;
+      if (code <= view.getUint32(g + 4)) return view.getUint32(g + 8) + (code - start);
+    }
+    return 0;
+  };
+}
+
+// ========== glyf ==========
+
+function simpleContours(view, at, count) {
+  const endPoints = [];
+  for (let i = 0; i < count; i++) endPoints.push(view.getUint16(at + 10 + i * 2));
+  const total = count > 0 ? endPoints[count - 1] + 1 : 0;
+  let p = at + 10 + count * 2;
+  p += 2 + view.getUint16(p); // instructions
+
+  const flags = [];
+  while (flags.length < total) {
+    const flag = view.getUint8(p++);
+    flags.push(flag);
+    if (flag & 8) {
+      const repeat = view.getUint8(p++);
+      for (let r = 0; r < repeat; r++) flags.push(flag);
+    }
+  }
+
+  const readCoords = (shortBit, sameBit) => {
+    const values = [];
+    let value = 0;
+    for (const flag of flags) {
+      if (flag & shortBit) {
+        const d = view.getUint8(p++);
+        value += flag & sameBit ? d : -d;
+      } else if (!(flag & sameBit)) {
+        value += view.getInt16(p);
+        p += 2;
+      }
+      values.push(value);
+    }
+    return values;
+  };
+  const xs = readCoords(2, 16);
+  const ys = readCoords(4, 32);
+
+  const contours = [];
+  let start = 0;
+  for (const end of endPoints) {
+    const contour = [];
+    for (let i = start; i <= end; i++) contour.push({ x: xs[i], y: ys[i], on: (flags[i] & 1) === 1 });
+    contours.push(contour);
+    start = end + 1;
+  }
+  return contours;
+}
+
+function compositeContours(view, at, load) {
+  const contours = [];
+  let p = at + 10;
+  let flags;
+  do {
+    flags = view.getUint16(p);
+    const glyphId = view.getUint16(p + 2);
+    p += 4;
+    let dx = 0;
+    let dy = 0;
+    if (flags & 1) {
+      dx = view.getInt16(p);
+      dy = view.getInt16(p + 2);
+      p += 4;
+    } else {
+      dx = view.getInt8(p);
+      dy = view.getInt8(p + 1);
+      p += 2;
+    }
+    // Point-matching components (ARGS_ARE_XY_VALUES unset) are rare; place them unshifted
+    if (!(flags & 2)) dx = dy = 0;
+
+    let [a, b, c, d] = [1, 0, 0, 1];
+    const f2dot14 = (offset) => view.getInt16(offset) / 16384;
+    if (flags & 8) {
+      a = d = f2dot14(p);
+      p += 2;
+    } else if (flags & 0x40) {
+      a = f2dot14(p);
+      d = f2dot14(p + 2);
+      p += 4;
+    } else if (flags & 0x80) {
+      a = f2dot14(p);
+      b = f2dot14(p + 2);
+      c = f2dot14(p + 4);
+      d = f2dot14(p + 6);
+      p += 8;
+    }
+
+    for (const contour of load(glyphId)) {
+      contours.push(contour.map(pt => ({ x: a * pt.x + c * pt.y + dx, y: b * pt.x + d * pt.y + dy, on: pt.on })));
+    }
+  } while (flags & 0x20);
+  return contours;
+}
+
+// Quadratic contour -> polygon. Consecutive off-curve points imply an on-curve midpoint.
+function flattenContour(contour) {
+  if (contour.length === 0) return [];
+  const points = [];
+  for (let i = 0; i < contour.length; i++) {
+    const pt = contour[i];
+    const next = contour[(i + 1) % contour.length];
+    points.push(pt);
+    if (!pt.on && !next.on) points.push({ x: (pt.x + next.x) / 2, y: (pt.y + next.y) / 2, on: true });
+  }
+  const first = points.findIndex(pt => pt.on);
+  if (first < 0) return [];
+  const ordered = [...points.slice(first), ...points.slice(0, first)];
+
+  const polygon = [[ordered[0].x, ordered[0].y]];
+  for (let i = 1; i <= ordered.length; i++) {
+    const pt = ordered[i % ordered.length];
+    if (pt.on) {
+      polygon.push([pt.x, pt.y]);
+      continue;
+    }
+    const from = ordered[i - 1];
+    const to = ordered[(i + 1) % ordered.length];
+    for (let s = 1; s <= CURVE_STEPS; s++) {
+      const t = s / CURVE_STEPS;
+      const u = 1 - t;
+      polygon.push([u * u * from.x + 2 * u * t * pt.x + t * t * to.x, u * u * from.y + 2 * u * t * pt.y + t * t * to.y]);
+    }
+    i++;
+  }
+  return polygon;
+}
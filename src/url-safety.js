@@ -0,0 +1,128 @@
+// SSRF gate for user-supplied URLs
+//
+// Every URL the crawler fetches on a visitor's behalf (pages, robots.txt, sitemap, HEAD checks)
+// goes through checkUrlSafety(), and safeFetch() re-checks each redirect hop. Only public
+// http(s) hosts on the default ports are allowed. Hostnames are not resolved here: Workers'
+// egress cannot reach private networks, so the gate targets literals and local names.
+
+export class UnsafeUrlError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsafeUrlError';
+  }
+}
+
+const MAX_REDIRECTS = 5;
+
+const MESSAGES = {
+  invalid: 'URLの形式が正しくありません。例：https://example.com',
+  scheme: 'http:// または https:// で始まるURLを入力してください。',
+  credentials: 'ユーザー名やパスワードを含むURLは診断できません。',
+  port: '標準以外のポート番号を指定したURLは診断できません。',
+  private: '社内ネットワークやローカル環境のURLは診断できません。公開されているWebサイトのURLを入力してください。',
+  redirect: 'リダイレクト先が診断できないURL（社内ネットワーク等）のため、診断を中止しました。',
+  tooManyRedirects: 'リダイレクトが多すぎるため、サイトにアクセスできませんでした。'
+};
+
+const BLOCKED_HOST_SUFFIXES = ['.localhost', '.local', '.internal', '.intranet', '.lan', '.home.arpa', '.corp'];
+
+// [network, prefix length]
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+];
+
+// Returns { ok: true, url } or { ok: false, error } with a user-facing message
+export function checkUrlSafety(input) {
+  let url;
+  try {
+    url = input instanceof URL ? input : new URL(input);
+  } catch (e) {
+    return { ok: false, error: MESSAGES.invalid };
+  }
+
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return { ok: false, error: MESSAGES.scheme };
+  if (url.username || url.password) return { ok: false, error: MESSAGES.credentials };
+  // WHATWG URL drops the port when it is the scheme default
+  if (url.port) return { ok: false, error: MESSAGES.port };
+  if (isBlockedHostname(url.hostname)) return { ok: false, error: MESSAGES.private };
+
+  return { ok: true, url };
+}
+
+function isBlockedHostname(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '');
+  if (!host) return true;
+
+  if (host.startsWith('[')) return isBlockedIpv6(host.slice(1, -1));
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(host)) return isBlockedIpv4(host);
+
+  if (host === 'localhost') return true;
+  if (BLOCKED_HOST_SUFFIXES.some(suffix => host.endsWith(suffix))) return true;
+  // Single-label names only resolve inside private networks
+  return !host.includes('.');
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => ((acc << 8) | parseInt(octet, 10)) >>> 0, 0);
+}
+
+function isBlockedIpv4(ip) {
+  const value = ipv4ToInt(ip);
+  if (value === 0xFFFFFFFF) return true;
+  return BLOCKED_IPV4_RANGES.some(([network, bits]) => {
+    const mask = bits === 0 ? 0 : (0xFFFFFFFF << (32 - bits)) >>> 0;
+    return ((value & mask) >>> 0) === ipv4ToInt(network);
+  });
+}
+
+// Expands an IPv6 literal (as normalized by URL) into 8 16-bit groups
+function ipv6Groups(ip) {
+  let text = ip;
+  const v4 = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+  if (v4) {
+    const n = ipv4ToInt(v4[1]);
+    text = text.slice(0, -v4[1].length) + (n >>> 16).toString(16) + ':' + (n & 0xFFFF).toString(16);
+  }
+  const [head, tail] = text.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail !== undefined && tail ? tail.split(':') : [];
+  const fill = tail !== undefined ? 8 - headParts.length - tailParts.length : 0;
+  return [...headParts, ...new Array(Math.max(0, fill)).fill('0'), ...tailParts].map(g => parseInt(g, 16) || 0);
+}
+
+function isBlockedIpv6(ip) {
+  const g = ipv6Groups(ip);
+  const embeddedV4 = () => [g[6] >> 8, g[6] & 0xFF, g[7] >> 8, g[7] & 0xFF].join('.');
+
+  if (g.every(x => x === 0)) return true;                                        // ::
+  if (g.slice(0, 7).every(x => x === 0) && g[7] === 1) return true;              // ::1
+  if ((g[0] & 0xFE00) === 0xFC00) return true;                                   // fc00::/7 unique local
+  if ((g[0] & 0xFFC0) === 0xFE80) return true;                                   // fe80::/10 link-local
+  if ((g[0] & 0xFF00) === 0xFF00) return true;                                   // ff00::/8 multicast
+  if (g[0] === 0x2001 && g[1] === 0x0DB8) return true;                           // 2001:db8::/32 documentation
+  if (g.slice(0, 5).every(x => x === 0) && g[5] === 0xFFFF) return isBlockedIpv4(embeddedV4()); // ::ffff:a.b.c.d
+  if (g[0] === 0x0064 && g[1] === 0xFF9B) return isBlockedIpv4(embeddedV4());    // 64:ff9b::/96 NAT64
+  if (g.slice(0, 6).every(x => x === 0)) return true;                            // deprecated ::a.b.c.d
+  return false;
+}
+
+// fetch() that follows redirects manually so every hop passes checkUrlSafety().
+// Resolves to { response, url } where url is the final URL; throws UnsafeUrlError.
+export async function safeFetch(input, init = {}) {
+  let current = input;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const check = checkUrlSafety(current);
+    if (!check.ok) throw new UnsafeUrlError(hop === 0 ? check.error : MESSAGES.redirect);
+
+    const response = await fetch(check.url.href, { ...init, redirect: 'manual' });
+    const location = response.headers.get('Location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, url: check.url.href };
+    }
+    current = new URL(location, check.url);
+  }
+  throw new UnsafeUrlError(MESSAGES.tooManyRedirects);
+}
@@ -1,100 +1,171 @@
 // Ciras Diagnostic Tool - Cloudflare Worker
 // Handles API routes for AI/Web diagnosis, admin, and report pages
 
-const CLAUDE_MODEL = 'claude-sonnet-4-5-20250929';
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
-const GEMINI_MODELS = ['gemini-2.5-flash', 'gemini-2.0-flash'];
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/';
+import { createRouter, cors } from './router.js';
+import { rateLimit } from './rate-limit.js';
+import { parseRobotsTxt, getRobotsRules, isPathAllowed, robotsPath } from './robots.js';
+import { checkUrlSafety, safeFetch, UnsafeUrlError } from './url-safety.js';
+import { parseSitemapXml } from './sitemap.js';
+import { parseHtml, parseHtmlStream, getMeta, altTextRatio, copyrightYear, jsonLdDocuments } from './html-parser.js';
+import { analyzeJsonLd, findEntities } from './jsonld.js';
+import { extractEntityFacts, checkEntityConsistency } from './entity-consistency.js';
+import { CURRENT_SCORING_RULES } from './scoring-rules.js';
+import { evaluateSiteRules, evaluateNormalizedItems } from './scoring.js';
+import { getLlmProviders, generateJson, LlmOutputError } from './llm.js';
+import { PROMPTS, selectPrompt } from './prompts.js';
+import { createUsageTracker, LLM_PRICING } from './llm-usage.js';
+import { extractVisibilityFacts, buildVisibilityQueries, runVisibilityTest, findCompanyQuery, VISIBILITY_DEFAULT_BUDGET } from './ai-visibility.js';
+import { resolveSources, analyzeCitations } from './citations.js';
+import { comparisonSnapshot, compareSites, MAX_COMPETITORS } from './site-comparison.js';
+import { historyDomain, historyKeyFor, recordHistory, loadHistory, compareWithPrevious } from './history.js';
+import { renderReportPdf } from './report-pdf.js';
+import {
+  SITE_CHECK_CATEGORY_LABELS, AI_TEST_JUDGMENTS, scoreLevel, pageStatusNote, siteCheckAiTest, siteCheckTechItems
+} from './site-check-report.js';
+import { ogCard, renderOgImage, loadCardFont, OG_IMAGE_SIZE } from './og-image.js';
+import {
+  SCHEDULED_DEFAULTS, runScheduledChecks, createClient, saveClient, getClient, deleteClient, listClients,
+  listAlerts, getAlert, saveAlert
+} from './scheduled.js';
+
+// ========== Routes ==========
+
+const INSTAGRAM_ALLOWED_ORIGINS = [
+  'https://ciras.jp',
+  'https://www.ciras.jp',
+];
+
+// Each diagnosis triggers paid LLM calls (and a crawl for URL checks), so cap it per client IP
+// and per submitted hostname. Admin requests are exempt.
+const DIAGNOSIS_IP_RULES = [
+  { scope: 'ip', limit: 5, windowSec: 600 },
+  { scope: 'ip', limit: 20, windowSec: 86400 }
+];
+const DIAGNOSIS_TARGET_RULES = [
+  { scope: 'target', limit: 3, windowSec: 600 }
+];
+
+const limitAiCheck = rateLimit({
+  name: 'ai-check', rules: DIAGNOSIS_IP_RULES, skip: checkAuth
+});
+const limitWebCheck = rateLimit({
+  name: 'web-check', rules: [...DIAGNOSIS_IP_RULES, ...DIAGNOSIS_TARGET_RULES],
+  target: (body) => body.q2_url, skip: checkAuth
+});
+const limitSiteCheck = rateLimit({
+  name: 'site-check', rules: [...DIAGNOSIS_IP_RULES, ...DIAGNOSIS_TARGET_RULES],
+  target: (body) => body.url, skip: checkAuth
+});
+// A comparison crawls up to four sites: it draws on the site-check counters, one unit per site,
+// and every competitor host is held to the same per-URL limit as the primary site
+const compareSiteUrls = (body) => [body.url, ...(Array.isArray(body.competitors) ? body.competitors : [])]
+  .filter(u => typeof u === 'string' && u.trim())
+  .slice(0, MAX_COMPETITORS + 1);
+const limitSiteCompare = rateLimit({
+  name: 'site-check', rules: [...DIAGNOSIS_IP_RULES, ...DIAGNOSIS_TARGET_RULES],
+  target: compareSiteUrls, cost: (body) => compareSiteUrls(body).length, skip: checkAuth
+});
+
+const routes = [
+  // Clean URL routing for diagnostic pages
+  { path: '/ai-check', handler: (request, env) => serveAsset(request, env, '/ai-check.html') },
+  { path: '/web-check', handler: (request, env) => serveAsset(request, env, '/web-check.html') },
+  { path: '/admin', handler: (request, env) => serveAsset(request, env, '/admin.html') },
+
+  // Instagram feed (read-only, public)
+  { path: '/api/instagram', methods: ['GET', 'HEAD'], middleware: [cors(INSTAGRAM_ALLOWED_ORIGINS)],
+    handler: (request, env) => handleInstagram(request, env) },
+
+  // Diagnosis API
+  { path: '/api/ai-check', methods: ['POST'], middleware: [limitAiCheck],
+    handler: (request, env) => handleAiCheck(request, env) },
+  { path: '/api/web-check', methods: ['POST'], middleware: [limitWebCheck],
+    handler: (request, env) => handleWebCheck(request, env) },
+  { path: '/api/site-check', methods: ['POST'], middleware: [limitSiteCheck],
+    handler: (request, env) => handleSiteCheck(request, env) },
+  { path: '/api/site-check/stream', methods: ['POST'], middleware: [limitSiteCheck],
+    handler: (request, env, { ctx }) => handleSiteCheckStream(request, env, ctx) },
+  { path: '/api/site-check/compare', methods: ['POST'], middleware: [limitSiteCompare],
+    handler: (request, env) => handleSiteCompare(request, env) },
+  { path: '/api/jobs/:id', methods: ['GET'],
+    handler: (request, env, { params }) => handleGetJob(env, params.id) },
+  { path: '/api/diagnoses/:id/email', methods: ['POST'],
+    handler: (request, env, { params }) => handleAddEmail(request, env, params.id) },
+
+  // Admin API
+  { path: '/api/admin/diagnoses', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env) => handleListDiagnoses(env) },
+  { path: '/api/admin/diagnoses/:id', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env, { params }) => handleGetDiagnosis(env, params.id) },
+  { path: '/api/admin/diagnoses/:id', methods: ['PATCH'], middleware: [requireAdmin],
+    handler: (request, env, { params }) => handleUpdateDiagnosis(request, env, params.id) },
+  { path: '/api/admin/diagnoses/:id', methods: ['DELETE'], middleware: [requireAdmin],
+    handler: (request, env, { params }) => handleDeleteDiagnosis(env, params.id) },
+  { path: '/api/admin/prompts', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env) => handlePromptStats(env) },
+  { path: '/api/admin/usage', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env, { url }) => handleUsageStats(url, env) },
+  { path: '/api/admin/history', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env, { url }) => handleDomainHistory(url, env) },
+  { path: '/api/admin/clients', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env) => handleListClients(env) },
+  { path: '/api/admin/clients', methods: ['POST'], middleware: [requireAdmin],
+    handler: (request, env) => handleAddClient(request, env) },
+  { path: '/api/admin/clients', methods: ['DELETE'], middleware: [requireAdmin],
+    handler: (request, env, { url }) => handleDeleteClient(url, env) },
+  { path: '/api/admin/alerts', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env) => handleListAlerts(env) },
+  { path: '/api/admin/alerts/:id', methods: ['PATCH'], middleware: [requireAdmin],
+    handler: (request, env, { params }) => handleUpdateAlert(request, env, params.id) },
+
+  // Health check endpoint (admin only)
+  { path: '/api/health', methods: ['GET'], middleware: [requireAdmin],
+    handler: (request, env) => handleHealth(env) },
+
+  // Report page (dynamically generated), its printable PDF and its share image
+  { path: '/report/:id', handler: (request, env, { params, url }) => handleReportPage(env, params.id, url) },
+  { path: '/report/:id.pdf', methods: ['GET', 'HEAD'], handler: (request, env, { params }) => handleReportPdf(env, params.id) },
+  { path: '/report/:id/og.png', methods: ['GET', 'HEAD'], handler: (request, env, { params, url }) => handleReportOgImage(env, params.id, url) },
+
+  // Blog page routing
+  { path: '/blog', handler: (request, env) => serveAsset(request, env, '/blog/index.html') },
+  { path: '/blog/', handler: (request, env) => serveAsset(request, env, '/blog/index.html') },
+  { path: '/blog/:slug', handler: handleBlogPage }
+];
+
+const router = createRouter(routes);
 
 export default {
-  async fetch(request, env) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-
-    // Clean URL routing for diagnostic pages
-    if (path === '/ai-check') {
-      return env.ASSETS.fetch(new Request(new URL('/ai-check.html', url.origin), request));
-    }
-    if (path === '/web-check') {
-      return env.ASSETS.fetch(new Request(new URL('/web-check.html', url.origin), request));
-    }
-    if (path === '/admin') {
-      return env.ASSETS.fetch(new Request(new URL('/admin.html', url.origin), request));
-    }
-
-    // API routes
-    // Instagram feed (read-only, public)
-    if (path === '/api/instagram') {
-      if (request.method === 'GET' || request.method === 'HEAD') {
-        return handleInstagram(request, env);
-      }
-      return new Response('method not allowed', {
-        status: 405,
-        headers: { 'Allow': 'GET, HEAD' }
-      });
-    }
-    if (path === '/api/ai-check' && request.method === 'POST') {
-      return handleAiCheck(request, env);
-    }
-    if (path === '/api/web-check' && request.method === 'POST') {
-      return handleWebCheck(request, env);
-    }
-    if (path === '/api/site-check' && request.method === 'POST') {
-      return handleSiteCheck(request, env);
-    }
-    if (path.match(/^\/api\/diagnoses\/[\w-]+\/email$/) && request.method === 'POST') {
-      const id = path.split('/')[3];
-      return handleAddEmail(request, env, id);
-    }
-    if (path === '/api/admin/diagnoses' && request.method === 'GET') {
-      return withAuth(request, env, () => handleListDiagnoses(env));
-    }
-    if (path.match(/^\/api\/admin\/diagnoses\/[\w-]+$/) && request.method === 'GET') {
-      const id = path.split('/').pop();
-      return withAuth(request, env, () => handleGetDiagnosis(env, id));
-    }
-    if (path.match(/^\/api\/admin\/diagnoses\/[\w-]+$/) && request.method === 'PATCH') {
-      const id = path.split('/').pop();
-      return withAuth(request, env, () => handleUpdateDiagnosis(request, env, id));
-    }
-    if (path.match(/^\/api\/admin\/diagnoses\/[\w-]+$/) && request.method === 'DELETE') {
-      const id = path.split('/').pop();
-      return withAuth(request, env, () => handleDeleteDiagnosis(env, id));
-    }
-
-    // Health check endpoint (admin only)
-    if (path === '/api/health' && request.method === 'GET') {
-      return withAuth(request, env, () => jsonResponse({
-        status: 'ok',
-        config: {
-          anthropic_api_key: env.ANTHROPIC_API_KEY ? 'configured' : 'MISSING',
-          gemini_api_key: env.GEMINI_API_KEY ? 'configured' : 'MISSING',
-          admin_password: env.ADMIN_PASSWORD ? 'configured' : 'MISSING',
-          kv_diagnoses: env.DIAGNOSES ? 'configured' : 'MISSING'
-        }
-      }));
-    }
-
-    // Report page (dynamically generated)
-    if (path.match(/^\/report\/[\w-]+$/)) {
-      const id = path.split('/').pop();
-      return handleReportPage(env, id);
-    }
-
-    // Blog page routing
-    if (path === '/blog' || path === '/blog/') {
-      return env.ASSETS.fetch(new Request(new URL('/blog/index.html', url.origin), request));
-    }
-    if (path.match(/^\/blog\/[\w-]+$/) && !path.startsWith('/blog/index')) {
-      const blogAsset = await env.ASSETS.fetch(new Request(new URL(path + '.html', url.origin), request));
-      if (blogAsset.status !== 404) return blogAsset;
-    }
+  async fetch(request, env, ctx) {
+    const response = await router(request, env, ctx);
+    if (response) return response;
 
     // Static assets (fallthrough)
     return env.ASSETS.fetch(request);
+  },
+
+  // Cron trigger (see "triggers" in wrangler.jsonc): re-diagnoses managed client sites
+  async scheduled(controller, env, ctx) {
+    ctx.waitUntil(handleScheduled(env));
+  },
+
+  // Queue consumer (see "queues" in wrangler.jsonc): async site-check jobs
+  async queue(batch, env) {
+    await handleSiteCheckQueue(batch, env);
   }
 };
 
+function serveAsset(request, env, assetPath) {
+  const url = new URL(request.url);
+  return env.ASSETS.fetch(new Request(new URL(assetPath, url.origin), request));
+}
+
+async function handleBlogPage(request, env, { url }) {
+  if (url.pathname.startsWith('/blog/index')) return null;
+  const blogAsset = await env.ASSETS.fetch(new Request(new URL(url.pathname + '.html', url.origin), request));
+  return blogAsset.status !== 404 ? blogAsset : null;
+}
+
 // ========== Auth ==========
 
 function checkAuth(request, env) {
@@ -103,19 +174,35 @@ function checkAuth(request, env) {
   return authHeader.slice(7) === env.ADMIN_PASSWORD;
 }
 
-async function withAuth(request, env, handler) {
+// Router middleware: rejects requests without a valid admin bearer token
+function requireAdmin(request, env, route, next) {
   if (!checkAuth(request, env)) {
     return jsonResponse({ error: '認証が必要です' }, 401);
   }
-  return handler();
+  return next();
+}
+
+function handleHealth(env) {
+  const llm = getLlmProviders(env);
+  return jsonResponse({
+    status: 'ok',
+    config: {
+      anthropic_api_key: env.ANTHROPIC_API_KEY ? 'configured' : 'MISSING',
+      gemini_api_key: env.GEMINI_API_KEY ? 'configured' : 'MISSING',
+      llm_providers: { text: llm.text.name, search: llm.search.name },
+      admin_password: env.ADMIN_PASSWORD ? 'configured' : 'MISSING',
+      kv_diagnoses: env.DIAGNOSES ? 'configured' : 'MISSING'
+    }
+  });
 }
 
 // ========== AI Check Handler ==========
 
 async function handleAiCheck(request, env) {
   try {
-    if (!env.ANTHROPIC_API_KEY) {
-      console.error('ANTHROPIC_API_KEY is not configured');
+    const llm = getLlmProviders(env);
+    if (!llm.text.configured) {
+      console.error(`LLM provider "${llm.text.name}" is not configured`);
       return jsonResponse({ error: 'システム設定エラーです。管理者にお問い合わせください。' }, 500);
     }
 
@@ -130,7 +217,11 @@ async function handleAiCheck(request, env) {
       return jsonResponse({ error: 'Q4は最大2つまで選択できます' }, 400);
     }
 
-    const result = await callClaudeAPI(env.ANTHROPIC_API_KEY, buildAiCheckSystemPrompt(), buildAiCheckPrompt(body));
+    const systemPrompt = selectPrompt('ai-check');
+    const usage = createUsageTracker();
+    const result = await generateJson(llm.text, {
+      task: 'ai-check', system: systemPrompt.render(), prompt: buildAiCheckPrompt(body), usage
+    });
     if (!result.success) {
       return jsonResponse({ error: result.error || 'ただいま診断が混み合っています。しばらくしてからお試しください。' }, 503);
     }
@@ -138,17 +229,18 @@ async function handleAiCheck(request, env) {
     const id = crypto.randomUUID();
     const diagnosis = {
       id, type: 'ai-check', answers: body, result: result.data,
+      prompt: promptRef(systemPrompt), llmUsage: usage.summary(),
       email: null, createdAt: new Date().toISOString(), status: 'pending'
     };
 
-    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), {
-      metadata: { type: 'ai-check', created: diagnosis.createdAt, status: 'pending',
-        position: body.q1_position, industry: body.q2_industry }
-    });
+    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
 
     return jsonResponse({ id, result: result.data });
   } catch (err) {
     console.error('handleAiCheck error:', err);
+    if (err instanceof LlmOutputError) {
+      return jsonResponse({ error: err.message }, 502);
+    }
     return jsonResponse({ error: 'ただいま診断が混み合っています。しばらくしてからお試しください。' }, 503);
   }
 }
@@ -157,8 +249,9 @@ async function handleAiCheck(request, env) {
 
 async function handleWebCheck(request, env) {
   try {
-    if (!env.ANTHROPIC_API_KEY) {
-      console.error('ANTHROPIC_API_KEY is not configured');
+    const llm = getLlmProviders(env);
+    if (!llm.text.configured) {
+      console.error(`LLM provider "${llm.text.name}" is not configured`);
       return jsonResponse({ error: 'システム設定エラーです。管理者にお問い合わせください。' }, 500);
     }
 
@@ -174,6 +267,9 @@ async function handleWebCheck(request, env) {
     if (hasUrl) {
       // Crawl and score the website
       const crawlResult = await crawlSite(body.q2_url, env);
+      if (crawlResult.unsafe) {
+        return jsonResponse({ error: crawlResult.error }, 400);
+      }
       if (crawlResult.success) {
         crawlData = crawlResult;
         scores = scoreSite(crawlResult);
@@ -181,10 +277,13 @@ async function handleWebCheck(request, env) {
     }
 
     // Build prompt based on whether we have URL data
-    const systemPrompt = buildWebCheckSystemPrompt(hasUrl && scores);
+    const systemPrompt = selectPrompt('web-check');
     const userPrompt = buildWebCheckPrompt(body, scores, crawlData);
+    const usage = createUsageTracker();
 
-    const result = await callClaudeAPI(env.ANTHROPIC_API_KEY, systemPrompt, userPrompt);
+    const result = await generateJson(llm.text, {
+      task: 'web-check', system: systemPrompt.render(hasUrl && scores), prompt: userPrompt, usage
+    });
     if (!result.success) {
       return jsonResponse({ error: result.error || 'ただいま診断が混み合っています。しばらくしてからお試しください。' }, 503);
     }
@@ -194,120 +293,475 @@ async function handleWebCheck(request, env) {
       id, type: 'web-check', answers: body,
       crawlData: crawlData ? { url: crawlData.finalUrl, pageSize: crawlData.pageSize,
         title: crawlData.title, description: crawlData.metaDescription } : null,
-      scores: scores, result: result.data,
+      scores: scores, scoringVersion: scores ? scores.version : null, result: result.data,
+      prompt: promptRef(systemPrompt), llmUsage: usage.summary(),
       email: null, createdAt: new Date().toISOString(), status: 'pending'
     };
 
-    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), {
-      metadata: { type: 'web-check', created: diagnosis.createdAt, status: 'pending',
-        position: body.q3_expectation, industry: body.q2_url || 'サイトなし' }
-    });
+    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
 
     return jsonResponse({ id, scores, result: result.data });
   } catch (err) {
     console.error('handleWebCheck error:', err);
+    if (err instanceof LlmOutputError) {
+      return jsonResponse({ error: err.message }, 502);
+    }
     return jsonResponse({ error: 'ただいま診断が混み合っています。しばらくしてからお試しください。' }, 503);
   }
 }
 
 // ========== Site Check Handler (URL-only, redesigned) ==========
 
+const SITE_CHECK_ERROR = '診断中にエラーが発生しました。時間をおいて再度お試しください。';
+
 async function handleSiteCheck(request, env) {
   try {
-    if (!env.ANTHROPIC_API_KEY) {
-      console.error('ANTHROPIC_API_KEY is not configured');
-      return jsonResponse({ error: 'システム設定エラーです。管理者にお問い合わせください。' }, 500);
-    }
-
     const body = await request.json();
-    if (!body.url || !body.url.trim()) {
-      return jsonResponse({ error: 'URLを入力してください' }, 400);
-    }
+    if (body && body.async === true && env.SITE_CHECK_QUEUE) return enqueueSiteCheck(request, env, body);
+    const outcome = await runSiteCheck(request, env, body);
+    return jsonResponse(outcome.data, outcome.status);
+  } catch (err) {
+    console.error('handleSiteCheck error:', err);
+    const failure = siteCheckFailure(err);
+    return jsonResponse({ error: failure.error }, failure.status);
+  }
+}
 
-    // Step 1: Crawl the website (max 5 pages with new priority system)
-    const crawlResult = await crawlSiteV2(body.url, env);
-    if (!crawlResult.success) {
-      return jsonResponse({ error: crawlResult.error || 'サイトにアクセスできませんでした。URLが正しいか確認してください。' }, 400);
-    }
+function siteCheckFailure(err) {
+  if (err instanceof LlmOutputError) return { status: 502, error: err.message };
+  return { status: 503, error: SITE_CHECK_ERROR };
+}
+
+// ========== Background jobs ==========
+// { async: true } in the /api/site-check body answers 202 with a job ID right away and sends the
+// check to the SITE_CHECK_QUEUE queue; the queue consumer (queue() below) runs it without the
+// ~30 s limit waitUntil has after a response, so a dropped connection does not lose the (already
+// paid for) result. Without the queue binding the request is answered synchronously.
+// The job lives in DIAGNOSES under job:<id> and is polled via GET /api/jobs/:id:
+//   { id, type, status: 'queued'|'running'|'done'|'failed', stage, progress: { <stage>: data },
+//     httpStatus, result (the /api/site-check response body), error, createdAt, updatedAt }
+// Every stage updates updatedAt; a queued or running job silent for JOB_STALE_SEC is reported failed.
+
+const JOB_TTL_SEC = 86400;
+const JOB_STALE_SEC = 600;
+
+async function saveJob(env, job) {
+  job.updatedAt = new Date().toISOString();
+  await env.DIAGNOSES.put(`job:${job.id}`, JSON.stringify(job), {
+    expirationTtl: JOB_TTL_SEC,
+    metadata: { type: job.type, status: job.status, created: job.createdAt }
+  });
+}
 
-    // Step 2: Extract company name from crawl data
-    const companyName = extractCompanyName(crawlResult);
+async function enqueueSiteCheck(request, env, body) {
+  if (typeof body.url !== 'string' || !body.url.trim()) {
+    return jsonResponse({ error: 'URLを入力してください' }, 400);
+  }
 
-    // Step 3: API calls (sequential to avoid timeout)
-    const aiTestQuery = `${companyName}について教えて`;
+  const now = new Date().toISOString();
+  const job = {
+    id: crypto.randomUUID(), type: 'site-check', status: 'queued', stage: null, progress: {},
+    url: body.url, httpStatus: null, result: null, error: null, createdAt: now, updatedAt: now
+  };
+  await saveJob(env, job);
+  // The consumer has no request to authenticate, so { force } is resolved here
+  const force = body.force === true && checkAuth(request, env);
+  await env.SITE_CHECK_QUEUE.send({ job, body: { ...body, force } });
+  return jsonResponse({ jobId: job.id, status: job.status, statusUrl: `/api/jobs/${job.id}` }, 202);
+}
 
-    // API Call 1: Google AI Search Test (using Gemini with Google Search grounding)
-    let aiTestResponse = null;
-    let aiTestSources = [];
-    let aiTestError = null;
-    if (env.GEMINI_API_KEY) {
-      try {
-        const geminiResult = await callGeminiAPI(env.GEMINI_API_KEY, aiTestQuery, 30000);
-        if (geminiResult.success) {
-          aiTestResponse = geminiResult.text || null;
-          aiTestSources = geminiResult.sources || [];
-        } else {
-          aiTestError = geminiResult.error || 'Google AI検索テストに失敗しました';
-          console.error('Gemini API returned error:', aiTestError);
-        }
-      } catch (e) {
-        aiTestError = 'Google AI検索テスト中にエラーが発生しました';
-        console.error('Google AI test failed, continuing:', e.message);
-      }
+// Queue consumer: one message per job (max_batch_size 1, no retries: a retry would repeat paid LLM calls)
+async function handleSiteCheckQueue(batch, env) {
+  for (const message of batch.messages) {
+    const { job, body } = message.body;
+    await runSiteCheckJob(env, body, job);
+    message.ack();
+  }
+}
+
+async function runSiteCheckJob(env, body, job) {
+  // Progress writes are best-effort and chained so they land in order before the final write
+  let pending = Promise.resolve();
+  const update = () => {
+    pending = pending.then(() => saveJob(env, job)).catch(err => console.error('saveJob error:', err));
+    return pending;
+  };
+
+  job.status = 'running';
+  update();
+  try {
+    const outcome = await runSiteCheck(null, env, body, (stage, data) => {
+      job.stage = stage;
+      job.progress[stage] = data;
+      update();
+    }, { trusted: true });
+    job.httpStatus = outcome.status;
+    if (outcome.status === 200) {
+      job.status = 'done';
+      job.result = outcome.data;
     } else {
-      aiTestError = 'Google AI検索テストは現在利用できません';
-      console.log('GEMINI_API_KEY not set, skipping Google AI test');
+      job.status = 'failed';
+      job.error = outcome.data.error;
     }
+  } catch (err) {
+    console.error('runSiteCheckJob error:', err);
+    const failure = siteCheckFailure(err);
+    job.status = 'failed';
+    job.httpStatus = failure.status;
+    job.error = failure.error;
+  }
+  await update();
+}
+
+async function handleGetJob(env, id) {
+  try {
+    const job = await env.DIAGNOSES.get(`job:${id}`, 'json');
+    if (!job) return jsonResponse({ error: 'ジョブが見つかりません' }, 404);
+    const silentSec = (Date.now() - new Date(job.updatedAt).getTime()) / 1000;
+    if ((job.status === 'queued' || job.status === 'running') && silentSec > JOB_STALE_SEC) {
+      // The consumer was stopped before it could record the outcome
+      job.status = 'failed';
+      job.httpStatus = 503;
+      job.error = SITE_CHECK_ERROR;
+      await saveJob(env, job);
+    }
+    return jsonResponse(job);
+  } catch (err) {
+    console.error('handleGetJob error:', err);
+    return jsonResponse({ error: 'ジョブの取得に失敗しました' }, 500);
+  }
+}
+
+const SSE_KEEPALIVE_MS = 15000;
+
+// Same as handleSiteCheck, but answers with text/event-stream: one event per finished stage
+// (see runSiteCheck), then `result` (the JSON response body) or `error` ({ status, error }).
+// If the client disconnects, waitUntil keeps the check alive for only about 30 seconds, so a
+// check dropped before the analysis is lost; callers that must survive a dropped connection use
+// { async: true } on /api/site-check (a queued job) instead.
+async function handleSiteCheckStream(request, env, ctx) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (e) {
+    return jsonResponse({ error: 'URLを入力してください' }, 400);
+  }
+  // Rejected before the stream opens, so the answer is a 400 (which refunds the rate limit charge)
+  if (!body || typeof body.url !== 'string' || !body.url.trim()) {
+    return jsonResponse({ error: 'URLを入力してください' }, 400);
+  }
 
-    // API Call 2: Page Analysis (longer timeout, this is the main result)
-    const analysisSystem = buildSiteCheckSystemPromptV2();
-    const analysisPrompt = buildSiteCheckPromptV2(crawlResult, companyName, aiTestResponse);
-    const analysisResult = await callClaudeAPI(env.ANTHROPIC_API_KEY, analysisSystem, analysisPrompt, 4096, 90000);
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+  const write = (text) => writer.write(encoder.encode(text)).catch(() => {});
+  const send = (event, data) => write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 
-    if (!analysisResult.success) {
-      return jsonResponse({ error: analysisResult.error || '診断中にエラーが発生しました。時間をおいて再度お試しください。' }, 503);
+  const run = (async () => {
+    // Comment lines keep proxies from closing the connection during the long AI calls
+    const keepalive = setInterval(() => write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+    try {
+      const outcome = await runSiteCheck(request, env, body, send);
+      if (outcome.status === 200) await send('result', outcome.data);
+      else await send('error', { status: outcome.status, ...outcome.data });
+    } catch (err) {
+      console.error('handleSiteCheckStream error:', err);
+      await send('error', siteCheckFailure(err));
+    } finally {
+      clearInterval(keepalive);
+      await writer.close().catch(() => {});
+    }
+  })();
+  // Lets a check that is nearly done finish (and be cached) after a disconnect
+  if (ctx && ctx.waitUntil) ctx.waitUntil(run);
+
+  return new Response(readable, {
+    headers: {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform'
     }
+  });
+}
 
-    const analysisData = analysisResult.data;
+// Runs the whole site check. Resolves to { status, data } (data is the JSON response body)
+// and reports each finished stage through progress(event, data):
+//   'crawl'      { url, companyName, pages }   pages = pageStatuses
+//   'ai-test'    { query, success, error, sourceCount, visibilityScore }
+//   'analysis'   { categoryCount }
+//   'tech-check' { techCheck }
+// options.trusted: the caller is internal (the cron trigger), so { force: true } needs no admin auth.
+// options.trigger is stored on the diagnosis ('scheduled' for cron runs).
+// A fresh check also resolves with its history entry (see history.js).
+async function runSiteCheck(request, env, body, progress = () => {}, { trusted = false, trigger = null } = {}) {
+  const llm = getLlmProviders(env);
+  if (!llm.text.configured) {
+    console.error(`LLM provider "${llm.text.name}" is not configured`);
+    return { status: 500, data: { error: 'システム設定エラーです。管理者にお問い合わせください。' } };
+  }
 
-    // Determine overall score (0-100)
-    const overallScore = typeof analysisData.overall_score === 'number' ? analysisData.overall_score : 0;
+  if (!body || typeof body.url !== 'string' || !body.url.trim()) {
+    return { status: 400, data: { error: 'URLを入力してください' } };
+  }
 
-    // Tech checks (mechanical, non-AI)
-    let techCheck = null;
-    try { techCheck = await runTechChecks(crawlResult.finalUrl, crawlResult); } catch (e) { console.error('runTechChecks error:', e); }
+  // Step 0: Reuse a recent result for the same URL (admins can force a re-run with { force: true })
+  const force = body.force === true && (trusted || checkAuth(request, env));
+  if (!force) {
+    const cached = await getCachedSiteCheck(env, body.url);
+    if (cached) return reuseCachedSiteCheck(env, body, cached);
+  }
 
-    const id = crypto.randomUUID();
-    const diagnosis = {
-      id, type: 'site-check',
-      answers: { url: body.url },
-      crawlData: {
-        url: crawlResult.finalUrl, pageSize: crawlResult.pageSize,
-        title: crawlResult.title, description: crawlResult.metaDescription
-      },
-      result: { analysis: analysisData, aiTest: aiTestResponse, companyName },
-      email: null, createdAt: new Date().toISOString(), status: 'pending'
-    };
+  // Step 1: Crawl the website (max 5 pages with new priority system)
+  const crawlResult = await crawlSiteV2(body.url, env);
+  if (!crawlResult.success) {
+    return { status: 400, data: { error: crawlResult.error || 'サイトにアクセスできませんでした。URLが正しいか確認してください。' } };
+  }
 
-    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), {
-      metadata: {
-        type: 'site-check', created: diagnosis.createdAt, status: 'pending',
-        position: 'URL診断', industry: body.url
-      }
+  // Step 2: Extract company name from crawl data
+  const companyName = extractCompanyName(crawlResult);
+  progress('crawl', { url: crawlResult.finalUrl, companyName, pages: crawlResult.pageStatuses });
+
+  // Step 3: API calls (sequential to avoid timeout)
+  const usage = createUsageTracker();
+  const visibilityFacts = extractVisibilityFacts(crawlResult, companyName);
+  const visibilityQueries = buildVisibilityQueries(visibilityFacts, { budget: visibilityBudget(env) });
+  const plannedCompanyQuery = findCompanyQuery(visibilityQueries);
+  const aiTestQuery = plannedCompanyQuery ? plannedCompanyQuery.query : null;
+
+  // API Call 1: Google AI Search Test (Gemini with Google Search grounding), one query per
+  // visibility question in parallel; the company-name query doubles as the AI recognition test
+  let aiTestResponse = null;
+  let aiTestSources = [];
+  let aiTestError = null;
+  let aiVisibility = null;
+  if (llm.search.configured) {
+    aiVisibility = await runVisibilityTest(llm.search, visibilityQueries, visibilityFacts, {
+      usage, timeoutMs: 30000, resolveSources: (sources) => resolveSources(sources, visibilityFacts.domain)
     });
+    aiVisibility.citations = analyzeCitations(aiVisibility.queries);
+    const companyQuery = findCompanyQuery(aiVisibility.queries);
+    if (!companyQuery) {
+      aiTestError = '会社名を特定できなかったため、Google AI検索テストを実施できませんでした';
+    } else if (companyQuery.success) {
+      aiTestResponse = companyQuery.text || null;
+      aiTestSources = companyQuery.sources;
+    } else {
+      aiTestError = companyQuery.error || 'Google AI検索テストに失敗しました';
+      console.error('Gemini API returned error:', aiTestError);
+    }
+  } else {
+    aiTestError = 'Google AI検索テストは現在利用できません';
+    console.log(`Search provider "${llm.search.name}" is not configured, skipping Google AI test`);
+  }
+  progress('ai-test', {
+    query: aiTestQuery, success: !aiTestError, error: aiTestError, sourceCount: aiTestSources.length,
+    visibilityScore: aiVisibility ? aiVisibility.score : null
+  });
 
-    return jsonResponse({
-      id,
-      result: analysisData,
-      aiTest: { query: aiTestQuery, response: aiTestResponse, sources: aiTestSources, companyName, error: aiTestError },
-      url: crawlResult.finalUrl,
-      pages: crawlResult.pageStatuses,
-      overallScore,
-      techCheck
-    });
+  // API Call 2: Page Analysis (longer timeout, this is the main result)
+  const analysisSystem = selectPrompt('site-check');
+  const analysisPrompt = buildSiteCheckPromptV2(crawlResult, companyName, aiTestResponse);
+  const analysisResult = await generateJson(llm.text, {
+    task: 'site-check', system: analysisSystem.render(), prompt: analysisPrompt, maxTokens: 4096, timeoutMs: 90000, usage
+  });
+
+  if (!analysisResult.success) {
+    return { status: 503, data: { error: analysisResult.error || SITE_CHECK_ERROR } };
+  }
+
+  const analysisData = analysisResult.data;
+  progress('analysis', { categoryCount: analysisData.categories.length });
+
+  // Tech checks (mechanical, non-AI)
+  let techCheck = null;
+  try { techCheck = await runTechChecks(crawlResult.finalUrl, crawlResult); } catch (e) { console.error('runTechChecks error:', e); }
+  progress('tech-check', { techCheck });
+
+  // Overall score (0-100): rule scores + tech checks, with a bounded adjustment from the AI analysis
+  const scoreBreakdown = scoreSiteCheck(crawlResult, techCheck, analysisData);
+  const overallScore = scoreBreakdown.total;
+
+  const id = crypto.randomUUID();
+  const diagnosis = {
+    id, type: 'site-check',
+    answers: { url: body.url },
+    trigger: trigger || undefined,
+    crawlData: {
+      url: crawlResult.finalUrl, pageSize: crawlResult.pageSize,
+      title: crawlResult.title, description: crawlResult.metaDescription,
+      pages: crawlResult.pageStatuses
+    },
+    overallScore, scoreBreakdown, scoringVersion: scoreBreakdown.version, techCheck,
+    result: { analysis: analysisData, aiTest: aiTestResponse, aiTestError, companyName, aiVisibility },
+    prompt: promptRef(analysisSystem), llmUsage: usage.summary(),
+    email: null, createdAt: new Date().toISOString(), status: 'pending'
+  };
+
+  await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
+  // Per-domain history for the score trend (best effort: the diagnosis itself is already stored)
+  let historyEntry = null;
+  try { historyEntry = await recordHistory(env.DIAGNOSES, diagnosis, techCheck); } catch (e) { console.error('recordHistory error:', e); }
+
+  const responseData = {
+    result: analysisData,
+    aiTest: { query: aiTestQuery, response: aiTestResponse, sources: aiTestSources, companyName, error: aiTestError },
+    aiVisibility,
+    url: crawlResult.finalUrl,
+    pages: crawlResult.pageStatuses,
+    overallScore,
+    scoreBreakdown,
+    techCheck
+  };
+  await putCachedSiteCheck(env, [body.url, crawlResult.finalUrl], { id, diagnosis, response: responseData });
+
+  return { status: 200, data: { id, ...responseData }, historyEntry };
+}
+
+// Number of AI visibility queries per site check (each one is a paid search call)
+function visibilityBudget(env) {
+  const budget = parseInt(env.AI_VISIBILITY_MAX_QUERIES, 10);
+  return Number.isFinite(budget) && budget > 0 ? budget : VISIBILITY_DEFAULT_BUDGET;
+}
+
+// ========== Site Check Result Cache ==========
+
+const SITE_CHECK_CACHE_TTL_DEFAULT = 21600; // 6 hours
+
+// Cache key for a site URL: scheme, www, trailing slash and fragment are ignored
+function normalizeSiteUrl(value) {
+  let url = String(value || '').trim();
+  if (!/^https?:\/\//i.test(url)) url = 'https://' + url;
+  try {
+    const u = new URL(url);
+    const host = u.hostname.toLowerCase().replace(/^www\./, '');
+    const path = u.pathname.replace(/\/+$/, '');
+    return host + (u.port ? ':' + u.port : '') + path + u.search;
+  } catch (e) {
+    return null;
+  }
+}
+
+function siteCheckCacheTtl(env) {
+  const ttl = parseInt(env.SITE_CHECK_CACHE_TTL, 10);
+  return Number.isFinite(ttl) ? ttl : SITE_CHECK_CACHE_TTL_DEFAULT;
+}
+
+async function getCachedSiteCheck(env, url) {
+  const key = normalizeSiteUrl(url);
+  if (!key || siteCheckCacheTtl(env) <= 0) return null;
+  try {
+    const raw = await env.DIAGNOSES.get(`sitecache:${key}`);
+    return raw ? JSON.parse(raw) : null;
+  } catch (e) {
+    console.error('getCachedSiteCheck error:', e);
+    return null;
+  }
+}
+
+async function putCachedSiteCheck(env, urls, entry) {
+  const ttl = siteCheckCacheTtl(env);
+  if (ttl <= 0) return;
+  const keys = [...new Set(urls.map(normalizeSiteUrl).filter(Boolean))];
+  const value = JSON.stringify({ ...entry, cachedAt: new Date().toISOString() });
+  try {
+    // KV requires expirationTtl >= 60
+    await Promise.all(keys.map(key => env.DIAGNOSES.put(`sitecache:${key}`, value, { expirationTtl: Math.max(60, ttl) })));
+  } catch (e) {
+    console.error('putCachedSiteCheck error:', e);
+  }
+}
+
+// Stores the cached diagnosis under a fresh ID so leads and reports stay per-request
+async function reuseCachedSiteCheck(env, body, cached) {
+  const id = crypto.randomUUID();
+  const diagnosis = {
+    ...cached.diagnosis,
+    id, answers: { url: body.url },
+    cached: true, cachedFrom: cached.id,
+    trigger: undefined, // the copy is a visitor's request even when the original was a cron run
+    llmUsage: null, // no LLM calls were made for this copy; the cost is counted on cachedFrom
+    email: null, createdAt: new Date().toISOString(), status: 'pending'
+  };
+
+  await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
+
+  return { status: 200, data: { id, ...cached.response, cached: true, cachedAt: cached.cachedAt } };
+}
+
+// ========== Competitor Comparison ==========
+// POST /api/site-check/compare { url, competitors: [url, ...] } crawls, tech-checks and scores the
+// primary site and up to MAX_COMPETITORS competitors in parallel (no AI analysis), then stores the
+// side-by-side result as a 'site-compare' diagnosis with its own report page.
+
+async function handleSiteCompare(request, env) {
+  try {
+    const body = await request.json();
+    const outcome = await runSiteComparison(env, body);
+    return jsonResponse(outcome.data, outcome.status);
   } catch (err) {
-    console.error('handleSiteCheck error:', err);
-    return jsonResponse({ error: '診断中にエラーが発生しました。時間をおいて再度お試しください。' }, 503);
+    console.error('handleSiteCompare error:', err);
+    return jsonResponse({ error: SITE_CHECK_ERROR }, 503);
+  }
+}
+
+async function runSiteComparison(env, body) {
+  if (!body || typeof body.url !== 'string' || !body.url.trim()) {
+    return { status: 400, data: { error: 'URLを入力してください' } };
+  }
+  const competitorUrls = Array.isArray(body.competitors)
+    ? body.competitors.filter(u => typeof u === 'string' && u.trim()).map(u => u.trim())
+    : [];
+  // Drop duplicates and the primary site itself
+  const seen = new Set([normalizeSiteUrl(body.url)]);
+  const competitors = competitorUrls.filter(u => {
+    const key = normalizeSiteUrl(u);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (competitors.length === 0) {
+    return { status: 400, data: { error: '比較する競合サイトのURLを1件以上入力してください' } };
+  }
+  if (competitors.length > MAX_COMPETITORS) {
+    return { status: 400, data: { error: `競合サイトは${MAX_COMPETITORS}件まで指定できます` } };
+  }
+
+  const [primary, ...others] = await Promise.all([body.url, ...competitors].map(url => checkSiteForComparison(url, env)));
+  if (!primary.success) {
+    return { status: 400, data: { error: primary.error || 'サイトにアクセスできませんでした。URLが正しいか確認してください。' } };
+  }
+  const compared = others.filter(o => o.success);
+  const failed = others.filter(o => !o.success).map(o => ({ url: o.url, error: o.error }));
+  if (compared.length === 0) {
+    return { status: 400, data: { error: '競合サイトにアクセスできませんでした。URLが正しいか確認してください。', failed } };
+  }
+
+  const comparison = compareSites([primary.snapshot, ...compared.map(o => o.snapshot)]);
+
+  const id = crypto.randomUUID();
+  const diagnosis = {
+    id, type: 'site-compare',
+    answers: { url: body.url, competitors },
+    comparison, failed,
+    scoringVersion: primary.snapshot.scoreBreakdown.version,
+    email: null, createdAt: new Date().toISOString(), status: 'pending'
+  };
+  await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
+
+  return { status: 200, data: { id, ...comparison, failed, reportUrl: `/report/${id}` } };
+}
+
+// { url, success, error, snapshot } for one site; failures never throw
+async function checkSiteForComparison(url, env) {
+  try {
+    const crawl = await crawlSiteV2(url, env);
+    if (!crawl.success) return { url, success: false, error: crawl.error || 'サイトにアクセスできませんでした。' };
+    let techCheck = null;
+    try { techCheck = await runTechChecks(crawl.finalUrl, crawl); } catch (e) { console.error('runTechChecks error:', e); }
+    const scoreBreakdown = scoreSiteCheck(crawl, techCheck, null);
+    return { url, success: true, error: null, snapshot: comparisonSnapshot(crawl, techCheck, scoreBreakdown, extractCompanyName(crawl)) };
+  } catch (err) {
+    console.error('checkSiteForComparison error:', url, err);
+    return { url, success: false, error: 'サイトにアクセスできませんでした。' };
   }
 }
 
@@ -319,37 +773,31 @@ async function runTechChecks(baseUrl, crawlResult) {
 
   const fetchOk = async (url) => {
     try {
-      const r = await fetch(url, { method: 'HEAD', redirect: 'follow', signal: AbortSignal.timeout(5000) });
-      return r.ok;
+      const { response } = await safeFetch(url, { method: 'HEAD', signal: AbortSignal.timeout(5000) });
+      return response.ok;
     } catch (e) { return false; }
   };
 
+  // robots.txt / sitemap.xml were already fetched by the crawler when available
   const [robotsTxt, sitemapXml, llmsTxt] = await Promise.all([
-    fetchOk(origin + '/robots.txt'),
-    fetchOk(origin + '/sitemap.xml'),
+    crawlResult.robots ? crawlResult.robots.found : fetchOk(origin + '/robots.txt'),
+    crawlResult.sitemap ? crawlResult.sitemap.found : fetchOk(origin + '/sitemap.xml'),
     fetchOk(origin + '/llms.txt')
   ]);
 
-  const html = crawlResult.html || '';
-  const hasOrganization = (crawlResult.jsonLdTypes || []).some(t => /organization/i.test(t));
-  const hasFaqSchema = (crawlResult.jsonLdTypes || []).some(t => /faqpage/i.test(t));
+  const model = crawlResult.pageModel || parseHtml(crawlResult.html || '');
+  const homeJsonLd = analyzeJsonLd(jsonLdDocuments(model));
+  const schemas = crawlResult.jsonLdSchemas || homeJsonLd.schemas;
+  const hasOrganization = schemas.includes('Organization');
+  const hasFaqSchema = schemas.includes('FAQPage');
 
   // OGP個別チェック
-  const ogpTitle = /property=["']og:title["']/i.test(html);
-  const ogpDescription = /property=["']og:description["']/i.test(html);
-  const ogpImage = /property=["']og:image["']/i.test(html);
-
-  // dateModified（JSON-LD内）
-  let dateModified = false;
-  const ldRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  let ldMatch;
-  while ((ldMatch = ldRegex.exec(html)) !== null) {
-    try {
-      const ld = JSON.parse(ldMatch[1]);
-      if (ld.dateModified) { dateModified = true; break; }
-      if (Array.isArray(ld['@graph']) && ld['@graph'].some(item => item.dateModified)) { dateModified = true; break; }
-    } catch (e) {}
-  }
+  const ogpTitle = 'og:title' in model.meta;
+  const ogpDescription = 'og:description' in model.meta;
+  const ogpImage = 'og:image' in model.meta;
+
+  // dateModified（JSON-LD内、@graph・入れ子のエンティティを含む）
+  const dateModified = homeJsonLd.entities.some(e => e.properties.includes('dateModified'));
 
   // meta description文字数
   const descText = (crawlResult.metaDescription || '').trim();
@@ -369,13 +817,152 @@ async function runTechChecks(baseUrl, crawlResult) {
     ogpImage,
     canonical: !!crawlResult.hasCanonical,
     jsonLd: !!crawlResult.hasJsonLd,
-    jsonLdTypes: crawlResult.jsonLdTypes || [],
+    jsonLdTypes: crawlResult.jsonLdTypes || homeJsonLd.types,
+    jsonLdInvalidBlocks: crawlResult.jsonLdInvalidBlocks || 0,
+    // トップページのエンティティ一覧と、巡回した全ページの必須・推奨プロパティ検証
+    jsonLdEntities: homeJsonLd.entities.map(({ id, types, properties }) => ({ id, types, properties })),
+    jsonLdValidations: crawlResult.jsonLdValidations
+      || homeJsonLd.validations.map(v => ({ url: crawlResult.finalUrl || baseUrl, ...v })),
     dateModified,
+    // 会社名・住所・電話番号などの表記が全ページとJSON-LDで揃っているか
+    entityConsistency: crawlResult.entityConsistency || null,
     schemaOrganization: hasOrganization,
     schemaFaq: hasFaqSchema
   };
 }
 
+// ========== robots.txt ==========
+
+// Total time one crawl may spend waiting for the site's Crawl-delay; pages beyond it are not crawled
+const CRAWL_DELAY_BUDGET_SEC = 20;
+const ROBOTS_BLOCKED_ERROR = 'このサイトはrobots.txtで巡回が禁止されているため、診断できませんでした。';
+
+// Fetches a small text resource (robots.txt, sitemap) from the target site; null unless 2xx
+async function fetchSiteText(url, env, timeoutMs = 5000) {
+  const isSelf = ['ciras.jp', 'www.ciras.jp'].includes(new URL(url).hostname.toLowerCase());
+  const response = isSelf && env && env.ASSETS
+    ? await env.ASSETS.fetch(new Request(url))
+    : (await safeFetch(url, {
+      headers: { 'User-Agent': 'Mozilla/5.0 (compatible; CirasWebChecker/1.0; +https://ciras.jp)' },
+      signal: AbortSignal.timeout(timeoutMs)
+    })).response;
+  if (!response.ok) return null;
+  return (await response.text()).substring(0, 500000);
+}
+
+async function fetchRobotsTxt(origin, env) {
+  const empty = { found: false, rules: { rules: [], crawlDelay: null }, sitemaps: [] };
+  try {
+    // 4xx = no restrictions; 5xx / network errors are treated the same rather than blocking the diagnosis
+    const text = await fetchSiteText(origin + '/robots.txt', env);
+    if (text === null) return empty;
+    const parsed = parseRobotsTxt(text);
+    return { found: true, rules: getRobotsRules(parsed), sitemaps: parsed.sitemaps };
+  } catch (e) {
+    console.error('fetchRobotsTxt error:', origin, e.message);
+    return empty;
+  }
+}
+
+// Returns a loader that fetches robots.txt once per origin for the duration of one crawl
+function createRobotsLoader(env) {
+  const cache = new Map();
+  return (url) => {
+    const origin = new URL(url).origin;
+    if (!cache.has(origin)) cache.set(origin, fetchRobotsTxt(origin, env));
+    return cache.get(origin);
+  };
+}
+
+async function isCrawlAllowed(robotsFor, url) {
+  const robots = await robotsFor(url);
+  return isPathAllowed(robots.rules, robotsPath(url));
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Spaces the requests of one crawl by the site's Crawl-delay, counted from the homepage fetch
+// (create it right after). pace() waits for the next slot and resolves to false, without waiting,
+// once the slot lies beyond what is left of CRAWL_DELAY_BUDGET_SEC.
+function createCrawlPacer(crawlDelay) {
+  const delayMs = (crawlDelay || 0) * 1000;
+  let budgetMs = CRAWL_DELAY_BUDGET_SEC * 1000;
+  let last = Date.now();
+  const pace = async () => {
+    if (!delayMs) return true;
+    const waitMs = Math.max(0, last + delayMs - Date.now());
+    if (waitMs > budgetMs) return false;
+    budgetMs -= waitMs;
+    await sleep(waitMs);
+    last = Date.now();
+    return true;
+  };
+  return { delayed: delayMs > 0, pace };
+}
+
+// Crawls pages in parallel, or one by one when the site asks for a Crawl-delay. Pages the delay
+// budget does not reach come back as { status: 'skipped' }.
+async function crawlPagesPolitely(urls, env, pacer) {
+  if (!pacer.delayed) {
+    return Promise.allSettled(urls.map(url => crawlPage(url, env)));
+  }
+  const results = [];
+  for (const url of urls) {
+    if (!(await pacer.pace())) {
+      results.push({ status: 'skipped' });
+      continue;
+    }
+    try {
+      results.push({ status: 'fulfilled', value: await crawlPage(url, env) });
+    } catch (e) {
+      results.push({ status: 'rejected', reason: e });
+    }
+  }
+  return results;
+}
+
+// ========== Sitemap Discovery ==========
+
+const MAX_SITEMAP_FILES = 5;
+const MAX_SITEMAP_URLS = 1000;
+
+// Reads /sitemap.xml plus any Sitemap: lines from robots.txt, following sitemap indexes.
+// Returns { found, urls } with page URLs on the same site, normalized like homepage links.
+// Every file waits for pacer (see createCrawlPacer); discovery stops when the delay budget runs out.
+async function discoverSitemapUrls(homepageUrl, robots, env, pacer) {
+  const origin = new URL(homepageUrl).origin;
+  const queue = [...new Set([...robots.sitemaps, origin + '/sitemap.xml'])];
+  const seen = new Set();
+  const urls = new Set();
+  let found = false;
+
+  while (queue.length > 0 && seen.size < MAX_SITEMAP_FILES && urls.size < MAX_SITEMAP_URLS) {
+    const sitemapUrl = queue.shift();
+    if (seen.has(sitemapUrl)) continue;
+    seen.add(sitemapUrl);
+    if (!(await pacer.pace())) break;
+    try {
+      const xml = await fetchSiteText(sitemapUrl, env);
+      if (!xml) continue;
+      const parsed = parseSitemapXml(xml);
+      if (parsed.urls.length === 0 && parsed.sitemaps.length === 0) continue;
+      found = true;
+      queue.push(...parsed.sitemaps);
+      for (const loc of parsed.urls) {
+        const pageUrl = toInternalPageUrl(loc, homepageUrl);
+        if (pageUrl) urls.add(pageUrl);
+        if (urls.size >= MAX_SITEMAP_URLS) break;
+      }
+    } catch (e) {
+      console.error('discoverSitemapUrls error:', sitemapUrl, e.message);
+    }
+  }
+
+  return { found, urls: [...urls] };
+}
+
 // ========== Multi-Page Website Crawling ==========
 
 async function crawlPage(url, env) {
@@ -386,47 +973,68 @@ async function crawlPage(url, env) {
 
     let response;
     let responseTimeMs = null;
-    if (isSelf && env && env.ASSETS) {
-      response = await env.ASSETS.fetch(new Request(url, { headers: { 'Accept': 'text/html' } }));
-    } else {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 15000);
-      const fetchStart = Date.now();
-      response = await fetch(url, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (compatible; CirasWebChecker/1.0; +https://ciras.jp)',
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
-          'Accept-Language': 'ja,en;q=0.9'
-        },
-        redirect: 'follow',
-        signal: controller.signal
-      });
-      responseTimeMs = Date.now() - fetchStart;
-      clearTimeout(timeout);
-    }
+    let redirectedUrl = null;
+    let parsed;
+    // The timeout also covers reading the body, so a slow or endless body cannot stall the crawl
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), 15000);
+    try {
+      if (isSelf && env && env.ASSETS) {
+        response = await env.ASSETS.fetch(new Request(url, { headers: { 'Accept': 'text/html' } }));
+      } else {
+        const fetchStart = Date.now();
+        let fetchedUrl;
+        ({ response, url: fetchedUrl } = await safeFetch(url, {
+          headers: {
+            'User-Agent': 'Mozilla/5.0 (compatible; CirasWebChecker/1.0; +https://ciras.jp)',
+            'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+            'Accept-Language': 'ja,en;q=0.9'
+          },
+          signal: controller.signal
+        }));
+        responseTimeMs = Date.now() - fetchStart;
+        redirectedUrl = fetchedUrl;
+      }
 
-    if (!response.ok) return null;
-    if (!isSelf) {
-      const contentType = response.headers.get('content-type') || '';
-      if (!contentType.includes('text/html')) return null;
-    }
+      if (!response.ok) return null;
+      if (!isSelf) {
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/html')) return null;
+      }
 
-    const html = await response.text();
-    const truncatedHtml = html.substring(0, 500000);
-    const finalUrl = isSelf ? url : (response.url || url);
+      // Parse while streaming; only the first 500KB is read and analyzed
+      parsed = response.body
+        ? await parseHtmlStream(response.body, 500000)
+        : { model: parseHtml(''), html: '', size: 0, truncated: false };
+    } finally {
+      clearTimeout(timeout);
+    }
+    const { model, html: truncatedHtml } = parsed;
+    // A truncated body is at least as large as what was read; Content-Length tells the rest
+    const size = parsed.truncated
+      ? Math.max(parsed.size, parseInt(response.headers.get('content-length'), 10) || 0)
+      : parsed.size;
+    const finalUrl = isSelf ? url : (redirectedUrl || url);
+    const documents = jsonLdDocuments(model);
+    const jsonLd = analyzeJsonLd(documents);
 
     return {
       url: finalUrl,
       html: truncatedHtml,
-      pageSize: html.length,
-      title: extractTag(truncatedHtml, 'title'),
-      metaDescription: extractMetaContent(truncatedHtml, 'description'),
-      hasViewport: /meta[^>]*name=["']viewport["']/i.test(truncatedHtml),
-      hasJsonLd: /<script[^>]*type=["']application\/ld\+json["']/i.test(truncatedHtml),
-      jsonLdTypes: extractJsonLdTypes(truncatedHtml),
-      headingStructure: extractHeadings(truncatedHtml),
-      hasCanonical: /link[^>]*rel=["']canonical["']/i.test(truncatedHtml),
-      internalLinks: countInternalLinks(truncatedHtml, finalUrl),
+      model,
+      pageSize: size,
+      title: model.title,
+      metaDescription: getMeta(model, 'description'),
+      hasViewport: 'viewport' in model.meta,
+      hasJsonLd: model.jsonLd.length > 0,
+      jsonLdTypes: jsonLd.types,
+      jsonLdSchemas: jsonLd.schemas,
+      jsonLdValidations: jsonLd.validations,
+      jsonLdInvalidBlocks: model.jsonLd.filter(block => block.error).length,
+      entityFacts: extractEntityFacts(model, documents),
+      headingStructure: { ...model.headingCounts },
+      hasCanonical: model.canonical !== null,
+      internalLinks: countInternalLinks(model, finalUrl),
       hasFaq: /faq|よくある質問|Q&A|Q＆A/i.test(truncatedHtml),
       hasAddress: /〒|住所|所在地|address/i.test(truncatedHtml),
       hasPrice: /円|料金|価格|price/i.test(truncatedHtml),
@@ -434,43 +1042,48 @@ async function crawlPage(url, env) {
       hasCompanyInfo: /会社概要|代表|設立|about/i.test(truncatedHtml),
       hasTestimonials: /お客様の声|実績|事例|voice|testimonial|case/i.test(truncatedHtml),
       hasPrivacyPolicy: /プライバシー|個人情報|privacy/i.test(truncatedHtml),
-      scriptCount: (truncatedHtml.match(/<script/gi) || []).length,
-      stylesheetCount: (truncatedHtml.match(/<link[^>]*stylesheet/gi) || []).length,
-      imageCount: (truncatedHtml.match(/<img/gi) || []).length,
-      hasAltText: checkAltText(truncatedHtml),
-      copyrightYear: extractCopyrightYear(truncatedHtml),
-      textContent: extractTextContent(truncatedHtml).substring(0, 5000),
-      contentLength: extractTextContent(truncatedHtml).length,
-      headingsText: extractHeadingsText(truncatedHtml),
+      scriptCount: model.scriptCount,
+      stylesheetCount: model.stylesheetCount,
+      imageCount: model.images.length,
+      hasAltText: altTextRatio(model),
+      copyrightYear: copyrightYear(model),
+      textContent: model.text.substring(0, 5000),
+      contentLength: model.text.length,
+      headingsText: model.headings.slice(0, 30),
       isHttps: finalUrl.startsWith('https://'),
       responseTimeMs
     };
   } catch (err) {
+    // Unsafe redirects are reported to the user instead of being treated as a dead page
+    if (err instanceof UnsafeUrlError) throw err;
     console.error('crawlPage error:', url, err.message);
     return null;
   }
 }
 
-function extractAllInternalLinks(html, baseUrl) {
-  const links = new Set();
+// Resolves href against the page and returns origin + pathname if it is another HTML page
+// on the same site (www-insensitive), otherwise null
+function toInternalPageUrl(href, baseUrl) {
   try {
     const base = new URL(baseUrl);
+    const linkUrl = new URL(href, baseUrl);
     const baseHost = base.hostname.replace(/^www\./, '');
-    const regex = /<a[^>]*href=["']([^"'#]*?)["']/gi;
-    let match;
-    while ((match = regex.exec(html)) !== null) {
-      try {
-        const linkUrl = new URL(match[1], baseUrl);
-        const linkHost = linkUrl.hostname.replace(/^www\./, '');
-        if (linkHost === baseHost && linkUrl.pathname !== base.pathname) {
-          const ext = linkUrl.pathname.split('.').pop().toLowerCase();
-          if (!ext || ext === 'html' || ext === 'htm' || ext === 'php' || !linkUrl.pathname.includes('.')) {
-            links.add(linkUrl.origin + linkUrl.pathname);
-          }
-        }
-      } catch (e) {}
+    const linkHost = linkUrl.hostname.replace(/^www\./, '');
+    if (linkHost !== baseHost || linkUrl.pathname === base.pathname) return null;
+    const ext = linkUrl.pathname.split('.').pop().toLowerCase();
+    if (!ext || ext === 'html' || ext === 'htm' || ext === 'php' || !linkUrl.pathname.includes('.')) {
+      return linkUrl.origin + linkUrl.pathname;
     }
   } catch (e) {}
+  return null;
+}
+
+function extractAllInternalLinks(model, baseUrl) {
+  const links = new Set();
+  for (const anchor of model.anchors) {
+    const link = toInternalPageUrl(anchor.href, baseUrl);
+    if (link) links.add(link);
+  }
   return [...links];
 }
 
@@ -512,25 +1125,27 @@ async function crawlSite(inputUrl, env) {
     let url = inputUrl.trim();
     if (!url.startsWith('http')) url = 'https://' + url;
 
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-    } catch (e) {
-      return { success: false, error: 'URLの形式が正しくありません。例：https://example.com' };
+    const safety = checkUrlSafety(url);
+    if (!safety.ok) return { success: false, unsafe: true, error: safety.error };
+
+    const robotsFor = createRobotsLoader(env);
+    if (!(await isCrawlAllowed(robotsFor, url))) {
+      return { success: false, error: ROBOTS_BLOCKED_ERROR };
     }
 
     const homepage = await crawlPage(url, env);
     if (!homepage) {
       return { success: false, error: 'サイトにアクセスできませんでした。URLが正しいか確認してください。' };
     }
+    const homeRobots = await robotsFor(homepage.url);
+    const pacer = createCrawlPacer(homeRobots.rules.crawlDelay);
 
-    const internalLinks = extractAllInternalLinks(homepage.html, homepage.url);
+    const internalLinks = extractAllInternalLinks(homepage.model, homepage.url);
     const prioritized = prioritizePages(internalLinks);
-    const pagesToCrawl = prioritized.slice(0, 9);
+    const allowed = await Promise.all(prioritized.map(link => isCrawlAllowed(robotsFor, link)));
+    const pagesToCrawl = prioritized.filter((link, i) => allowed[i]).slice(0, 9);
 
-    const subpageResults = await Promise.allSettled(
-      pagesToCrawl.map(link => crawlPage(link, env))
-    );
+    const subpageResults = await crawlPagesPolitely(pagesToCrawl, env, pacer);
 
     const pages = [homepage];
     for (const result of subpageResults) {
@@ -544,9 +1159,14 @@ async function crawlSite(inputUrl, env) {
       type: classifyPage(p.url, p.title, p.textContent)
     }));
 
-    return buildSiteProfile(classifiedPages, homepage);
+    const profile = buildSiteProfile(classifiedPages, homepage);
+    profile.robots = robotsSummary(homeRobots);
+    return profile;
   } catch (err) {
     console.error('crawlSite error:', err);
+    if (err instanceof UnsafeUrlError) {
+      return { success: false, unsafe: true, error: err.message };
+    }
     if (err.name === 'AbortError') {
       return { success: false, error: 'サイトの読み込みに時間がかかりすぎました。' };
     }
@@ -564,21 +1184,27 @@ async function crawlSiteV2(inputUrl, env) {
     let url = inputUrl.trim();
     if (!url.startsWith('http')) url = 'https://' + url;
 
-    let parsedUrl;
-    try {
-      parsedUrl = new URL(url);
-    } catch (e) {
-      return { success: false, error: 'URLの形式が正しくありません。例：https://example.com' };
-    }
+    const safety = checkUrlSafety(url);
+    if (!safety.ok) return { success: false, unsafe: true, error: safety.error };
 
-    // Step 1: Crawl homepage
+    // Step 1: Crawl homepage (robots.txt is fetched once per origin and respected for every page)
+    const robotsFor = createRobotsLoader(env);
+    if (!(await isCrawlAllowed(robotsFor, url))) {
+      return { success: false, error: ROBOTS_BLOCKED_ERROR };
+    }
     const homepage = await crawlPage(url, env);
     if (!homepage) {
       return { success: false, error: 'サイトにアクセスできませんでした。URLが正しいか確認してください。' };
     }
+    const homeRobots = await robotsFor(homepage.url);
+    const pacer = createCrawlPacer(homeRobots.rules.crawlDelay);
 
-    // Step 2: Extract links and prioritize by path patterns
-    const internalLinks = extractAllInternalLinks(homepage.html, homepage.url);
+    // Step 2: Collect links from the homepage and sitemap.xml (homepage links first), prioritize by path patterns
+    const sitemap = await discoverSitemapUrls(homepage.url, homeRobots, env, pacer);
+    const internalLinks = [...new Set([...extractAllInternalLinks(homepage.model, homepage.url), ...sitemap.urls])];
+    const linkAllowed = await Promise.all(internalLinks.map(link => isCrawlAllowed(robotsFor, link)));
+    const blockedLinks = new Set(internalLinks.filter((link, i) => !linkAllowed[i]));
+    const blockedPages = [];
     const priorityPatterns = [
       { patterns: ['/about', '/company', '/corporate', '/kaisha', '/profile', '/gaiyou'], label: '会社概要' },
       { patterns: ['/service', '/business', '/solution', '/product', '/works', '/jigyou'], label: 'サービス紹介' },
@@ -603,8 +1229,13 @@ async function crawlSiteV2(inputUrl, env) {
         try { decodedLink = decodeURIComponent(lowerLink); } catch (e) {}
         const matched = priority.patterns.some(p => lowerLink.includes(p) || decodedLink.includes(p));
         if (matched) {
-          selectedPages.push({ url: link, label: priority.label });
           usedUrls.add(link);
+          // Disallowed pages are reported but don't use up a slot; keep looking for this category
+          if (blockedLinks.has(link)) {
+            blockedPages.push({ url: link, label: priority.label });
+            continue;
+          }
+          selectedPages.push({ url: link, label: priority.label });
           break;
         }
       }
@@ -618,6 +1249,10 @@ async function crawlSiteV2(inputUrl, env) {
         // Skip obviously low-value pages
         const lower = link.toLowerCase();
         if (lower.includes('/privacy') || lower.includes('/terms') || lower.includes('/sitemap') || lower.includes('/login') || lower.includes('/cart') || lower.includes('/wp-admin')) continue;
+        if (blockedLinks.has(link)) {
+          if (blockedPages.length < maxSubpages) blockedPages.push({ url: link, label: 'その他' });
+          continue;
+        }
         selectedPages.push({ url: link, label: 'その他' });
         usedUrls.add(link);
       }
@@ -625,22 +1260,22 @@ async function crawlSiteV2(inputUrl, env) {
 
     // Step 3: Crawl selected pages with individual timeout handling
     const pageStatuses = [{ url: homepage.url, label: 'トップページ', status: 'success' }];
-    const subpageResults = await Promise.allSettled(
-      selectedPages.map(async (page) => {
-        const result = await crawlPage(page.url, env);
-        return { ...page, result };
-      })
-    );
+    const subpageResults = await crawlPagesPolitely(selectedPages.map(page => page.url), env, pacer);
 
     const pages = [homepage];
-    for (const res of subpageResults) {
-      if (res.status === 'fulfilled' && res.value.result) {
-        pages.push(res.value.result);
-        pageStatuses.push({ url: res.value.url, label: res.value.label, status: 'success' });
+    subpageResults.forEach((res, i) => {
+      const page = selectedPages[i];
+      if (res.status === 'fulfilled' && res.value) {
+        pages.push(res.value);
+        pageStatuses.push({ url: page.url, label: page.label, status: 'success' });
+      } else if (res.status === 'skipped') {
+        pageStatuses.push({ url: page.url, label: page.label, status: 'skipped_crawl_delay' });
       } else {
-        const failedPage = res.status === 'fulfilled' ? res.value : { url: 'unknown', label: '不明' };
-        pageStatuses.push({ url: failedPage.url || 'unknown', label: failedPage.label || '不明', status: 'failed' });
+        pageStatuses.push({ url: page.url, label: page.label, status: 'failed' });
       }
+    });
+    for (const page of blockedPages) {
+      pageStatuses.push({ url: page.url, label: page.label, status: 'blocked_by_robots' });
     }
 
     // Classify pages
@@ -651,62 +1286,42 @@ async function crawlSiteV2(inputUrl, env) {
 
     const profile = buildSiteProfile(classifiedPages, homepage);
     profile.pageStatuses = pageStatuses;
+    profile.robots = robotsSummary(homeRobots);
+    profile.sitemap = { found: sitemap.found, urlCount: sitemap.urls.length };
     return profile;
   } catch (err) {
     console.error('crawlSiteV2 error:', err);
+    if (err instanceof UnsafeUrlError) {
+      return { success: false, unsafe: true, error: err.message };
+    }
     return { success: false, error: 'サイトにアクセスできませんでした。' };
   }
 }
 
-function extractNavLinks(html, baseUrl) {
-  const links = [];
-  try {
-    const base = new URL(baseUrl);
-    const baseHost = base.hostname.replace(/^www\./, '');
-    // Try to find nav/header links first
-    const navMatch = html.match(/<nav[^>]*>([\s\S]*?)<\/nav>/i) || html.match(/<header[^>]*>([\s\S]*?)<\/header>/i);
-    const searchHtml = navMatch ? navMatch[1] : html.substring(0, Math.min(html.length, 50000));
-    const regex = /<a[^>]*href=["']([^"'#]*?)["']/gi;
-    let match;
-    while ((match = regex.exec(searchHtml)) !== null) {
-      try {
-        const linkUrl = new URL(match[1], baseUrl);
-        const linkHost = linkUrl.hostname.replace(/^www\./, '');
-        if (linkHost === baseHost && linkUrl.pathname !== base.pathname && linkUrl.pathname !== '/') {
-          const ext = linkUrl.pathname.split('.').pop().toLowerCase();
-          if (!ext || ext === 'html' || ext === 'htm' || ext === 'php' || !linkUrl.pathname.includes('.')) {
-            const full = linkUrl.origin + linkUrl.pathname;
-            if (!links.includes(full)) links.push(full);
-          }
-        }
-      } catch (e) {}
-    }
-  } catch (e) {}
-  return links;
+function robotsSummary(robots) {
+  return { found: robots.found, crawlDelay: robots.rules.crawlDelay, sitemaps: robots.sitemaps };
+}
+
+// A JSON-LD name may also be an array or an object; only a non-empty string (or the first one of
+// an array) is a usable company name
+function jsonLdName(value) {
+  const name = Array.isArray(value) ? value.find(v => typeof v === 'string' && v.trim()) : value;
+  return typeof name === 'string' && name.trim() ? name.trim() : null;
 }
 
 function extractCompanyName(crawlData) {
-  // Priority 1: Extract from JSON-LD (most reliable)
-  if (crawlData.html) {
-    const ldRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-    let ldMatch;
-    while ((ldMatch = ldRegex.exec(crawlData.html)) !== null) {
-      try {
-        const ld = JSON.parse(ldMatch[1]);
-        // Check Organization, LocalBusiness, etc.
-        if (ld['@type'] && (ld['@type'].includes('Organization') || ld['@type'].includes('LocalBusiness') || ld['@type'] === 'Corporation') && ld.name) return ld.name;
-        if (ld.provider && ld.provider.name) return ld.provider.name;
-        if (ld.author && ld.author.name) return ld.author.name;
-      } catch (e) {}
-    }
-    // Second pass: any JSON-LD with a name
-    ldRegex.lastIndex = 0;
-    while ((ldMatch = ldRegex.exec(crawlData.html)) !== null) {
-      try {
-        const ld = JSON.parse(ldMatch[1]);
-        if (ld.name && ld.name.length < 50) return ld.name;
-      } catch (e) {}
-    }
+  // Priority 1: Extract from JSON-LD (most reliable; @graph and nested entities included)
+  const jsonLd = crawlData.pageModel ? jsonLdDocuments(crawlData.pageModel) : [];
+  const organization = findEntities(jsonLd, 'Organization').find(node => jsonLdName(node.name));
+  if (organization) return jsonLdName(organization.name);
+  for (const ld of jsonLd) {
+    const name = (ld.provider && jsonLdName(ld.provider.name)) || (ld.author && jsonLdName(ld.author.name));
+    if (name) return name;
+  }
+  // Second pass: any JSON-LD with a name
+  for (const ld of jsonLd) {
+    const name = jsonLdName(ld.name);
+    if (name && name.length < 50) return name;
   }
 
   // Priority 2: Look for company name pattern in title parts
@@ -763,6 +1378,7 @@ function buildSiteProfile(pages, homepage) {
   const totalContentLength = pages.reduce((sum, p) => sum + p.contentLength, 0);
   const totalImages = pages.reduce((sum, p) => sum + p.imageCount, 0);
   const allJsonLdTypes = [...new Set(pages.flatMap(p => p.jsonLdTypes || []))];
+  const allJsonLdSchemas = [...new Set(pages.flatMap(p => p.jsonLdSchemas || []))];
   const hasJsonLd = pages.some(p => p.hasJsonLd);
   const altTextScores = pages.filter(p => typeof p.hasAltText === 'number');
   const avgAltText = altTextScores.length > 0 ? altTextScores.reduce((s, p) => s + p.hasAltText, 0) / altTextScores.length : 0;
@@ -775,12 +1391,17 @@ function buildSiteProfile(pages, homepage) {
     isHttps: homepage.isHttps,
     responseTimeMs: homepage.responseTimeMs,
     html: homepage.html,
+    pageModel: homepage.model,
     pageSize: homepage.pageSize,
     title: homepage.title,
     metaDescription: homepage.metaDescription,
     hasViewport: homepage.hasViewport,
     hasJsonLd,
     jsonLdTypes: allJsonLdTypes,
+    jsonLdSchemas: allJsonLdSchemas,
+    jsonLdValidations: pages.flatMap(p => (p.jsonLdValidations || []).map(v => ({ url: p.url, ...v }))),
+    jsonLdInvalidBlocks: pages.reduce((sum, p) => sum + (p.jsonLdInvalidBlocks || 0), 0),
+    entityConsistency: checkEntityConsistency(pages),
     headingStructure: homepage.headingStructure,
     hasCanonical: homepage.hasCanonical,
     internalLinks: homepage.internalLinks,
@@ -815,265 +1436,124 @@ function buildSiteProfile(pages, homepage) {
   };
 }
 
-// HTML parsing helpers
-function extractTag(html, tag) {
-  const match = html.match(new RegExp(`<${tag}[^>]*>([^<]*)</${tag}>`, 'i'));
-  return match ? match[1].trim() : '';
-}
-
-function extractMetaContent(html, name) {
-  const match = html.match(new RegExp(`<meta[^>]*name=["']${name}["'][^>]*content=["']([^"']*)["']`, 'i'))
-    || html.match(new RegExp(`<meta[^>]*content=["']([^"']*)["'][^>]*name=["']${name}["']`, 'i'));
-  return match ? match[1].trim() : '';
-}
-
-function extractJsonLdTypes(html) {
-  const types = [];
-  const regex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-  let match;
-  while ((match = regex.exec(html)) !== null) {
-    try {
-      const data = JSON.parse(match[1]);
-      if (data['@type']) types.push(data['@type']);
-    } catch (e) { /* ignore parse errors */ }
-  }
-  return types;
-}
-
-function extractHeadings(html) {
-  const headings = { h1: 0, h2: 0, h3: 0 };
-  headings.h1 = (html.match(/<h1/gi) || []).length;
-  headings.h2 = (html.match(/<h2/gi) || []).length;
-  headings.h3 = (html.match(/<h3/gi) || []).length;
-  return headings;
-}
-
-function countInternalLinks(html, baseUrl) {
+// Page model helpers (see html-parser.js)
+function countInternalLinks(model, baseUrl) {
   try {
     const base = new URL(baseUrl);
     const baseHost = base.hostname.replace(/^www\./, '');
-    const links = html.match(/<a[^>]*href=["']([^"'#]*?)["']/gi) || [];
     let internal = 0;
-    for (const link of links) {
-      const href = link.match(/href=["']([^"'#]*?)["']/i);
-      if (href && href[1]) {
-        try {
-          const linkUrl = new URL(href[1], baseUrl);
-          const linkHost = linkUrl.hostname.replace(/^www\./, '');
-          if (linkHost === baseHost) internal++;
-        } catch (e) { internal++; } // relative links are internal
-      }
+    for (const anchor of model.anchors) {
+      if (!anchor.href || anchor.href.startsWith('#')) continue;
+      try {
+        const linkHost = new URL(anchor.href, baseUrl).hostname.replace(/^www\./, '');
+        if (linkHost === baseHost) internal++;
+      } catch (e) { internal++; } // relative links are internal
     }
     return internal;
   } catch (e) { return 0; }
 }
 
-function checkAltText(html) {
-  const images = html.match(/<img[^>]*>/gi) || [];
-  if (images.length === 0) return true;
-  const withAlt = images.filter(img => /alt=["'][^"']+["']/i.test(img)).length;
-  return withAlt / images.length;
-}
-
-function extractCopyrightYear(html) {
-  const match = html.match(/©\s*(\d{4})|copyright\s*(\d{4})/i);
-  return match ? parseInt(match[1] || match[2]) : null;
-}
-
-function extractHeadingsText(html) {
-  const headings = [];
-  const regex = /<(h[1-3])[^>]*>([\s\S]*?)<\/\1>/gi;
-  let match;
-  while ((match = regex.exec(html)) !== null) {
-    const text = match[2].replace(/<[^>]+>/g, '').trim();
-    if (text) headings.push({ level: match[1].toLowerCase(), text: text.substring(0, 150) });
-  }
-  return headings.slice(0, 30);
-}
-
-function extractTextContent(html) {
-  return html.replace(/<script[\s\S]*?<\/script>/gi, '')
-    .replace(/<style[\s\S]*?<\/style>/gi, '')
-    .replace(/<[^>]+>/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
 // ========== Website Scoring (4 Categories, 25pts each) ==========
+// Thresholds and points live in scoring-rules.js; the result carries the rule-set version.
 
-function scoreSite(crawl) {
-  const sp = crawl.siteProfile || {};
-  const a = scoreContent(crawl, sp);
-  const b = scoreTrust(crawl, sp);
-  const c = scoreAIReady(crawl, sp);
-  const d = scoreTechnical(crawl, sp);
-  const total = a.total + b.total + c.total + d.total;
-  return { totalScore: total, categories: { a, b, c, d } };
-}
-
-function scoreContent(crawl, sp) {
-  let serviceClarity = 0; // max 7
-  if (sp.hasService || crawl.hasPrice) serviceClarity += 3;
-  if (crawl.title && crawl.title.length >= 10) serviceClarity += 2;
-  if (crawl.metaDescription && crawl.metaDescription.length >= 50) serviceClarity += 2;
-
-  let contentDepth = 0; // max 6
-  const totalLen = sp.totalContentLength || crawl.contentLength;
-  if (totalLen > 20000) contentDepth += 6;
-  else if (totalLen > 10000) contentDepth += 4;
-  else if (totalLen > 5000) contentDepth += 2;
-  else if (totalLen > 2000) contentDepth += 1;
-
-  let diversity = 0; // max 6
-  const pageTypeCount = (sp.pageTypes || []).length;
-  if (pageTypeCount >= 6) diversity += 6;
-  else if (pageTypeCount >= 4) diversity += 4;
-  else if (pageTypeCount >= 3) diversity += 3;
-  else if (pageTypeCount >= 2) diversity += 1;
-
-  let faq = 0; // max 3
-  if (sp.hasFaq) faq += 3;
-
-  let pricing = 0; // max 3
-  if (sp.hasPricing) pricing += 3;
-
-  const total = serviceClarity + contentDepth + diversity + faq + pricing;
-  return {
-    total, maxScore: 25, label: 'コンテンツの充実度',
-    details: {
-      serviceClarity: { score: serviceClarity, max: 7, label: 'サービス説明' },
-      contentDepth: { score: contentDepth, max: 6, label: '情報量' },
-      diversity: { score: diversity, max: 6, label: 'ページの多様性' },
-      faq: { score: faq, max: 3, label: 'FAQ・Q&A' },
-      pricing: { score: pricing, max: 3, label: '料金情報' }
-    }
-  };
+function scoreSite(crawl, rules = CURRENT_SCORING_RULES) {
+  return evaluateSiteRules(rules, { ...crawl, siteProfile: crawl.siteProfile || {} });
 }
 
-function scoreTrust(crawl, sp) {
-  let testimonials = 0; // max 8
-  if (sp.hasTestimonials) {
-    testimonials += 5;
-    if ((sp.testimonialPageCount || 0) >= 2) testimonials += 3;
-  }
-
-  let company = 0; // max 6
-  if (sp.hasCompanyInfo) {
-    company += 3;
-    if (sp.hasAddress) company += 2;
-    if (sp.hasPhone) company += 1;
-  }
+// ========== Site Check Scoring (hybrid) ==========
+//
+// The site-check score must be reproducible: the same crawl gives the same base score.
+// base = rule scores (scoreSite, 100pts) and tech checks (runTechChecks, 100pts), weighted per
+// rules.hybrid. The AI analysis can only move the base by ±rules.hybrid.llmMaxAdjustment points.
 
-  let legal = 0; // max 4
-  if (sp.hasPrivacyPolicy) legal += 4;
+function scoreSiteCheck(crawl, techCheck, analysis, rules = CURRENT_SCORING_RULES) {
+  const hybrid = rules.hybrid;
+  const siteScores = scoreSite(crawl, rules);
+  const tech = techCheck ? scoreTechChecks(techCheck, rules) : null;
 
-  let contact = 0; // max 4
-  if (sp.hasContact) contact += 4;
+  const base = tech
+    ? Math.round(siteScores.totalScore * hybrid.weights.rules + tech.score * hybrid.weights.tech)
+    : siteScores.totalScore;
 
-  let freshContent = 0; // max 3
-  if (sp.hasBlog) {
-    freshContent += 2;
-    if ((sp.blogPostCount || 0) >= 3) freshContent += 1;
-  }
+  const llmScore = llmOverallScore(analysis, hybrid.llmCategoryWeights);
+  const adjustment = llmScore === null ? 0 : Math.max(-hybrid.llmMaxAdjustment,
+    Math.min(hybrid.llmMaxAdjustment, Math.round((llmScore - base) * hybrid.llmWeight)));
 
-  const total = testimonials + company + legal + contact + freshContent;
   return {
-    total, maxScore: 25, label: '信頼性・実績',
-    details: {
-      testimonials: { score: testimonials, max: 8, label: 'お客様の声・実績' },
-      company: { score: company, max: 6, label: '会社概要' },
-      legal: { score: legal, max: 4, label: 'プライバシーポリシー' },
-      contact: { score: contact, max: 4, label: '問い合わせ窓口' },
-      freshContent: { score: freshContent, max: 3, label: '更新コンテンツ' }
+    version: rules.version,
+    total: Math.max(0, Math.min(100, base + adjustment)),
+    base,
+    rules: {
+      score: siteScores.totalScore, max: 100, weight: tech ? hybrid.weights.rules : 1,
+      categories: siteScores.categories
+    },
+    tech: tech ? { ...tech, max: 100, weight: hybrid.weights.tech } : null,
+    llm: {
+      score: llmScore, adjustment,
+      maxAdjustment: hybrid.llmMaxAdjustment, weight: hybrid.llmWeight
     }
   };
 }
 
-function scoreAIReady(crawl, sp) {
-  let structured = 0; // max 8
-  if (crawl.hasJsonLd) {
-    structured += 3;
-    const types = crawl.jsonLdTypes || [];
-    if (types.includes('Organization') || types.includes('LocalBusiness')) structured += 2;
-    if (types.includes('FAQPage')) structured += 2;
-    if (types.includes('Service') || types.includes('Product')) structured += 1;
+// AI category scores averaged with the fixed priority weights (falls back to overall_score)
+function llmOverallScore(analysis, categoryWeights) {
+  const categories = (analysis && Array.isArray(analysis.categories) ? analysis.categories : [])
+    .filter(c => typeof c.score === 'number' && categoryWeights[c.priority]);
+  if (categories.length > 0) {
+    const weightSum = categories.reduce((sum, c) => sum + categoryWeights[c.priority], 0);
+    const weighted = categories.reduce((sum, c) => sum + c.score * categoryWeights[c.priority], 0);
+    return Math.max(0, Math.min(100, Math.round(weighted / weightSum)));
   }
+  if (analysis && typeof analysis.overall_score === 'number') {
+    return Math.max(0, Math.min(100, Math.round(analysis.overall_score)));
+  }
+  return null;
+}
 
-  let headings = 0; // max 5
-  const hs = crawl.headingStructure;
-  if (hs.h1 >= 1) headings += 2;
-  if (hs.h2 >= 3) headings += 2;
-  else if (hs.h2 >= 1) headings += 1;
-  if (hs.h3 >= 2) headings += 1;
-
-  let clarity = 0; // max 5
-  if (sp.hasAddress) clarity += 2;
-  if (sp.hasPhone) clarity += 1;
-  if (sp.hasPricing) clarity += 2;
-
-  let linking = 0; // max 4
-  if (crawl.internalLinks >= 15) linking += 4;
-  else if (crawl.internalLinks >= 8) linking += 3;
-  else if (crawl.internalLinks >= 3) linking += 1;
+// Tech checks scored out of 100; unmeasured checks (e.g. response time) are left out of the max
+function scoreTechChecks(techCheck, rules = CURRENT_SCORING_RULES) {
+  const validations = techCheck.jsonLdValidations || [];
+  const jsonLdValidRatio = validations.length > 0 ? validations.filter(v => v.valid).length / validations.length : 0;
+  return evaluateNormalizedItems(rules.tech.items, { ...techCheck, jsonLdValidRatio });
+}
 
-  let meta = 0; // max 3
-  if (crawl.hasCanonical) meta += 2;
-  if (crawl.metaDescription && crawl.metaDescription.length >= 30) meta += 1;
+// ========== Diagnosis Records ==========
 
-  const total = structured + headings + clarity + linking + meta;
-  return {
-    total, maxScore: 25, label: 'AI検索最適化',
-    details: {
-      structured: { score: structured, max: 8, label: '構造化データ' },
-      headings: { score: headings, max: 5, label: '見出し構造' },
-      clarity: { score: clarity, max: 5, label: '情報の明確さ' },
-      linking: { score: linking, max: 4, label: '内部リンク' },
-      meta: { score: meta, max: 3, label: 'メタ情報' }
-    }
+// KV list metadata for a diag:<id> record (what the admin list shows without reading each value)
+function diagnosisMetadata(diagnosis) {
+  const meta = {
+    type: diagnosis.type, created: diagnosis.createdAt,
+    status: diagnosis.status, email: diagnosis.email || undefined,
+    prompt: diagnosis.prompt ? `${diagnosis.prompt.id}@${diagnosis.prompt.version}` : undefined,
+    llm: diagnosis.llmUsage ? compactUsage(diagnosis.llmUsage) : undefined
   };
+  if (diagnosis.type === 'ai-check') {
+    meta.position = diagnosis.answers.q1_position;
+    meta.industry = diagnosis.answers.q2_industry;
+  } else if (diagnosis.type === 'site-check') {
+    meta.position = diagnosis.trigger === 'scheduled' ? 'URL診断（定期）' : 'URL診断';
+    meta.industry = diagnosis.answers.url;
+  } else if (diagnosis.type === 'site-compare') {
+    meta.position = '競合比較';
+    meta.industry = diagnosis.answers.url;
+  } else {
+    meta.position = diagnosis.answers.q3_expectation;
+    meta.industry = diagnosis.answers.q2_url || 'サイトなし';
+  }
+  return meta;
 }
 
-function scoreTechnical(crawl, sp) {
-  let security = 0; // max 5
-  if (crawl.isHttps) security += 5;
-
-  let mobile = 0; // max 5
-  if (crawl.hasViewport) mobile += 5;
-
-  let speed = 0; // max 5
-  if (crawl.pageSize < 150000) speed += 3;
-  else if (crawl.pageSize < 300000) speed += 2;
-  else if (crawl.pageSize < 500000) speed += 1;
-  if (crawl.scriptCount <= 5) speed += 1;
-  if (crawl.imageCount <= 15) speed += 1;
-
-  let accessibility = 0; // max 5
-  const altRatio = typeof crawl.hasAltText === 'number' ? crawl.hasAltText : 0;
-  if (altRatio >= 0.9) accessibility += 5;
-  else if (altRatio >= 0.7) accessibility += 3;
-  else if (altRatio >= 0.4) accessibility += 2;
-  else if (crawl.imageCount === 0) accessibility += 3;
-
-  let freshness = 0; // max 5
-  const currentYear = new Date().getFullYear();
-  if (crawl.copyrightYear) {
-    if (crawl.copyrightYear >= currentYear) freshness += 3;
-    else if (crawl.copyrightYear >= currentYear - 1) freshness += 2;
-    else if (crawl.copyrightYear >= currentYear - 2) freshness += 1;
+// { [model]: [calls, inputTokens, outputTokens, costUsd] }, compact to stay within the 1KB metadata limit
+function compactUsage(llmUsage) {
+  const out = {};
+  for (const [model, m] of Object.entries(llmUsage.byModel || {})) {
+    out[model] = [m.calls, m.inputTokens, m.outputTokens, m.costUsd];
   }
-  if (sp.hasBlog) freshness += 2;
+  return out;
+}
 
-  const total = security + mobile + speed + accessibility + freshness;
-  return {
-    total, maxScore: 25, label: '技術品質',
-    details: {
-      security: { score: security, max: 5, label: 'HTTPS' },
-      mobile: { score: mobile, max: 5, label: 'モバイル対応' },
-      speed: { score: speed, max: 5, label: '表示速度' },
-      accessibility: { score: accessibility, max: 5, label: '画像の説明文' },
-      freshness: { score: freshness, max: 5, label: '更新性' }
-    }
-  };
+function promptRef(selected) {
+  return { id: selected.id, version: selected.version };
 }
 
 // ========== Email Handler ==========
@@ -1091,19 +1571,7 @@ async function handleAddEmail(request, env, id) {
     const diagnosis = JSON.parse(raw);
     diagnosis.email = body.email;
 
-    const meta = {
-      type: diagnosis.type, created: diagnosis.createdAt,
-      status: diagnosis.status, email: body.email
-    };
-    if (diagnosis.type === 'ai-check') {
-      meta.position = diagnosis.answers.q1_position;
-      meta.industry = diagnosis.answers.q2_industry;
-    } else {
-      meta.position = diagnosis.answers.q3_expectation;
-      meta.industry = diagnosis.answers.q2_url || 'サイトなし';
-    }
-
-    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: meta });
+    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
     return jsonResponse({ success: true });
   } catch (err) {
     console.error('handleAddEmail error:', err);
@@ -1127,6 +1595,112 @@ async function handleListDiagnoses(env) {
   }
 }
 
+// Outcomes per prompt variant: how many diagnoses it produced, how many left an email
+// (lead conversion) and how many were followed up (status 'sent')
+async function handlePromptStats(env) {
+  try {
+    const stats = {};
+    for (const [id, prompt] of Object.entries(PROMPTS)) {
+      for (const variant of prompt.variants) {
+        stats[`${id}@${variant.version}`] = {
+          id, label: prompt.label, version: variant.version, weight: variant.weight,
+          diagnoses: 0, withEmail: 0, sent: 0
+        };
+      }
+    }
+
+    for (const key of await listDiagnosisKeys(env)) {
+      const meta = key.metadata || {};
+      const entry = meta.prompt && stats[meta.prompt];
+      if (!entry) continue;
+      entry.diagnoses++;
+      if (meta.email) entry.withEmail++;
+      if (meta.status === 'sent') entry.sent++;
+    }
+
+    const variants = Object.values(stats).map(v => ({
+      ...v, emailRate: v.diagnoses > 0 ? Math.round(v.withEmail / v.diagnoses * 1000) / 10 : null
+    }));
+    return jsonResponse({ variants });
+  } catch (err) {
+    console.error('handlePromptStats error:', err);
+    return jsonResponse({ error: '集計に失敗しました' }, 500);
+  }
+}
+
+// LLM cost by day (JST), diagnosis type and model, read from list metadata.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive) limits the range; diagnoses created before usage
+// was recorded are skipped.
+async function handleUsageStats(url, env) {
+  try {
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    const dateRe = /^\d{4}-\d{2}-\d{2}$/;
+    if ((from && !dateRe.test(from)) || (to && !dateRe.test(to))) {
+      return jsonResponse({ error: '日付は YYYY-MM-DD 形式で指定してください' }, 400);
+    }
+
+    const rows = {};
+    const byType = {};
+    const byModel = {};
+    const total = { diagnoses: 0, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 };
+    const add = (bucket, [calls, inputTokens, outputTokens, costUsd]) => {
+      bucket.calls += calls;
+      bucket.inputTokens += inputTokens;
+      bucket.outputTokens += outputTokens;
+      bucket.costUsd = Math.round((bucket.costUsd + (costUsd || 0)) * 1e6) / 1e6;
+    };
+    const bucket = (map, key, fields) =>
+      map[key] || (map[key] = { ...fields, diagnoses: 0, calls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0 });
+
+    for (const key of await listDiagnosisKeys(env)) {
+      const meta = key.metadata || {};
+      if (!meta.llm || !meta.created) continue;
+      const date = jstDate(meta.created);
+      if ((from && date < from) || (to && date > to)) continue;
+
+      total.diagnoses++;
+      bucket(byType, meta.type, { type: meta.type }).diagnoses++;
+      for (const [model, usage] of Object.entries(meta.llm)) {
+        const row = bucket(rows, `${date}|${meta.type}|${model}`, { date, type: meta.type, model });
+        row.diagnoses++;
+        add(row, usage);
+        add(byType[meta.type], usage);
+        const modelRow = bucket(byModel, model, { model });
+        modelRow.diagnoses++;
+        add(modelRow, usage);
+        add(total, usage);
+      }
+    }
+
+    const sortedRows = Object.values(rows).sort((a, b) =>
+      b.date.localeCompare(a.date) || a.type.localeCompare(b.type) || a.model.localeCompare(b.model));
+    return jsonResponse({
+      pricingVersion: LLM_PRICING.version, from: from || null, to: to || null,
+      rows: sortedRows, byType: Object.values(byType), byModel: Object.values(byModel), total
+    });
+  } catch (err) {
+    console.error('handleUsageStats error:', err);
+    return jsonResponse({ error: '集計に失敗しました' }, 500);
+  }
+}
+
+// Every diag: key with its list metadata; KV returns at most 1000 keys per list call
+async function listDiagnosisKeys(env) {
+  const keys = [];
+  let cursor;
+  do {
+    const list = await env.DIAGNOSES.list({ prefix: 'diag:', cursor });
+    keys.push(...list.keys);
+    cursor = list.list_complete === false ? list.cursor : undefined;
+  } while (cursor);
+  return keys;
+}
+
+function jstDate(iso) {
+  return new Date(new Date(iso).getTime() + 9 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
 async function handleGetDiagnosis(env, id) {
   try {
     const raw = await env.DIAGNOSES.get(`diag:${id}`);
@@ -1148,19 +1722,7 @@ async function handleUpdateDiagnosis(request, env, id) {
     if (body.status) diagnosis.status = body.status;
     if (body.reportContent !== undefined) diagnosis.reportContent = body.reportContent;
 
-    const meta = {
-      type: diagnosis.type, created: diagnosis.createdAt,
-      status: diagnosis.status, email: diagnosis.email || undefined
-    };
-    if (diagnosis.type === 'ai-check') {
-      meta.position = diagnosis.answers.q1_position;
-      meta.industry = diagnosis.answers.q2_industry;
-    } else {
-      meta.position = diagnosis.answers.q3_expectation;
-      meta.industry = diagnosis.answers.q2_url || 'サイトなし';
-    }
-
-    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: meta });
+    await env.DIAGNOSES.put(`diag:${id}`, JSON.stringify(diagnosis), { metadata: diagnosisMetadata(diagnosis) });
     return jsonResponse({ success: true });
   } catch (err) {
     console.error('handleUpdateDiagnosis error:', err);
@@ -1173,6 +1735,9 @@ async function handleDeleteDiagnosis(env, id) {
     const raw = await env.DIAGNOSES.get(`diag:${id}`);
     if (!raw) return jsonResponse({ error: '診断結果が見つかりません' }, 404);
     await env.DIAGNOSES.delete(`diag:${id}`);
+    await env.DIAGNOSES.delete(`ogimage:${id}`);
+    const historyKey = historyKeyFor(JSON.parse(raw));
+    if (historyKey) await env.DIAGNOSES.delete(historyKey);
     return jsonResponse({ success: true });
   } catch (err) {
     console.error('handleDeleteDiagnosis error:', err);
@@ -1180,197 +1745,199 @@ async function handleDeleteDiagnosis(env, id) {
   }
 }
 
-// ========== Report Page ==========
-
-async function handleReportPage(env, id) {
+// GET /api/admin/history?domain=example.com: chronological scores and tech checks of every site
+// check for the domain (URLs and www. are accepted), with the change of the latest run
+async function handleDomainHistory(url, env) {
   try {
-    const raw = await env.DIAGNOSES.get(`diag:${id}`);
-    if (!raw) {
-      return new Response(generateNotFoundHTML(), { status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
-    }
-    const diagnosis = JSON.parse(raw);
-    const html = (diagnosis.type === 'web-check' || diagnosis.type === 'site-check') ? generateWebCheckReportHTML(diagnosis) : generateAiCheckReportHTML(diagnosis);
-    return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    const domain = historyDomain(url.searchParams.get('domain'));
+    if (!domain) return jsonResponse({ error: 'ドメインの指定が正しくありません' }, 400);
+    const history = await loadHistory(env.DIAGNOSES, domain);
+    const latest = history.length > 0 ? compareWithPrevious(history, history[history.length - 1].id) : null;
+    return jsonResponse({ domain, count: history.length, history, latestChange: latest });
   } catch (err) {
-    console.error('handleReportPage error:', err);
-    return new Response(generateErrorHTML(), { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+    console.error('handleDomainHistory error:', err);
+    return jsonResponse({ error: '履歴の取得に失敗しました' }, 500);
   }
 }
 
-// ========== Gemini API (Google AI) ==========
-
-async function callGeminiAPI(apiKey, userPrompt, timeoutMs = 30000) {
-  let lastError = null;
+// ========== Scheduled Checks ==========
+// Managed clients (client:<domain>) are re-diagnosed by the cron trigger; regressions found by
+// comparing with the previous run are listed as alerts (alert:<id>). See scheduled.js.
 
-  // Try each model with google_search, then without
-  for (const model of GEMINI_MODELS) {
-    console.log('Trying Gemini model:', model, 'with google_search');
+function scheduledSettings(env) {
+  const read = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  return {
+    intervalDays: read(env.SCHEDULED_CHECK_INTERVAL_DAYS, SCHEDULED_DEFAULTS.intervalDays),
+    batchSize: read(env.SCHEDULED_CHECK_BATCH_SIZE, SCHEDULED_DEFAULTS.batchSize),
+    scoreDrop: read(env.SCHEDULED_ALERT_SCORE_DROP, SCHEDULED_DEFAULTS.scoreDrop)
+  };
+}
 
-    // Try with google_search grounding
-    const result = await callGeminiRaw(apiKey, model, userPrompt, timeoutMs, true);
-    if (result.success) return result;
-    lastError = result.error;
-    console.log('Failed with google_search:', result.error);
+async function handleScheduled(env) {
+  try {
+    const results = await runScheduledChecks(env.DIAGNOSES, (url) =>
+      runSiteCheck(null, env, { url, force: true }, undefined, { trusted: true, trigger: 'scheduled' }), scheduledSettings(env));
+    console.log('scheduled site checks:', JSON.stringify(results));
+  } catch (err) {
+    console.error('handleScheduled error:', err);
+  }
+}
 
-    // Try without google_search
-    console.log('Trying Gemini model:', model, 'without tools');
-    const fallback = await callGeminiRaw(apiKey, model, userPrompt, timeoutMs, false);
-    if (fallback.success) {
-      fallback.searchGrounded = false;
-      return fallback;
-    }
-    lastError = fallback.error;
-    console.log('Failed without tools:', fallback.error);
+async function handleListClients(env) {
+  try {
+    return jsonResponse({ clients: await listClients(env.DIAGNOSES) });
+  } catch (err) {
+    console.error('handleListClients error:', err);
+    return jsonResponse({ error: '顧問先一覧の取得に失敗しました' }, 500);
   }
+}
 
-  return { success: false, error: lastError || 'すべてのGoogle AIモデルで失敗しました。' };
+// POST { url, name?, plan? } adds a client (or updates the name/plan of an existing one)
+async function handleAddClient(request, env) {
+  try {
+    const body = await request.json();
+    const client = body && typeof body.url === 'string' ? createClient(body) : null;
+    if (!client) return jsonResponse({ error: 'URLを正しく入力してください' }, 400);
+    const existing = await getClient(env.DIAGNOSES, client.domain);
+    const saved = existing
+      ? { ...existing, url: client.url, name: client.name || existing.name, plan: client.plan || existing.plan }
+      : client;
+    await saveClient(env.DIAGNOSES, saved);
+    return jsonResponse({ client: saved }, existing ? 200 : 201);
+  } catch (err) {
+    console.error('handleAddClient error:', err);
+    return jsonResponse({ error: '顧問先の登録に失敗しました' }, 500);
+  }
 }
 
-async function callGeminiRaw(apiKey, model, userPrompt, timeoutMs, useGoogleSearch) {
-  const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+// DELETE ?domain=example.com (history and alerts are kept)
+async function handleDeleteClient(url, env) {
+  try {
+    const domain = historyDomain(url.searchParams.get('domain'));
+    if (!domain || !(await getClient(env.DIAGNOSES, domain))) return jsonResponse({ error: '顧問先が見つかりません' }, 404);
+    await deleteClient(env.DIAGNOSES, domain);
+    return jsonResponse({ success: true });
+  } catch (err) {
+    console.error('handleDeleteClient error:', err);
+    return jsonResponse({ error: '顧問先の削除に失敗しました' }, 500);
+  }
+}
 
+async function handleListAlerts(env) {
   try {
-    const body = {
-      contents: [{ parts: [{ text: userPrompt }] }],
-      generationConfig: { maxOutputTokens: 1024 }
-    };
-    if (useGoogleSearch) {
-      body.tools = [{ google_search: {} }];
-    }
+    return jsonResponse({ alerts: await listAlerts(env.DIAGNOSES) });
+  } catch (err) {
+    console.error('handleListAlerts error:', err);
+    return jsonResponse({ error: 'アラートの取得に失敗しました' }, 500);
+  }
+}
 
-    const response = await fetch(
-      `${GEMINI_API_URL}${model}:generateContent?key=${apiKey}`,
-      {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(body),
-        signal: controller.signal
-      }
-    );
-    clearTimeout(timeout);
+// PATCH { acknowledged: true | false }
+async function handleUpdateAlert(request, env, id) {
+  try {
+    const body = await request.json();
+    const alert = await getAlert(env.DIAGNOSES, id);
+    if (!alert) return jsonResponse({ error: 'アラートが見つかりません' }, 404);
+    if (typeof body.acknowledged === 'boolean') alert.acknowledged = body.acknowledged;
+    await saveAlert(env.DIAGNOSES, alert);
+    return jsonResponse({ alert });
+  } catch (err) {
+    console.error('handleUpdateAlert error:', err);
+    return jsonResponse({ error: '更新に失敗しました' }, 500);
+  }
+}
 
-    if (!response.ok) {
-      const errorBody = await response.text();
-      console.error(`Gemini API error: status=${response.status}, body=${errorBody}`);
-      return { success: false, error: `Google AI APIエラー（${response.status}）: ${errorBody.substring(0, 200)}` };
-    }
+// ========== Report Page ==========
 
-    const data = await response.json();
-    // Extract text from Gemini response
-    let text = '';
-    if (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts) {
-      text = data.candidates[0].content.parts
-        .filter(p => p.text)
-        .map(p => p.text)
-        .join('');
+async function handleReportPage(env, id, url) {
+  try {
+    const raw = await env.DIAGNOSES.get(`diag:${id}`);
+    if (!raw) {
+      return new Response(generateNotFoundHTML(), { status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
     }
+    const diagnosis = JSON.parse(raw);
+    const shareMeta = reportShareMeta(diagnosis, url.origin);
+    let html;
+    if (diagnosis.type === 'site-compare') html = generateSiteCompareReportHTML(diagnosis, shareMeta);
+    else if (diagnosis.type === 'site-check') html = generateSiteCheckReportHTML(diagnosis, await loadReportTrend(env, diagnosis), shareMeta);
+    else if (diagnosis.type === 'web-check') html = generateWebCheckReportHTML(diagnosis, shareMeta);
+    else html = generateAiCheckReportHTML(diagnosis, shareMeta);
+    return new Response(html, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  } catch (err) {
+    console.error('handleReportPage error:', err);
+    return new Response(generateErrorHTML(), { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+  }
+}
 
-    if (!text) {
-      return { success: false, error: 'Google AIから空のレスポンスが返されました。' };
+// A4 PDF of the report, generated in the worker (see report-pdf.js)
+async function handleReportPdf(env, id) {
+  try {
+    const raw = await env.DIAGNOSES.get(`diag:${id}`);
+    if (!raw) {
+      return new Response(generateNotFoundHTML(), { status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
     }
-
-    // Extract grounding sources if available
-    let sources = [];
-    if (data.candidates && data.candidates[0] && data.candidates[0].groundingMetadata) {
-      const gm = data.candidates[0].groundingMetadata;
-      if (gm.groundingChunks) {
-        sources = gm.groundingChunks
-          .filter(c => c.web)
-          .map(c => ({ title: c.web.title || '', uri: c.web.uri || '' }));
+    const diagnosis = JSON.parse(raw);
+    const pdf = await renderReportPdf(diagnosis);
+    const date = jstDate(diagnosis.createdAt).replace(/-/g, '');
+    return new Response(pdf, {
+      headers: {
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="ciras-report-${date}.pdf"`,
+        'X-Robots-Tag': 'noindex, nofollow'
       }
-    }
-
-    return { success: true, text, sources, searchGrounded: useGoogleSearch };
+    });
   } catch (err) {
-    clearTimeout(timeout);
-    if (err.name === 'AbortError') {
-      return { success: false, error: 'Google AI検索に時間がかかりすぎました。' };
-    }
-    throw err;
+    console.error('handleReportPdf error:', err);
+    return new Response(generateErrorHTML(), { status: 500, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
   }
 }
 
-// ========== Claude API ==========
+const OG_IMAGE_TTL_SEC = 30 * 86400;
 
-async function callClaudeAPI(apiKey, systemPrompt, userPrompt, maxTokens = 2048, timeoutMs = 55000) {
+// Share card PNG for og:image (see og-image.js). Diagnoses never change, so the image is kept in KV;
+// when it cannot be drawn (e.g. the font asset is missing) the site-wide OGP image is served instead.
+async function handleReportOgImage(env, id, url) {
   try {
-    console.log('Calling Claude API with model:', CLAUDE_MODEL, 'timeout:', timeoutMs);
-    const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), timeoutMs);
-    const response = await fetch(CLAUDE_API_URL, {
-      method: 'POST',
-      headers: {
-        'x-api-key': apiKey, 'anthropic-version': '2023-06-01', 'content-type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: CLAUDE_MODEL, max_tokens: maxTokens,
-        system: systemPrompt, messages: [{ role: 'user', content: userPrompt }]
-      }),
-      signal: controller.signal
-    });
-    clearTimeout(timeout);
-
-    if (!response.ok) {
-      const errorBody = await response.text();
-      console.error(`Claude API error: status=${response.status}, body=${errorBody}`);
-      if (response.status === 401) {
-        return { success: false, error: 'APIキーが無効です。管理者にお問い合わせください。' };
-      }
-      if (response.status === 429) {
-        return { success: false, error: 'ただいまアクセスが集中しています。1分ほど待ってから再度お試しください。' };
-      }
-      if (response.status === 529 || response.status === 503) {
-        return { success: false, error: 'AIサービスが一時的に混み合っています。しばらくしてからお試しください。' };
-      }
-      return { success: false, error: `診断処理中にエラーが発生しました（${response.status}）。しばらくしてからお試しください。` };
+    const raw = await env.DIAGNOSES.get(`diag:${id}`);
+    if (!raw) {
+      return new Response(generateNotFoundHTML(), { status: 404, headers: { 'Content-Type': 'text/html; charset=utf-8' } });
     }
-
-    const data = await response.json();
-    const text = data.content[0].text;
-    const jsonMatch = text.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      // Return raw text if no JSON found (used for AI recognition test)
-      return { success: true, data: null, rawText: text };
+    let png = await env.DIAGNOSES.get(`ogimage:${id}`, 'arrayBuffer');
+    if (!png) {
+      png = await renderOgImage(JSON.parse(raw), () => loadCardFont(env.ASSETS, url));
+      await env.DIAGNOSES.put(`ogimage:${id}`, png, { expirationTtl: OG_IMAGE_TTL_SEC });
     }
+    return new Response(png, {
+      headers: { 'Content-Type': 'image/png', 'Cache-Control': 'public, max-age=86400', 'X-Robots-Tag': 'noindex, nofollow' }
+    });
+  } catch (err) {
+    console.error('handleReportOgImage error:', err);
+    return Response.redirect(new URL('/images/ogp.png', url).toString(), 302);
+  }
+}
 
-    return { success: true, data: JSON.parse(jsonMatch[0]), rawText: text };
+// Score history of the diagnosed domain up to this report, and the change since the previous run.
+// Cached copies share the history entry of the diagnosis they were copied from.
+async function loadReportTrend(env, diagnosis) {
+  const domain = historyDomain(diagnosis.crawlData ? diagnosis.crawlData.url : diagnosis.answers.url);
+  if (!domain) return null;
+  try {
+    const entryId = diagnosis.cachedFrom || diagnosis.id;
+    const history = await loadHistory(env.DIAGNOSES, domain);
+    const index = history.findIndex(e => e.id === entryId);
+    if (index < 0) return null;
+    return { history: history.slice(0, index + 1), change: compareWithPrevious(history, entryId) };
   } catch (err) {
-    console.error('Claude API call failed:', err);
-    if (err.name === 'AbortError') {
-      return { success: false, error: 'AI分析に時間がかかりすぎました。しばらくしてから再度お試しください。' };
-    }
-    return { success: false, error: '診断処理中にエラーが発生しました。しばらくしてからお試しください。' };
+    console.error('loadReportTrend error:', err);
+    return null;
   }
 }
 
 // ========== AI Check Prompts ==========
 
-function buildAiCheckSystemPrompt() {
-  return `あなたはCiras株式会社のAIコンサルタントです。中小企業の経営者や担当者に対して、AI活用の具体的な提案を行います。
-
-提案のルールを必ず守ってください：
-1. 回答者の「立場」「業種」「従業員数」に合わせた、その人だけに刺さる提案にすること。ありきたりな一般論は禁止。
-2. 専門用語・専門ツール名は絶対に使わないこと（例：「RPA」→「パソコン作業の自動化」、「ChatGPT」→「AIチャット」、「CRM」→「お客様管理」）。
-3. 「before」は回答者が実際に経験していそうな具体的な場面を書くこと（共感ではなく、本人の日常を描写する）。
-4. 「after」はAIを使った後の変化を、数字や時間で具体的に書くこと（例：「2時間→15分」「月末3日→半日」）。
-5. 「point」はこの提案の一番のメリットを1行で書くこと。
-6. できないことを「できる」と言わないこと。AIの限界も正直に伝えること。
-7. 回答は必ず以下のJSON形式のみで出力すること。JSON以外のテキストは含めないこと。
-
-出力形式：
-{
-  "solutions": [
-    {
-      "title": "提案タイトル（1行、その人の業務に直結する具体的な内容）",
-      "point": "この提案の一番のメリット（1行、数字を含めて）",
-      "before": "今の状態（1〜2行。回答者が「まさにそれ！」と思う日常の場面を描写）",
-      "after": "AIを使った後（1〜2行。具体的な数字・時間の変化を含めて）"
-    }
-  ]
-}`;
-}
-
 function buildAiCheckPrompt(answers) {
   const positionContext = {
     '経営者・役員': '経営判断・ROI・戦略的視点から提案してください。投資対効果や競争優位性を重視してください。',
@@ -1411,60 +1978,6 @@ function buildAiCheckPrompt(answers) {
 
 // ========== Web Check Prompts ==========
 
-function buildWebCheckSystemPrompt(hasScores) {
-  if (hasScores) {
-    return `あなたはCiras株式会社のWeb・AI検索コンサルタントです。クライアントのWebサイト診断結果に基づいて、改善提案を行います。
-
-提案のルールを必ず守ってください：
-1. 回答者の「期待すること」「問い合わせ状況」「気になること」に合わせた、その人だけに刺さる提案にすること。ありきたりな一般論は禁止。
-2. 専門用語は絶対に使わないこと（例：「構造化データ」→「AIが読み取りやすい情報の整理」、「SEO」→「検索での見つかりやすさ」、「JSON-LD」→「会社情報の整理タグ」）。
-3. 「before」は回答者のサイトで実際に起きていそうな具体的な問題を書くこと（診断スコアの低い項目を根拠に）。
-4. 「after」はWebサイトを改善した後の変化を、具体的に書くこと（例：「お客様が検索したとき、御社の正しい情報が表示される」）。
-5. 「point」はこの改善の一番のメリットを1行で書くこと。
-6. できないことを「できる」と言わないこと。
-7. 回答は必ず以下のJSON形式のみで出力すること。JSON以外のテキストは含めないこと。
-
-出力形式：
-{
-  "solutions": [
-    {
-      "title": "改善ポイントのタイトル（1行、サイトの課題に直結する具体的な内容）",
-      "point": "この改善の一番のメリット（1行）",
-      "before": "今の状態（1〜2行。診断スコアの低い項目を根拠に、具体的な問題を描写）",
-      "after": "改善した後（1〜2行。具体的な変化を含めて）"
-    }
-  ]
-}
-
-重要度の高い順に3つの改善ポイントを出力してください。`;
-  }
-
-  return `あなたはCiras株式会社のWeb・AI検索コンサルタントです。Webサイトを持っていない、または放置しているクライアントに対して、Webサイトの必要性と最適な形を提案します。
-
-提案のルールを必ず守ってください：
-1. 回答者の「期待すること」「問い合わせ状況」に合わせた、その人だけに刺さる提案にすること。ありきたりな一般論は禁止。
-2. 専門用語は絶対に使わないこと。
-3. 「before」はWebサイトがない・放置している今の状態で起きている具体的な問題を書くこと。
-4. 「after」はWebサイトを作った・改善した後の具体的な変化を書くこと。
-5. 「point」はこの提案の一番のメリットを1行で書くこと。
-6. 押し売りにならない、事実に基づいた提案にすること。
-7. 回答は必ず以下のJSON形式のみで出力すること。JSON以外のテキストは含めないこと。
-
-出力形式：
-{
-  "solutions": [
-    {
-      "title": "提案タイトル（1行、相手の状況に直結する具体的な内容）",
-      "point": "この提案の一番のメリット（1行）",
-      "before": "今の状態（1〜2行。Webサイトがないことで起きている具体的な問題を描写）",
-      "after": "Webサイトを作ると（1〜2行。具体的な変化を含めて）"
-    }
-  ]
-}
-
-3つの提案を出力してください。`;
-}
-
 function buildWebCheckPrompt(answers, scores, crawlData) {
   let prompt = `以下のアンケート回答に基づいて、この方に合った具体的なWebサイト改善（または新規制作）の提案をしてください。
 
@@ -1525,119 +2038,6 @@ function buildWebCheckPrompt(answers, scores, crawlData) {
 
 // ========== Site Check V2 Prompts (5-category symbol rating) ==========
 
-function buildSiteCheckSystemPromptV2() {
-  return `あなたはCiras株式会社のAI検索コンサルタントです。
-以下のWebサイトのテキストと構造データを分析し、AI検索（ChatGPT、Gemini、Perplexity等）で引用されやすい状態かを診断してください。
-
-診断カテゴリは以下の5つです。重要度順（priority）に並べてください。
-
-1. AIが会社を認識できるか（エンティティ明確性）
-   - 社名の表記揺れがないか
-   - 代表者名の記載があるか
-   - 事業内容が具体的に書かれているか（抽象的な挨拶文ではないか）
-   - 「誰が・どこで・何を・どれくらい」が明確か
-
-2. AIが読み取るための機械向け情報があるか（構造化データ）
-   - JSON-LD（application/ld+json）の有無
-   - LocalBusiness、Service、FAQPage、BreadcrumbList等のスキーマ
-   - OGPタグはSNS用でありAI検索には寄与しない点を指摘すること
-
-3. AIが引用しやすい文章構造か
-   - FAQ形式（Q&A）のコンテンツがあるか
-   - 料金・費用・期間など具体的な数字があるか
-   - 実績の説明に情報量があるか（写真だけでなくテキスト説明）
-   - 抽象的な表現（「お客様に寄り添う」等）が多くないか
-
-4. 地域×専門性が伝わるか
-   - 地域名がトップページ本文中に自然に出現するか（フッターの住所だけでは不十分）
-   - 地域名×業種の組み合わせがあるか
-   - 施工対応エリア・サービスエリアの明示があるか
-
-5. 技術的にAIがページを読めるか
-   - SSR/静的HTMLか（JavaScript依存でないか）
-   - robots.txtでブロックされていないか
-   - ページタイトルがページごとに固有か
-   - meta descriptionが設定されているか
-
-各カテゴリの評価基準（100点満点のスコアで評価すること）：
-- 80〜100点: 対策がしっかりされている。このカテゴリは十分。
-- 50〜79点: 基本はできているが改善の余地あり。改善を推奨。
-- 20〜49点: 一部はあるが不十分。改善が必要。
-- 0〜19点: ほぼできていない、または未対応。早急な対策が必要。
-
-overall_scoreは5カテゴリのスコアの加重平均とする。重みは priority 1のカテゴリを最も重くする。
-
-出力は必ず以下のJSON形式のみで出力すること。JSON以外のテキストは含めないこと。
-
-{
-  "overall_score": 45,
-  "categories": [
-    {
-      "id": "entity",
-      "score": 40,
-      "priority": 1,
-      "findings": ["具体的な検出事実1", "具体的な検出事実2"],
-      "business_impact": "経営への影響を平易な言葉で"
-    },
-    {
-      "id": "structured_data",
-      "score": 30,
-      "priority": 2,
-      "findings": ["具体的な検出事実1", "具体的な検出事実2"],
-      "business_impact": "経営への影響を平易な言葉で"
-    },
-    {
-      "id": "content_structure",
-      "score": 50,
-      "priority": 3,
-      "findings": ["具体的な検出事実1", "具体的な検出事実2"],
-      "business_impact": "経営への影響を平易な言葉で"
-    },
-    {
-      "id": "local_signal",
-      "score": 60,
-      "priority": 4,
-      "findings": ["具体的な検出事実1", "具体的な検出事実2"],
-      "business_impact": "経営への影響を平易な言葉で"
-    },
-    {
-      "id": "technical",
-      "score": 70,
-      "priority": 5,
-      "findings": ["具体的な検出事実1", "具体的な検出事実2"],
-      "business_impact": "経営への影響を平易な言葉で"
-    }
-  ],
-  "summary_actions": ["最も優先度の高い改善項目を1行で", "次の改善項目を1行で", "次の改善項目を1行で"],
-  "priority_actions": [
-    { "title": "改善タイトル（15文字以内）", "description": "具体的な改善内容（50文字以内）" },
-    { "title": "改善タイトル（15文字以内）", "description": "具体的な改善内容（50文字以内）" },
-    { "title": "改善タイトル（15文字以内）", "description": "具体的な改善内容（50文字以内）" }
-  ],
-  "ai_test_judgment": "accurate|partial|unknown"
-}
-
-findings（検出した根拠）は必ず「御社のサイトで実際に確認した具体的事実」を記載すること。
-推測ではなく、提供されたテキストから読み取れる事実のみを書くこと。
-「〜の可能性があります」「〜と思われます」ではなく、「〜が確認されました」「〜の記載がありません」のように断定すること。
-
-business_impactは、50歳以上の経営者が読んで理解できる平易な言葉で書くこと。
-専門用語を使う場合は必ず直後に括弧で説明を入れること。
-比喩を使って説明すること（例：「名刺に仕事内容が書いていない状態」）。
-
-overall_scoreは5カテゴリのスコアの加重平均として算出すること（priority 1=30%, priority 2=25%, priority 3=20%, priority 4=15%, priority 5=10%）。
-
-summary_actionsは、79点以下だったカテゴリのbusiness_impactから要約して、優先度順に最大4つ生成すること。すべて80点以上なら空配列にすること。
-
-priority_actionsは、スコアへの影響が大きい順に最大3つ生成すること。titleは15文字以内の端的なラベル、descriptionは50文字以内の具体的な行動指針とすること。79点以下のカテゴリがない場合は空配列にすること。
-
-ai_test_judgmentは、下記に提供される「Google AI検索の結果」を読んで判定すること。Google AIの回答が、サイトに書かれている会社情報と合致しているかで判断する。
-- "accurate" = Google AIの回答が会社の事業内容や所在地を正しく説明できている
-- "partial" = Google AIの回答に一部正しい情報があるが、不正確な部分もある
-- "unknown" = Google AIが会社について正しく回答できなかった、または結果が取得できなかった
-重要：Google AIが会社名を地名や一般的な単語として解釈して回答した場合は、必ず"unknown"と判定すること。`;
-}
-
 function buildSiteCheckPromptV2(crawlData, companyName, aiTestResponse) {
   let prompt = `以下のWebサイト全体を分析し、AI検索で引用されやすい状態かを診断してください。
 
@@ -1670,19 +2070,12 @@ Google AIの回答: ${aiTestResponse || '（取得できませんでした）'}
   }
 
   // Extract JSON-LD content for structured data analysis
-  if (crawlData.html) {
-    const jsonLdBlocks = [];
-    const ldRegex = /<script[^>]*type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi;
-    let ldMatch;
-    while ((ldMatch = ldRegex.exec(crawlData.html)) !== null) {
-      jsonLdBlocks.push(ldMatch[1].trim());
-    }
-    if (jsonLdBlocks.length > 0) {
-      prompt += `\n\n【構造化データ（JSON-LD）】`;
-      jsonLdBlocks.forEach(block => {
-        prompt += `\n${block}`;
-      });
-    }
+  const jsonLdBlocks = crawlData.pageModel ? crawlData.pageModel.jsonLd.map(block => block.raw) : [];
+  if (jsonLdBlocks.length > 0) {
+    prompt += `\n\n【構造化データ（JSON-LD）】`;
+    jsonLdBlocks.forEach(block => {
+      prompt += `\n${block}`;
+    });
   }
 
   prompt += `\n\n【各ページのテキスト内容（抜粋）】`;
@@ -1709,6 +2102,21 @@ Google AIの回答: ${aiTestResponse || '（取得できませんでした）'}
   prompt += `\n- 電話番号: ${sp.hasPhone ? 'あり' : 'なし'}`;
   prompt += `\n- 料金情報: ${sp.hasPricing ? 'あり' : 'なし'}`;
 
+  // Mechanical check over the full text of every page, so the model need not infer it from excerpts
+  const consistency = crawlData.entityConsistency;
+  if (consistency) {
+    prompt += `\n\n【会社情報の表記チェック（全ページ・JSON-LDを機械的に照合）】`;
+    for (const field of consistency.fields) {
+      if (field.status === 'missing') prompt += `\n- ${field.label}: 記載を検出できませんでした`;
+      else if (field.status === 'consistent') prompt += `\n- ${field.label}: 「${field.values[0].value}」で統一されています（${field.values[0].pageCount}ページ）`;
+    }
+    for (const issue of consistency.issues) {
+      prompt += `\n- ${issue.message}`;
+      issue.values.forEach(v => { prompt += `\n  「${v.value}」: ${v.urls.join(', ')}`; });
+    }
+    prompt += `\n※ 社名・所在地の表記揺れは上記の照合結果を根拠に判定してください。`;
+  }
+
   prompt += `\n\n【重要な注意】`;
   prompt += `\n- サイト全体のテキストと構成を実際に読んで診断すること`;
   prompt += `\n- findingsは推測ではなく、提供されたテキストから読み取れる事実のみを書くこと`;
@@ -1719,173 +2127,6 @@ Google AIの回答: ${aiTestResponse || '（取得できませんでした）'}
   return prompt;
 }
 
-// ========== Site Check Prompts (URL-only, legacy) ==========
-
-function buildSiteCheckSystemPrompt() {
-  return `あなたはCiras株式会社のAI・Webコンサルタントです。クライアントのWebサイト全体（複数ページ）を詳しく読み取り、その会社の特徴を理解した上で、的確な診断と改善提案を行います。
-
-あなたの役割：
-- サイト全体の構成（会社概要・サービス・実績・FAQ等のページの有無）を評価する
-- URLから会社の事業内容・エリア・特徴をしっかり読み取る
-- 同業種・同エリアの競合を踏まえて、この会社がどういう立ち位置なのかを分析する
-- AI検索（ChatGPT・Perplexity等）でこの会社が検索されたとき、どう表示されるかを具体的に示す
-- 良い点はしっかり褒め、改善すべき点は「なぜ問題なのか」「どうすればいいのか」をわかりやすく伝える
-- プロとして第三者的な立場で、厳しくも公正な評価をすること
-- 高い評価は本当に優れたサイトにだけ与えること
-
-絶対ルール：
-1. 専門用語・ツール名は絶対に使わないこと（例：「SEO」→「検索での見つかりやすさ」、「構造化データ」→「AIが読める形での情報整理」、「JSON-LD」→「検索エンジン向けの会社情報タグ」、「viewport」→「スマホ画面に合わせた表示設定」、「canonical」→「正式なページURL設定」、「meta description」→「検索結果に表示される紹介文」、「alt text」→「画像の説明文」）。
-2. どこの会社にも当てはまるような一般論は禁止。このサイトの内容を実際に読んだ上での具体的なコメントをすること。
-3. 回答は必ず以下のJSON形式のみで出力すること。JSON以外のテキストは含めないこと。
-
-出力形式：
-{
-  "companyProfile": {
-    "name": "サイトから読み取った会社名・屋号",
-    "area": "所在地・対応エリア（わかる範囲で）",
-    "business": "事業内容の要約（2〜3行）",
-    "positioning": "同業種・同エリアでの立ち位置の分析（2〜3行。「○○エリアで△△を提供する会社として」のように具体的に）"
-  },
-  "aiSearchPreview": "AI検索（ChatGPTやPerplexityなど）でこの会社について聞かれたとき、現在のサイト情報だけで生成される回答を100〜150文字で書いてください。情報が不足している部分は「情報が見つかりませんでした」と正直に書いてください。",
-  "checkpoints": [
-    {
-      "item": "チェック項目名（専門用語なし）",
-      "rating": "◎ or ○ or △ or ×",
-      "comment": "このサイト固有の具体的なコメント（1〜2行）"
-    }
-  ],
-  "goodPoints": [
-    "このサイトの良い点（具体的に）"
-  ],
-  "solutions": [
-    {
-      "title": "改善提案のタイトル（このサイト固有の内容）",
-      "point": "この改善で得られるメリット（1行）",
-      "before": "今のサイトで実際に起きている問題（1〜2行。サイトの内容を根拠に具体的に）",
-      "after": "改善した後の具体的な変化（1〜2行）"
-    }
-  ],
-  "cirasRecommendation": null
-}
-
-checkpointsは以下の10項目を必ず評価してください：
-1. 「会社の基本情報」- 会社名・住所・電話番号・代表者名などが揃っているか
-2. 「サービス内容の伝わりやすさ」- 何をしている会社か、初めての人にもすぐわかるか
-3. 「お客様の声・実績」- 信頼できる根拠（お客様の声、実績、事例など）があるか
-4. 「料金・費用のわかりやすさ」- 料金や費用感が明記されているか
-5. 「よくある質問（Q&A）」- お客様の不安を解消するQ&Aがあるか
-6. 「スマートフォンでの見やすさ」- スマホで見たときにちゃんと読めるか
-7. 「安全な接続」- 通信が暗号化されているか（https）
-8. 「AI検索への情報提供」- AIが会社情報を正しく読み取れる形になっているか
-9. 「ページの見出し構成」- 情報が整理されていて、読みやすい構成になっているか
-10. 「情報の新しさ」- 最近更新された形跡があるか、古いまま放置されていないか
-
-rating基準（厳格に評価すること）：
-- ◎：業界水準を大きく上回っている（滅多に付けないこと）
-- ○：基本はできているが、改善の余地あり
-- △：不十分。改善すると効果が大きい
-- ×：対応できていない。早めの対応を推奨
-
-goodPointsは2〜3個。solutionsは3〜5個。
-
-【重要：スコアが59点以下（レベル3以下）の場合】
-cirasRecommendationに以下の形式で、Ciras株式会社でのWebサイト制作を根拠込みでおすすめしてください：
-{
-  "title": "プロによるWebサイトリニューアルのご提案",
-  "reason": "診断結果から見えた具体的な課題を2〜3個挙げ、なぜプロに依頼すべきかを説明（3〜4行）",
-  "benefits": ["Ciras株式会社に依頼するメリットを3つ"],
-  "cta": "まずは無料相談で、御社の課題をお聞かせください。"
-}
-スコアが60点以上の場合はcirasRecommendationはnullにしてください。`;
-}
-
-function buildSiteCheckPrompt(scores, crawlData) {
-  let prompt = `以下のWebサイト全体を分析し、診断結果を出力してください。
-
-【分析対象サイト】
-- URL: ${crawlData.finalUrl}
-- ページタイトル: ${crawlData.title || '（タイトルなし）'}
-- 紹介文: ${crawlData.metaDescription || '（紹介文なし）'}
-- 巡回ページ数: ${crawlData.totalPages || 1}ページ`;
-
-  if (crawlData.pages && crawlData.pages.length > 0) {
-    prompt += `\n\n【巡回したページ一覧】`;
-    crawlData.pages.forEach((p, i) => {
-      prompt += `\n${i + 1}. [${p.type}] ${p.title || '（タイトルなし）'} - ${p.url}`;
-    });
-  }
-
-  prompt += `\n\n【トップページの見出し構成】`;
-  if (crawlData.headingsText && crawlData.headingsText.length > 0) {
-    crawlData.headingsText.forEach(h => {
-      prompt += `\n  ${h.level.toUpperCase()}: ${h.text}`;
-    });
-  } else {
-    prompt += '\n  （見出しが見つかりませんでした）';
-  }
-
-  prompt += `\n\n【各ページのテキスト内容（抜粋）】`;
-  if (crawlData.pages && crawlData.pages.length > 0) {
-    crawlData.pages.forEach(p => {
-      prompt += `\n\n--- ${p.type}: ${p.title || p.url} ---`;
-      prompt += `\n${p.textContent || '（テキストなし）'}`;
-    });
-  } else {
-    prompt += `\n${crawlData.textContent || '（テキストを取得できませんでした）'}`;
-  }
-
-  const sp = crawlData.siteProfile || {};
-  prompt += `\n\n【サイト構成の自動判定結果】`;
-  prompt += `\n- お客様の声・実績ページ: ${sp.hasTestimonials ? 'あり' : 'なし'}`;
-  prompt += `\n- FAQ・よくある質問ページ: ${sp.hasFaq ? 'あり' : 'なし'}`;
-  prompt += `\n- 会社概要ページ: ${sp.hasCompanyInfo ? 'あり' : 'なし'}`;
-  prompt += `\n- プライバシーポリシー: ${sp.hasPrivacyPolicy ? 'あり' : 'なし'}`;
-  prompt += `\n- 料金ページ: ${sp.hasPricing ? 'あり' : 'なし'}`;
-  prompt += `\n- 問い合わせページ: ${sp.hasContact ? 'あり' : 'なし'}`;
-  prompt += `\n- ブログ・コラム: ${sp.hasBlog ? 'あり（' + (sp.blogPostCount || 0) + '記事）' : 'なし'}`;
-  prompt += `\n- サービス紹介ページ: ${sp.hasService ? 'あり' : 'なし'}`;
-  prompt += `\n- 住所・所在地: ${sp.hasAddress ? 'あり' : 'なし'}`;
-  prompt += `\n- 電話番号: ${sp.hasPhone ? 'あり' : 'なし'}`;
-
-  prompt += `\n\n【技術情報】`;
-  prompt += `\n- HTTPS: ${crawlData.isHttps ? 'あり' : 'なし'}`;
-  prompt += `\n- スマホ対応: ${crawlData.hasViewport ? 'あり' : 'なし'}`;
-  prompt += `\n- AI向け情報整理タグ: ${crawlData.hasJsonLd ? 'あり（' + crawlData.jsonLdTypes.join(', ') + '）' : 'なし'}`;
-  prompt += `\n- 見出し数: H1=${crawlData.headingStructure.h1}, H2=${crawlData.headingStructure.h2}, H3=${crawlData.headingStructure.h3}`;
-  prompt += `\n- 画像数: ${crawlData.imageCount}（画像説明文の充実度: ${typeof crawlData.hasAltText === 'number' ? Math.round(crawlData.hasAltText * 100) + '%' : '不明'}）`;
-  prompt += `\n- 内部リンク数: ${crawlData.internalLinks}`;
-  prompt += `\n- 総テキスト量: 約${sp.totalContentLength || crawlData.contentLength}文字`;
-  prompt += `\n- トップページサイズ: 約${Math.round(crawlData.pageSize / 1024)}KB`;
-  prompt += `\n- 著作権年: ${crawlData.copyrightYear || '不明'}`;
-
-  prompt += `\n\n【スコア詳細】（100点満点中 ${scores.totalScore}点）`;
-  const catLetters = ['A', 'B', 'C', 'D'];
-  Object.keys(scores.categories).forEach((key, i) => {
-    const cat = scores.categories[key];
-    prompt += `\n${catLetters[i]}. ${cat.label}: ${cat.total}/${cat.maxScore}`;
-    for (const [, d] of Object.entries(cat.details)) {
-      prompt += `\n  - ${d.label}: ${d.score}/${d.max}`;
-    }
-  });
-
-  const level = scores.totalScore >= 80 ? 5 : scores.totalScore >= 60 ? 4 : scores.totalScore >= 40 ? 3 : scores.totalScore >= 20 ? 2 : 1;
-  prompt += `\n\nレベル判定: ${level}（${scores.totalScore}点）`;
-  if (level <= 3) {
-    prompt += `\n※ レベル3以下のため、cirasRecommendationを必ず出力してください。`;
-  }
-
-  prompt += `\n\n【重要な注意】`;
-  prompt += `\n- サイト全体（複数ページ）のテキストと構成を実際に読んで、会社の事業内容・特徴を正確に把握すること`;
-  prompt += `\n- checkpointsのコメントは「このサイトの○○について」のように、具体的なサイト内容を引用すること`;
-  prompt += `\n- aiSearchPreviewは、実際にこのサイト情報だけから生成できる内容にすること。推測で補完しないこと`;
-  prompt += `\n- positioningは「○○エリアの△△業界で」のように、エリア・業種を特定した上で分析すること`;
-  prompt += `\n- solutionsのbeforeは、必ずこのサイトの実際の内容を根拠にすること（「一般的に〜」は禁止）`;
-  prompt += `\n- 専門用語は絶対に使わないこと`;
-  prompt += `\n- 評価は厳格に。◎は本当に優れている場合のみ付けること`;
-
-  return prompt;
-}
-
 // ========== Report HTML Generators ==========
 
 const REPORT_HEAD = `<meta charset="UTF-8">
@@ -1945,15 +2186,51 @@ const REPORT_STYLES = `<style>
     .btn-secondary{background:var(--white);color:var(--green);border:1px solid var(--green);margin-left:.5rem}
     .btn-secondary:hover{background:var(--green-light)}
     .report-footer{background:var(--black);color:var(--white);padding:2rem;text-align:center;font-size:.8rem;opacity:.7}
+    .report-pdf-link{display:inline-block;margin-top:1rem;font-size:.8rem;padding:.4rem 1rem;border:1px solid rgba(255,255,255,.5);border-radius:2px}
+    .report-pdf-link:hover{background:rgba(255,255,255,.1)}
     @media(max-width:600px){.answer-grid{grid-template-columns:1fr}.btn{display:block;margin-bottom:.5rem}.btn-secondary{margin-left:0}}
+    @page{size:A4;margin:15mm}
+    @media print{
+      body{background:#FFF;font-size:11pt;line-height:1.7}
+      .report-header{padding:1.5rem 0;-webkit-print-color-adjust:exact;print-color-adjust:exact}
+      .report-body{max-width:none;padding:1.5rem 0}
+      .report-section{margin-bottom:1.5rem}
+      .report-section-title{break-after:avoid}
+      .solution-card,.improvement-card,.score-hero,.score-bar-wrap,.answer-item,.compare-gap,tr{break-inside:avoid}
+      .score-bar-fill,.solution-card>div{-webkit-print-color-adjust:exact;print-color-adjust:exact}
+      .report-cta,.report-pdf-link,.btn{display:none}
+      .report-footer{background:none;color:var(--gray);opacity:1;padding:1rem 0}
+      .compare-table-wrap{overflow:visible}
+    }
   </style>`;
 
-function generateAiCheckReportHTML(diagnosis) {
+// og:/twitter: tags pointing at the report's share card
+function reportShareMeta(diagnosis, origin) {
+  const card = ogCard(diagnosis);
+  const pageUrl = `${origin}/report/${encodeURIComponent(diagnosis.id)}`;
+  const description = [
+    card.subject,
+    typeof card.score === 'number' ? `${card.scoreLabel}：${card.score}点` : null,
+    card.issue ? `${card.issueLabel}：${card.issue}` : null
+  ].filter(Boolean).join('｜');
+  return `
+  <meta property="og:type" content="article">
+  <meta property="og:site_name" content="Ciras株式会社">
+  <meta property="og:title" content="${escapeHTML(card.title)}｜Ciras株式会社">
+  <meta property="og:description" content="${escapeHTML(description)}">
+  <meta property="og:url" content="${escapeHTML(pageUrl)}">
+  <meta property="og:image" content="${escapeHTML(pageUrl)}/og.png">
+  <meta property="og:image:width" content="${OG_IMAGE_SIZE.width}">
+  <meta property="og:image:height" content="${OG_IMAGE_SIZE.height}">
+  <meta name="twitter:card" content="summary_large_image">`;
+}
+
+function generateAiCheckReportHTML(diagnosis, shareMeta = '') {
   const a = diagnosis.answers;
   const r = diagnosis.result;
   const date = new Date(diagnosis.createdAt).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric' });
 
-  const solutionsHTML = r.solutions.map((s, i) => `
+  const solutionsHTML = (r.solutions || []).map((s, i) => `
         <div class="solution-card">
           <div class="solution-num">${String(i + 1).padStart(2, '0')}</div>
           <h3 class="solution-title">${escapeHTML(s.title)}</h3>
@@ -1972,13 +2249,14 @@ function generateAiCheckReportHTML(diagnosis) {
 
   return `<!DOCTYPE html><html lang="ja"><head>
   <title>AI活用レベルチェック 診断レポート｜Ciras株式会社</title>
-  ${REPORT_HEAD}${REPORT_STYLES}
+  ${REPORT_HEAD}${shareMeta}${REPORT_STYLES}
 </head><body>
   <header class="report-header"><div class="report-header-inner">
     <img src="/images/logo-white.png" alt="Ciras株式会社" class="report-logo">
     <p class="report-label">DIAGNOSTIC REPORT</p>
     <h1 class="report-title">AI活用レベルチェック 診断レポート</h1>
     <p class="report-date">${escapeHTML(date)}</p>
+    <a href="/report/${encodeURIComponent(diagnosis.id)}.pdf" class="report-pdf-link">PDFでダウンロード</a>
   </div></header>
   <main class="report-body">
     <section class="report-section">
@@ -2007,7 +2285,7 @@ function generateAiCheckReportHTML(diagnosis) {
 </body></html>`;
 }
 
-function generateWebCheckReportHTML(diagnosis) {
+function generateWebCheckReportHTML(diagnosis, shareMeta = '') {
   const a = diagnosis.answers;
   const r = diagnosis.result;
   const s = diagnosis.scores;
@@ -2052,13 +2330,14 @@ function generateWebCheckReportHTML(diagnosis) {
 
   return `<!DOCTYPE html><html lang="ja"><head>
   <title>Webサイト状況チェック 診断レポート｜Ciras株式会社</title>
-  ${REPORT_HEAD}${REPORT_STYLES}
+  ${REPORT_HEAD}${shareMeta}${REPORT_STYLES}
 </head><body>
   <header class="report-header"><div class="report-header-inner">
     <img src="/images/logo-white.png" alt="Ciras株式会社" class="report-logo">
     <p class="report-label">DIAGNOSTIC REPORT</p>
     <h1 class="report-title">Webサイト状況チェック 診断レポート</h1>
     <p class="report-date">${escapeHTML(date)}</p>
+    <a href="/report/${encodeURIComponent(diagnosis.id)}.pdf" class="report-pdf-link">PDFでダウンロード</a>
   </div></header>
   <main class="report-body">
     <section class="report-section">
@@ -2083,6 +2362,335 @@ function generateWebCheckReportHTML(diagnosis) {
 </body></html>`;
 }
 
+const SITE_CHECK_STYLES = `<style>
+    .site-judgment{margin-top:1rem;padding:1rem 1.2rem;border-radius:4px;font-size:.9rem;font-weight:500;background:var(--white);border-left:4px solid var(--gray)}
+    .site-judgment-accurate{border-left-color:#2D5A27}
+    .site-judgment-partial{border-left-color:#B8860B}
+    .site-judgment-unknown{border-left-color:#C41E3A}
+    .score-level{font-size:.95rem;font-weight:600;margin-top:.3rem}
+    .score-breakdown-note{font-size:.8rem;color:var(--gray);margin-top:.5rem}
+    .finding-list{list-style:none;margin-bottom:.8rem}
+    .finding-list li{font-size:.9rem;color:var(--gray-dark);line-height:1.8;padding-left:1em;text-indent:-1em}
+    .finding-list li::before{content:'・'}
+    .impact-box{background:var(--bg);padding:.8rem 1rem;border-radius:4px;font-size:.85rem;color:var(--gray-dark);line-height:1.8}
+    .ai-query{font-size:.8rem;color:var(--gray);margin-bottom:.5rem}
+    .ai-response{background:var(--white);border:1px solid var(--gray-light);border-radius:4px;padding:1.5rem;font-size:.9rem;line-height:2;white-space:pre-wrap;overflow-wrap:break-word}
+    .source-list,.visibility-list,.page-list{list-style:none;background:var(--white);border:1px solid var(--gray-light);border-radius:4px;margin-top:1rem}
+    .source-list li,.visibility-list li,.page-list li{display:flex;justify-content:space-between;gap:1rem;padding:.6rem 1rem;border-bottom:1px solid var(--gray-light);font-size:.85rem;overflow-wrap:anywhere}
+    .source-list li:last-child,.visibility-list li:last-child,.page-list li:last-child{border-bottom:none}
+    .source-list small,.visibility-list small{color:var(--gray);white-space:nowrap}
+    .tech-table{width:100%;border-collapse:collapse;background:var(--white);border:1px solid var(--gray-light);font-size:.85rem}
+    .tech-table td{padding:.6rem .8rem;border-bottom:1px solid var(--gray-light);vertical-align:top}
+    .tech-table td:first-child{width:2rem;text-align:center;font-weight:700}
+    .tech-table td:nth-child(2){width:38%;font-weight:500}
+    .tech-table .tc-ok{color:#2D5A27}
+    .tech-table .tc-warn{color:#B8860B}
+    .tech-table .tc-ng{color:#C41E3A}
+    .page-failed{color:#C41E3A}
+    @media print{.ai-response,.tech-table tr,.source-list li,.page-list li{break-inside:avoid}}
+  </style>`;
+
+const TECH_ICONS = { ok: '✓', warn: '!', ng: '✕' };
+
+function categoryBadge(score) {
+  if (score >= 80) return '◎';
+  if (score >= 50) return '○';
+  if (score >= 20) return '△';
+  return '×';
+}
+
+// Dedicated report of a V2 site check: the same sections as the live result in web-check.html
+function generateSiteCheckReportHTML(diagnosis, trend = null, shareMeta = '') {
+  const r = diagnosis.result || {};
+  const analysis = r.analysis || {};
+  const categories = Array.isArray(analysis.categories) ? analysis.categories : [];
+  const breakdown = diagnosis.scoreBreakdown;
+  const score = diagnosis.overallScore;
+  const url = diagnosis.crawlData ? diagnosis.crawlData.url : diagnosis.answers.url;
+  const date = new Date(diagnosis.createdAt).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Tokyo' });
+  const section = (title, body) => `<section class="report-section">
+      <h2 class="report-section-title">${title}</h2>
+      ${body}
+    </section>`;
+
+  // Site and AI recognition
+  let contentHTML = section('診断したサイト', `<div class="answer-grid">
+        ${r.companyName ? `<div class="answer-item"><p class="answer-label">会社名</p><p class="answer-value">${escapeHTML(r.companyName)}</p></div>` : ''}
+        <div class="answer-item"><p class="answer-label">診断URL</p><p class="answer-value">${escapeHTML(url)}</p></div>
+      </div>
+      ${analysis.ai_test_judgment ? `<p class="site-judgment site-judgment-${escapeHTML(analysis.ai_test_judgment)}">${escapeHTML(AI_TEST_JUDGMENTS[analysis.ai_test_judgment] || '')}</p>` : ''}`);
+
+  // Overall score and its breakdown
+  if (typeof score === 'number') {
+    let scoreHTML = `<div class="score-hero"><p class="score-num">${score}<span class="score-max"> / 100</span></p><p class="score-level">${escapeHTML(scoreLevel(score))}</p>`;
+    if (breakdown && breakdown.rules) {
+      const parts = [`サイト構成の評価 ${breakdown.rules.score}点${breakdown.tech ? ` ×${Math.round(breakdown.rules.weight * 100)}%` : ''}`];
+      if (breakdown.tech) parts.push(`技術チェック ${breakdown.tech.score}点 ×${Math.round(breakdown.tech.weight * 100)}%`);
+      let note = `内訳：${parts.join(' ＋ ')} ＝ ${breakdown.base}点`;
+      if (breakdown.llm && breakdown.llm.adjustment) note += `、AI分析による補正 ${breakdown.llm.adjustment > 0 ? '+' : ''}${breakdown.llm.adjustment}点`;
+      scoreHTML += `<p class="score-breakdown-note">${escapeHTML(note)}</p>`;
+    }
+    scoreHTML += '</div>';
+    if (breakdown && breakdown.rules) {
+      const bars = Object.values(breakdown.rules.categories).map(cat => ({ label: cat.label, total: cat.total, max: cat.maxScore }));
+      if (breakdown.tech) bars.push({ label: '技術チェック', total: breakdown.tech.score, max: 100 });
+      scoreHTML += bars.map(bar => `<div class="score-bar-wrap"><div class="score-bar-label"><span>${escapeHTML(bar.label)}</span><span>${bar.total} / ${bar.max}</span></div><div class="score-bar"><div class="score-bar-fill" style="width:${Math.round(bar.total / bar.max * 100)}%"></div></div></div>`).join('');
+    }
+    contentHTML += section('総合スコア', scoreHTML);
+  }
+
+  if (trend) contentHTML += generateTrendSectionHTML(trend);
+
+  // Priority actions (older results only have the one-line summary actions)
+  const actions = (Array.isArray(analysis.priority_actions) && analysis.priority_actions.length > 0
+    ? analysis.priority_actions
+    : (analysis.summary_actions || []).map(text => ({ title: text }))).slice(0, 3);
+  if (actions.length > 0) {
+    contentHTML += section('優先して取り組むこと', actions.map((action, i) => `
+        <div class="solution-card">
+          <div class="solution-num">${String(i + 1).padStart(2, '0')}</div>
+          <h3 class="solution-title">${escapeHTML(action.title)}</h3>
+          ${action.description ? `<p class="solution-desc">${escapeHTML(action.description)}</p>` : ''}
+        </div>`).join(''));
+  }
+
+  // Every analysis category, in the order of the live result
+  const order = Object.keys(SITE_CHECK_CATEGORY_LABELS);
+  const sorted = [...categories].sort((a, b) => (order.indexOf(a.id) + 1 || 99) - (order.indexOf(b.id) + 1 || 99));
+  if (sorted.length > 0) {
+    contentHTML += section('AIによる分析', sorted.map(cat => `
+        <div class="improvement-card">
+          <h3 class="improvement-title">${categoryBadge(cat.score)} ${escapeHTML(SITE_CHECK_CATEGORY_LABELS[cat.id] || cat.id)}（${cat.score}点）</h3>
+          ${cat.findings && cat.findings.length ? `<ul class="finding-list">${cat.findings.map(f => `<li>${escapeHTML(f)}</li>`).join('')}</ul>` : ''}
+          ${cat.business_impact ? `<div class="impact-box">${escapeHTML(cat.business_impact)}</div>` : ''}
+        </div>`).join(''));
+  }
+
+  // Google AI search test and the wider visibility test
+  const aiTest = siteCheckAiTest(diagnosis);
+  let aiHTML = aiTest.query ? `<p class="ai-query">検索した質問：${escapeHTML(aiTest.query)}</p>` : '';
+  aiHTML += `<div class="ai-response">${escapeHTML(aiTest.response || (aiTest.error ? `AI検索テスト: ${aiTest.error}` : 'AI検索での御社の情報を取得できませんでした。'))}</div>`;
+  if (aiTest.sources.length > 0) {
+    aiHTML += `<ul class="source-list">${aiTest.sources.map(src => {
+      const link = src.url || src.uri;
+      const label = escapeHTML(src.title || src.domain || link);
+      return `<li><span>${link ? `<a href="${escapeHTML(link)}" target="_blank" rel="noopener nofollow">${label}</a>` : label}</span><small>${escapeHTML(src.domain || '')}</small></li>`;
+    }).join('')}</ul>`;
+  }
+  const visibility = r.aiVisibility;
+  if (visibility && visibility.queries && visibility.queries.length > 1) {
+    aiHTML += `<p class="answer-label" style="margin-top:1.5rem">AI検索での露出（${visibility.score === null ? '計測できませんでした' : `${visibility.score} / 100`}）</p>`;
+    aiHTML += `<ul class="visibility-list">${visibility.queries.map(q => {
+      const result = !q.success ? '取得失敗' : q.cited ? '◎ 出典として引用' : q.mentioned ? '○ 言及あり' : '× 言及なし';
+      return `<li><span><small>${escapeHTML(q.label)}</small><br>${escapeHTML(q.query)}</span><span style="white-space:nowrap">${result}</span></li>`;
+    }).join('')}</ul>`;
+    const citations = visibility.citations;
+    if (citations && citations.total > 0) {
+      aiHTML += `<p style="font-size:.85rem;margin-top:1rem">自社サイトの引用率: ${citations.ownShare}%（参照元${citations.total}件中${citations.ownCount}件）</p>`;
+      if (citations.thirdParty.length > 0) {
+        aiHTML += `<ul class="source-list">${citations.thirdParty.slice(0, 8).map(c => `<li><span>${escapeHTML(c.domain)} <small>${escapeHTML(c.label)}</small></span><small>${c.count}回</small></li>`).join('')}</ul>`;
+      }
+    }
+  }
+  contentHTML += section('Google AI検索での表示', aiHTML);
+
+  // Tech check: the full check when stored, otherwise the scored items
+  let techRows = siteCheckTechItems(diagnosis.techCheck);
+  if (techRows.length === 0 && breakdown && breakdown.tech) {
+    techRows = breakdown.tech.items.map(item => ({
+      label: item.label, status: item.score >= item.max ? 'ok' : item.score > 0 ? 'warn' : 'ng', text: `${item.score} / ${item.max}点`
+    }));
+  }
+  if (techRows.length > 0) {
+    contentHTML += section('技術チェック', `<table class="tech-table"><tbody>${techRows.map(row => `<tr><td class="tc-${row.status}">${TECH_ICONS[row.status]}</td><td>${escapeHTML(row.label)}</td><td>${escapeHTML(row.text)}</td></tr>`).join('')}</tbody></table>`);
+  }
+
+  // Crawled pages
+  const pages = diagnosis.crawlData && diagnosis.crawlData.pages;
+  if (Array.isArray(pages) && pages.length > 0) {
+    contentHTML += section('診断したページ', `<ul class="page-list">${pages.map(p => `<li><span${p.status === 'success' ? '' : ' class="page-failed"'}>${escapeHTML(p.label ? `${p.label}（${p.url}）` : p.url)}${pageStatusNote(p.status)}</span></li>`).join('')}</ul>`);
+  }
+
+  return `<!DOCTYPE html><html lang="ja"><head>
+  <title>AI検索対応 Webサイト診断レポート｜Ciras株式会社</title>
+  ${REPORT_HEAD}${shareMeta}${REPORT_STYLES}${SITE_CHECK_STYLES}
+</head><body>
+  <header class="report-header"><div class="report-header-inner">
+    <img src="/images/logo-white.png" alt="Ciras株式会社" class="report-logo">
+    <p class="report-label">DIAGNOSTIC REPORT</p>
+    <h1 class="report-title">AI検索対応 Webサイト診断レポート</h1>
+    <p class="report-date">${escapeHTML(date)}</p>
+    <a href="/report/${encodeURIComponent(diagnosis.id)}.pdf" class="report-pdf-link">PDFでダウンロード</a>
+  </div></header>
+  <main class="report-body">
+    ${contentHTML}
+  </main>
+  <section class="report-cta"><div class="report-cta-inner">
+    <h2 class="report-cta-title mincho">この診断結果をもとに、何から手をつければいいか一緒に整理します。</h2>
+    <p class="report-cta-text">Ciras株式会社では、AI検索に強いWebサイト制作（220,000円〜・税込）を行っています。<br>御社に合ったサイト設計を一緒に考えます。</p>
+    <a href="/contact.html" class="btn btn-primary">無料相談する</a>
+    <a href="https://lin.ee/s2u6VUw" class="btn btn-secondary">LINEで相談</a>
+  </div></section>
+  <footer class="report-footer"><p>&copy; 2026 Ciras Inc.（シラス株式会社）</p></footer>
+</body></html>`;
+}
+
+function formatDelta(delta) {
+  if (delta === null || delta === undefined) return '—';
+  if (delta === 0) return '±0';
+  return delta > 0 ? `+${delta}` : `${delta}`;
+}
+
+function deltaColor(delta) {
+  return delta > 0 ? '#2D5A27' : delta < 0 ? '#C41E3A' : 'var(--gray)';
+}
+
+// 「前回からの変化」: score deltas against the previous run and the list of past runs
+function generateTrendSectionHTML(trend) {
+  const formatDate = (iso) => new Date(iso).toLocaleDateString('ja-JP', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'Asia/Tokyo' });
+  const change = trend.change;
+  let html = `<section class="report-section">
+      <h2 class="report-section-title">前回の診断からの変化</h2>`;
+
+  if (!change) {
+    html += `<p style="font-size:.9rem;color:var(--gray-dark)">このサイトの初回の診断です。改善後にもう一度診断すると、ここに前回からの変化が表示されます。</p></section>`;
+    return html;
+  }
+
+  const current = trend.history[trend.history.length - 1];
+  html += `<div class="score-hero"><p style="font-size:.85rem;color:var(--gray)">${escapeHTML(formatDate(change.previous.createdAt))}の診断：${change.previous.overallScore}点 → 今回：${current.overallScore}点</p>
+      <p class="score-num" style="font-size:3rem;color:${deltaColor(change.overallScore)}">${formatDelta(change.overallScore)}<span class="score-max"> 点</span></p></div>`;
+  for (const c of change.categories) {
+    const cat = current.categories[c.key];
+    const pct = cat && cat.maxScore ? Math.round(c.total / cat.maxScore * 100) : 0;
+    html += `<div class="score-bar-wrap"><div class="score-bar-label"><span>${escapeHTML(c.label)}</span><span>${c.total} / ${cat ? cat.maxScore : '-'}（<span style="color:${deltaColor(c.delta)}">${formatDelta(c.delta)}</span>）</span></div><div class="score-bar"><div class="score-bar-fill" style="width:${pct}%"></div></div></div>`;
+  }
+  if (change.techScore !== null) {
+    html += `<p style="font-size:.85rem;margin-top:1rem">技術チェック：${current.techScore} / 100（<span style="color:${deltaColor(change.techScore)}">${formatDelta(change.techScore)}</span>）</p>`;
+  }
+
+  const itemList = (items, title, color) => (items.length > 0
+    ? `<div class="answer-item" style="margin-top:1rem"><p class="answer-label" style="color:${color};font-weight:600">${title}</p>${items.map(i => `<p class="answer-value">${escapeHTML(i.label)}：${i.previous} → ${i.score} / ${i.max}</p>`).join('')}</div>`
+    : '');
+  html += itemList(change.improved, '改善した項目', '#2D5A27');
+  html += itemList(change.regressed, '悪化した項目', '#C41E3A');
+  if (!change.sameScoringVersion) {
+    html += `<p style="font-size:.8rem;color:var(--gray);margin-top:.8rem">※ 前回の診断後に採点基準を更新したため、点数の変化には基準の変更による分も含まれます。</p>`;
+  }
+
+  if (trend.history.length > 2) {
+    html += `<div class="answer-item" style="margin-top:1rem"><p class="answer-label">これまでの診断</p>${trend.history.slice(-10).map(e => `<p class="answer-value">${escapeHTML(formatDate(e.createdAt))}：${e.overallScore}点</p>`).join('')}</div>`;
+  }
+  html += `</section>`;
+  return html;
+}
+
+const COMPARE_STYLES = `<style>
+    .compare-table-wrap{overflow-x:auto;background:var(--white);border:1px solid var(--gray-light);border-radius:4px}
+    .compare-table{width:100%;border-collapse:collapse;font-size:.85rem;min-width:560px}
+    .compare-table th,.compare-table td{padding:.6rem .8rem;border-bottom:1px solid var(--gray-light);text-align:center;white-space:nowrap}
+    .compare-table th:first-child,.compare-table td:first-child{text-align:left;white-space:normal}
+    .compare-table thead th{font-size:.75rem;color:var(--gray-dark);background:var(--bg);font-weight:600}
+    .compare-table tr.compare-summary td{font-weight:600;background:var(--bg)}
+    .compare-table tr.compare-group td{font-size:.75rem;letter-spacing:.1em;color:var(--gray);background:var(--white);padding-top:1rem}
+    .compare-table td.compare-leader{color:var(--green);font-weight:700}
+    .compare-table td.compare-behind{color:#C41E3A;background:#FFF5F5}
+    .compare-gap{display:flex;justify-content:space-between;gap:1rem;background:var(--white);padding:1rem 1.2rem;border-left:4px solid #C41E3A;border-radius:4px;margin-bottom:.8rem;font-size:.9rem}
+    .compare-gap-values{color:var(--gray-dark);white-space:nowrap}
+  </style>`;
+
+function compareSiteLabel(site, index) {
+  let host = site.url;
+  try { host = new URL(site.url).hostname.replace(/^www\./, ''); } catch (e) {}
+  return { role: index === 0 ? '自社サイト' : `競合${index}`, host, name: site.companyName || host };
+}
+
+function formatCompareValue(value, unit) {
+  if (value === null || value === undefined) return '—';
+  return `${Number(value).toLocaleString('ja-JP')}${unit === '点' ? '' : unit}`;
+}
+
+function generateSiteCompareReportHTML(diagnosis, shareMeta = '') {
+  const c = diagnosis.comparison;
+  const date = new Date(diagnosis.createdAt).toLocaleDateString('ja-JP', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'Asia/Tokyo' });
+  const labels = c.sites.map(compareSiteLabel);
+
+  const sitesHTML = c.sites.map((site, i) => `
+        <div class="answer-item"><p class="answer-label">${escapeHTML(labels[i].role)}</p><p class="answer-value">${escapeHTML(labels[i].name)}</p><p class="answer-label" style="margin:0">${escapeHTML(site.url)}</p></div>`).join('');
+  const failedHTML = (diagnosis.failed || []).length > 0
+    ? `<p style="font-size:.85rem;color:var(--gray-dark);margin-top:1rem">次のサイトは取得できなかったため比較から除外しました：${diagnosis.failed.map(f => escapeHTML(f.url)).join('、')}</p>`
+    : '';
+
+  const scoresHTML = c.sites.map((site, i) => `<div class="score-bar-wrap"><div class="score-bar-label"><span>${escapeHTML(labels[i].role)}：${escapeHTML(labels[i].name)}</span><span>${site.score} / 100</span></div><div class="score-bar"><div class="score-bar-fill" style="width:${site.score}%;${i === 0 ? '' : 'background:var(--gray)'}"></div></div></div>`).join('');
+
+  const behindHTML = c.behind.length > 0
+    ? c.behind.slice(0, 10).map(b => {
+      const best = labels[c.sites.findIndex(site => site.url === b.bestSite)];
+      const max = b.max ? ` / ${b.max}` : '';
+      return `<div class="compare-gap"><span>${escapeHTML(b.label)}</span><span class="compare-gap-values">自社 ${formatCompareValue(b.primary, b.unit)}${max} ／ ${escapeHTML(best ? best.name : b.bestSite)} ${formatCompareValue(b.best, b.unit)}${max}</span></div>`;
+    }).join('')
+    : '<p style="font-size:.9rem;color:var(--gray-dark)">すべての項目で競合サイトと同等以上の評価です。</p>';
+
+  let tableRows = '';
+  let group = null;
+  for (const row of c.rows) {
+    if (!row.summary && row.groupLabel !== group) {
+      tableRows += `<tr class="compare-group"><td colspan="${c.sites.length + 1}">${escapeHTML(row.groupLabel)}</td></tr>`;
+    }
+    group = row.groupLabel;
+    const cells = row.values.map((value, i) => {
+      const cls = i === 0 && row.primaryBehind ? 'compare-behind' : i === row.leader ? 'compare-leader' : '';
+      return `<td${cls ? ` class="${cls}"` : ''}>${formatCompareValue(value, row.unit)}${row.max && value !== null ? `<span style="color:var(--gray);font-weight:400"> / ${row.max}</span>` : ''}</td>`;
+    }).join('');
+    tableRows += `<tr${row.summary ? ' class="compare-summary"' : ''}><td>${escapeHTML(row.label)}</td>${cells}</tr>`;
+  }
+
+  return `<!DOCTYPE html><html lang="ja"><head>
+  <title>競合比較レポート｜Ciras株式会社</title>
+  ${REPORT_HEAD}${shareMeta}${REPORT_STYLES}${COMPARE_STYLES}
+</head><body>
+  <header class="report-header"><div class="report-header-inner">
+    <img src="/images/logo-white.png" alt="Ciras株式会社" class="report-logo">
+    <p class="report-label">COMPETITOR COMPARISON</p>
+    <h1 class="report-title">AI検索対応 競合比較レポート</h1>
+    <p class="report-date">${escapeHTML(date)}</p>
+    <a href="/report/${encodeURIComponent(diagnosis.id)}.pdf" class="report-pdf-link">PDFでダウンロード</a>
+  </div></header>
+  <main class="report-body">
+    <section class="report-section">
+      <h2 class="report-section-title">比較したサイト</h2>
+      <div class="answer-grid">${sitesHTML}
+      </div>
+      ${failedHTML}
+    </section>
+    <section class="report-section">
+      <h2 class="report-section-title">総合スコア</h2>
+      <p style="font-size:.95rem;margin-bottom:1.5rem">自社サイトは${c.sites.length}サイト中 <strong>${c.rank}位</strong> です。</p>
+      ${scoresHTML}
+    </section>
+    <section class="report-section">
+      <h2 class="report-section-title">競合より遅れている項目</h2>
+      ${behindHTML}
+    </section>
+    <section class="report-section">
+      <h2 class="report-section-title">項目別の比較</h2>
+      <div class="compare-table-wrap"><table class="compare-table">
+        <thead><tr><th>項目</th>${labels.map(l => `<th>${escapeHTML(l.role)}<br>${escapeHTML(l.host)}</th>`).join('')}</tr></thead>
+        <tbody>${tableRows}</tbody>
+      </table></div>
+      <p style="font-size:.8rem;color:var(--gray);margin-top:.8rem">赤字は自社サイトが競合より低い項目、太字は最も評価の高いサイトです。</p>
+    </section>
+  </main>
+  <section class="report-cta"><div class="report-cta-inner">
+    <h2 class="report-cta-title mincho">競合との差を埋めるために、詳しく相談しませんか？</h2>
+    <p class="report-cta-text">Ciras株式会社では、AI検索に強いWebサイト制作（220,000円〜・税込）を行っています。<br>御社に合ったサイト設計を一緒に考えます。</p>
+    <a href="/contact.html" class="btn btn-primary">無料相談する</a>
+    <a href="https://lin.ee/s2u6VUw" class="btn btn-secondary">LINEで相談</a>
+  </div></section>
+  <footer class="report-footer"><p>&copy; 2026 Ciras Inc.（シラス株式会社）</p></footer>
+</body></html>`;
+}
+
 function generateNotFoundHTML() {
   return `<!DOCTYPE html><html lang="ja"><head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"><title>レポートが見つかりません｜Ciras株式会社</title><link rel="preconnect" href="https://fonts.googleapis.com"><link rel="preconnect" href="https://fonts.gstatic.com" crossorigin><link href="https://fonts.googleapis.com/css2?family=Noto+Sans+JP:wght@400;600&family=Shippori+Mincho:wght@600&display=swap" rel="stylesheet"><style>:root{--green:#242422;--gray-dark:#4A4A4A;--bg:#FAFAFA}*{margin:0;padding:0;box-sizing:border-box}body{font-family:'Noto Sans JP',sans-serif;color:#1A1A1A;line-height:1.9;background:var(--bg);font-size:15px;display:flex;align-items:center;justify-content:center;min-height:100vh;padding:2rem;text-align:center}h1{font-family:'Shippori Mincho',serif;font-size:1.5rem;margin-bottom:1rem;color:var(--green)}p{color:var(--gray-dark);margin-bottom:1.5rem}a{color:var(--green);font-weight:500}</style></head><body><div><h1>レポートが見つかりません</h1><p>指定されたレポートは存在しないか、URLが正しくない可能性があります。</p><a href="/">Ciras株式会社 トップページへ</a></div></body></html>`;
 }
@@ -2093,25 +2701,10 @@ function generateErrorHTML() {
 
 // ========== Instagram Feed ==========
 
-const INSTAGRAM_ALLOWED_ORIGINS = new Set([
-  'https://ciras.jp',
-  'https://www.ciras.jp',
-]);
-
-function instagramCorsHeaders(request) {
-  const origin = request.headers.get('Origin') || '';
-  const allow = INSTAGRAM_ALLOWED_ORIGINS.has(origin) ? origin : 'https://ciras.jp';
-  return {
-    'Access-Control-Allow-Origin': allow,
-    'Vary': 'Origin',
-  };
-}
-
 function instagramJsonResponse(body, init) {
   const headers = {
     'Content-Type': 'application/json; charset=utf-8',
     'Cache-Control': `public, max-age=${init.cacheSeconds ?? 300}`,
-    ...instagramCorsHeaders(init.request),
   };
   return new Response(JSON.stringify(body), {
     status: init.status ?? 200,
@@ -2125,19 +2718,19 @@ async function handleInstagram(request, env) {
       console.error('INSTAGRAM_FEED binding missing');
       return instagramJsonResponse(
         { posts: [], error: 'feed unavailable' },
-        { status: 500, cacheSeconds: 60, request }
+        { status: 500, cacheSeconds: 60 }
       );
     }
     const feed = await env.INSTAGRAM_FEED.get('feed:latest', 'json');
     if (!feed || typeof feed !== 'object' || !Array.isArray(feed.posts)) {
-      return instagramJsonResponse({ posts: [] }, { request });
+      return instagramJsonResponse({ posts: [] }, {});
     }
-    return instagramJsonResponse(feed, { request });
+    return instagramJsonResponse(feed, {});
   } catch (err) {
     console.error('instagram_api_error', err instanceof Error ? err.message : String(err));
     return instagramJsonResponse(
       { posts: [], error: 'feed unavailable' },
-      { status: 500, cacheSeconds: 60, request }
+      { status: 500, cacheSeconds: 60 }
     );
   }
 }